@@ -9,7 +9,19 @@ const rateLimit = require('express-rate-limit');
 // Import routes
 const integrationsRouter = require('./routes/integrations');
 const tagsRouter = require('./routes/tags');
+const ordersRouter = require('./routes/orders');
+const productsRouter = require('./routes/products');
+const shippingRouter = require('./routes/shipping');
+const automationRouter = require('./routes/automation');
+const webhooksRouter = require('./routes/webhooks');
 const syncScheduler = require('./utils/syncScheduler');
+const automationScheduler = require('./services/automation/AutomationScheduler');
+const batchShipService = require('./services/shipping/BatchShipService');
+const fulfillmentSyncService = require('./services/shipping/FulfillmentSyncService');
+
+// Event-driven services register their listeners on load
+require('./services/tagging/TaggingService');
+require('./services/automation/AutomationEngine');
 
 // Import Supabase manager for health checks
 const { getSupabaseManager } = require('./config/supabase');
@@ -25,6 +37,11 @@ app.use(cors({
 
 // General middleware
 app.use(compression());
+
+// Webhooks need the raw body for signature checks and come in bursts from
+// the integrations, so mount them before JSON parsing and the rate limiter
+app.use('/api/webhooks', webhooksRouter);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('combined'));
@@ -64,6 +81,10 @@ app.get('/health', async (req, res) => {
 // API routes
 app.use('/api/integrations', integrationsRouter);
 app.use('/api/tags', tagsRouter);
+app.use('/api/orders', ordersRouter);
+app.use('/api/products', productsRouter);
+app.use('/api/shipping', shippingRouter);
+app.use('/api/automation', automationRouter);
 
 // Initialize system tags endpoint
 app.post('/api/system/initialize', async (req, res) => {
@@ -110,6 +131,13 @@ async function initializeDatabase() {
     
     // Start sync scheduler after DB connection
     syncScheduler.start();
+    automationScheduler.start();
+
+    // Resume queued label batches and fulfillment retries (requires Redis)
+    if (process.env.REDIS_URL) {
+      batchShipService.start();
+      fulfillmentSyncService.start();
+    }
   } else {
     console.error('❌ Failed to connect to Supabase');
     console.error('Please check your Supabase credentials in .env file');
@@ -123,6 +151,9 @@ process.on('SIGTERM', async () => {
   
   // Stop sync scheduler
   syncScheduler.stop();
+  automationScheduler.stop();
+  await batchShipService.stop();
+  await fulfillmentSyncService.stop();
   
   // Close server
   server.close(() => {
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const BaseApiClient = require('./BaseApiClient');
 
 class AfterShipApiClient extends BaseApiClient {
@@ -121,14 +122,18 @@ class AfterShipApiClient extends BaseApiClient {
     return statusMap[tag] || 'unknown';
   }
 
-  // Webhook verification
-  verifyWebhook(webhookBody, webhookSignature) {
-    const expectedSignature = crypto
+  // Webhook verification. AfterShip signs the raw request body (base64
+  // HMAC-SHA256), which re-serialized JSON doesn't reproduce byte for byte
+  verifyWebhook(rawBody, webhookSignature) {
+    if (!webhookSignature || !this.integration.webhooks?.secret) return false;
+
+    const expected = crypto
       .createHmac('sha256', this.integration.webhooks.secret)
-      .update(JSON.stringify(webhookBody))
-      .digest('hex');
-    
-    return webhookSignature === expectedSignature;
+      .update(rawBody)
+      .digest();
+    const received = Buffer.from(webhookSignature, 'base64');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
   }
 }
 
@@ -0,0 +1,256 @@
+const axios = require('axios');
+const BaseApiClient = require('./BaseApiClient');
+const { ApiIntegration } = require('../models');
+
+const REGION_ENDPOINTS = {
+  na: 'https://sellingpartnerapi-na.amazon.com',
+  eu: 'https://sellingpartnerapi-eu.amazon.com',
+  fe: 'https://sellingpartnerapi-fe.amazon.com'
+};
+
+// Orders waiting for payment can't ship yet, so they are left out of syncs
+const SYNCED_ORDER_STATUSES = ['Unshipped', 'PartiallyShipped', 'Shipped', 'Canceled', 'Unfulfillable'];
+
+// Days of orders the first sync looks back, as SP-API needs a start date
+const INITIAL_SYNC_DAYS = 30;
+
+// SP-API throttles per operation; getOrderItems allows about one call every two seconds
+const MAX_THROTTLE_RETRIES = 3;
+
+class AmazonApiClient extends BaseApiClient {
+  getDefaultBaseUrl() {
+    return REGION_ENDPOINTS[this.config.region || 'na'];
+  }
+
+  // Every call carries a Login with Amazon access token. options.accessToken
+  // swaps in a restricted data token for calls that return buyer details.
+  async prepareRequest(endpoint, options) {
+    const config = await super.prepareRequest(endpoint, options);
+    config.headers['x-amz-access-token'] = options.accessToken || await this.getAccessToken();
+    return config;
+  }
+
+  async makeRequest(endpoint, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await super.makeRequest(endpoint, options);
+      } catch (error) {
+        if (error.response?.status !== 429 || attempt >= MAX_THROTTLE_RETRIES) throw error;
+        await new Promise(resolve => setTimeout(resolve, 2000 * 2 ** attempt));
+      }
+    }
+  }
+
+  async getAccessToken() {
+    if (this.config.accessToken && this.config.tokenExpiry && new Date(this.config.tokenExpiry) > new Date(Date.now() + 60000)) {
+      return this.config.accessToken;
+    }
+
+    await this.refreshAccessToken();
+    return this.config.accessToken;
+  }
+
+  // Seller apps get a long-lived refresh token at authorization; access
+  // tokens last an hour and are stored so other clients can reuse them
+  async refreshAccessToken() {
+    const response = await axios.post('https://api.amazon.com/auth/o2/token',
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: this.config.refreshToken,
+        client_id: process.env.AMAZON_LWA_CLIENT_ID,
+        client_secret: process.env.AMAZON_LWA_CLIENT_SECRET
+      }), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    this.config = {
+      ...this.config,
+      accessToken: response.data.access_token,
+      tokenExpiry: new Date(Date.now() + response.data.expires_in * 1000)
+    };
+    await ApiIntegration.findByIdAndUpdate(this.integration._id, { config: this.config });
+  }
+
+  // Buyer names and full addresses are only returned with a restricted data
+  // token, which the app can request when it has the PII roles
+  async getRestrictedDataToken() {
+    if (!this.config.restrictedData) return null;
+
+    const response = await this.makeRequest('/tokens/2021-03-01/restrictedDataToken', {
+      method: 'POST',
+      data: {
+        restrictedResources: [{
+          method: 'GET',
+          path: '/orders/v0/orders',
+          dataElements: ['buyerInfo', 'shippingAddress']
+        }]
+      }
+    });
+
+    return response.restrictedDataToken;
+  }
+
+  async performHealthCheck() {
+    return await this.makeRequest('/sellers/v1/marketplaceParticipations');
+  }
+
+  // One page of merchant-fulfilled orders with their items. pageInfo is the
+  // NextToken returned as nextPageInfo by the previous call.
+  async getOrdersPage(params = {}, pageInfo = null) {
+    const requestParams = {
+      MarketplaceIds: this.config.marketplaceIds.join(','),
+      ...(pageInfo
+        ? { NextToken: pageInfo }
+        : {
+          OrderStatuses: SYNCED_ORDER_STATUSES.join(','),
+          FulfillmentChannels: 'MFN',
+          MaxResultsPerPage: Math.min(this.integration.syncSettings.batchSize, 100),
+          ...params
+        })
+    };
+
+    const response = await this.makeRequest('/orders/v0/orders', {
+      params: requestParams,
+      accessToken: await this.getRestrictedDataToken()
+    });
+
+    const orders = [];
+    for (const order of response.payload.Orders) {
+      orders.push({ ...order, OrderItems: await this.getOrderItems(order.AmazonOrderId) });
+    }
+
+    return {
+      orders: this.transformOrders(orders),
+      nextPageInfo: response.payload.NextToken || null
+    };
+  }
+
+  async getOrderItems(amazonOrderId) {
+    const items = [];
+    let nextToken = null;
+
+    do {
+      const response = await this.makeRequest(`/orders/v0/orders/${amazonOrderId}/orderItems`, {
+        params: nextToken ? { NextToken: nextToken } : {}
+      });
+      items.push(...response.payload.OrderItems);
+      nextToken = response.payload.NextToken;
+    } while (nextToken);
+
+    return items;
+  }
+
+  // Filters for an incremental or backfill order sync, in the same terms
+  // ApiIntegrationManager uses for every channel
+  buildOrderSyncParams({ updatedAfter, createdFrom, createdTo }) {
+    if (createdFrom || createdTo) {
+      return { CreatedAfter: createdFrom, CreatedBefore: createdTo };
+    }
+    return {
+      LastUpdatedAfter: updatedAfter || new Date(Date.now() - INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  // Confirms shipment of the given items (all of the order's items when
+  // none are given). Amazon counts late confirmations against the seller's
+  // valid tracking rate, so this should run as soon as the label exists.
+  async updateOrderFulfillment(orderId, fulfillmentData) {
+    const { payload: order } = await this.makeRequest(`/orders/v0/orders/${orderId}`);
+
+    const orderItems = fulfillmentData.lineItems?.length
+      ? fulfillmentData.lineItems.map(item => ({ orderItemId: item.id, quantity: item.quantity }))
+      : (await this.getOrderItems(orderId)).map(item => ({ orderItemId: item.OrderItemId, quantity: item.QuantityOrdered }));
+
+    await this.makeRequest(`/orders/v0/orders/${orderId}/shipmentConfirmation`, {
+      method: 'POST',
+      data: {
+        marketplaceId: order.MarketplaceId,
+        packageDetail: {
+          packageReferenceId: fulfillmentData.trackingNumber,
+          carrierCode: fulfillmentData.carrier,
+          trackingNumber: fulfillmentData.trackingNumber,
+          shipDate: new Date(fulfillmentData.shipDate || Date.now()).toISOString(),
+          orderItems
+        }
+      }
+    });
+
+    return { id: fulfillmentData.trackingNumber };
+  }
+
+  transformOrders(orders) {
+    return orders.map(order => {
+      const items = order.OrderItems || [];
+      const sum = field => items.reduce((total, item) => total + parseFloat(item[field]?.Amount || 0), 0);
+
+      return {
+        externalId: order.AmazonOrderId,
+        orderNumber: order.AmazonOrderId,
+        source: 'amazon',
+        status: this.mapOrderStatus(order.OrderStatus),
+        customer: {
+          name: order.BuyerInfo?.BuyerName || order.ShippingAddress?.Name || '',
+          email: order.BuyerInfo?.BuyerEmail,
+          phone: order.ShippingAddress?.Phone
+        },
+        shippingAddress: this.transformAddress(order.ShippingAddress),
+        billingAddress: null,
+        items: items.map(item => ({
+          externalId: item.OrderItemId,
+          sku: item.SellerSKU,
+          name: item.Title,
+          quantity: item.QuantityOrdered,
+          // ItemPrice is the line total
+          price: item.QuantityOrdered ? parseFloat(item.ItemPrice?.Amount || 0) / item.QuantityOrdered : 0,
+          weight: 0
+        })),
+        totals: {
+          subtotal: sum('ItemPrice'),
+          tax: sum('ItemTax') + sum('ShippingTax'),
+          shipping: sum('ShippingPrice'),
+          discount: sum('PromotionDiscount') + sum('ShippingDiscount'),
+          total: parseFloat(order.OrderTotal?.Amount || 0)
+        },
+        timestamps: {
+          ordered: new Date(order.PurchaseDate),
+          updated: new Date(order.LastUpdateDate)
+        },
+        shipBy: order.LatestShipDate ? new Date(order.LatestShipDate) : null,
+        tags: order.IsPrime ? ['prime'] : [],
+        cancelled: order.OrderStatus === 'Canceled',
+        cancelReason: order.OrderStatus === 'Canceled' ? 'Order canceled on Amazon' : null
+      };
+    });
+  }
+
+  transformAddress(address) {
+    if (!address) return null;
+
+    return {
+      name: address.Name,
+      company: address.CompanyName,
+      address1: address.AddressLine1,
+      address2: address.AddressLine2,
+      city: address.City,
+      state: address.StateOrRegion,
+      zip: address.PostalCode,
+      country: address.CountryCode,
+      phone: address.Phone
+    };
+  }
+
+  mapOrderStatus(orderStatus) {
+    const statusMap = {
+      'Unshipped': 'pending',
+      'PartiallyShipped': 'processing',
+      'Shipped': 'shipped',
+      'Canceled': 'cancelled',
+      'Unfulfillable': 'on_hold'
+    };
+
+    return statusMap[orderStatus] || 'pending';
+  }
+}
+
+module.exports = AmazonApiClient;
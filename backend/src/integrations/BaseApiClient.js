@@ -2,6 +2,13 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { ApiIntegration, ApiLog } = require('../models');
 
+// Header and body fields carrying credentials, at any depth, are masked
+// before requests and responses are logged
+const SENSITIVE_FIELD = /token|authorization|api-?key|devkey|secret|password|session|cookie/i;
+
+// key=value&key=value, as posted by form-encoded APIs
+const FORM_ENCODED = /^[^\s=&]+=[^\s&]*(&[^\s=&]+=[^\s&]*)*$/;
+
 class BaseApiClient {
   constructor(integration) {
     this.integration = integration;
@@ -45,7 +52,8 @@ class BaseApiClient {
       // Update stats
       await this.updateStats(true, responseTime, JSON.stringify(response.data).length);
       
-      return response.data;
+      // Callers that paginate on response headers ask for them too
+      return options.includeHeaders ? { data: response.data, headers: response.headers } : response.data;
       
     } catch (error) {
       const responseTime = Date.now() - startTime;
@@ -123,13 +131,56 @@ class BaseApiClient {
 
   async logRequest(logData) {
     try {
-      const log = new ApiLog(logData);
-      await log.save();
+      await ApiLog.create({
+        ...logData,
+        requestHeaders: this.redact(logData.requestHeaders),
+        requestBody: this.redact(logData.requestBody),
+        responseHeaders: this.redact(logData.responseHeaders),
+        responseBody: this.redact(logData.responseBody)
+      });
     } catch (error) {
       console.error('Failed to log API request:', error);
     }
   }
 
+  // Masks sensitive fields in nested objects and arrays. JSON and
+  // form-encoded string bodies are parsed so their fields are masked too;
+  // binary bodies such as label PDFs are left alone.
+  redact(value) {
+    if (typeof value === 'string') return this.redactString(value);
+    if (value instanceof URLSearchParams) return this.redact(Object.fromEntries(value));
+    if (!value || typeof value !== 'object' || value instanceof Date ||
+      value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      return value;
+    }
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+
+    // Response headers come as AxiosHeaders
+    const fields = typeof value.toJSON === 'function' ? value.toJSON() : value;
+
+    const redacted = {};
+    Object.entries(fields).forEach(([name, field]) => {
+      redacted[name] = SENSITIVE_FIELD.test(name) ? '[REDACTED]' : this.redact(field);
+    });
+    return redacted;
+  }
+
+  redactString(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return this.redact(JSON.parse(trimmed));
+      } catch (error) {
+        return text;
+      }
+    }
+    if (FORM_ENCODED.test(trimmed)) {
+      return this.redact(Object.fromEntries(new URLSearchParams(trimmed)));
+    }
+    return text;
+  }
+
   async updateStats(success, responseTime, dataSize) {
     const update = {
       $inc: {
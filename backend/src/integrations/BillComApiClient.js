@@ -1,62 +1,179 @@
 const BaseApiClient = require('./BaseApiClient');
+const { ApiIntegration, Product } = require('../models');
+
+// Error codes Bill.com returns for a session that expired or was never valid
+const SESSION_ERROR_CODES = ['BDC_1109', 'BDC_1145'];
+
+// Session IDs per integration, and logins in flight. A session is as good
+// as the password while it lasts, so it stays in memory rather than in the
+// integration's config; clients are created per request and share it here.
+const sessions = new Map();
+const logins = new Map();
 
 class BillComApiClient extends BaseApiClient {
   getDefaultBaseUrl() {
-    return 'https://api.bill.com/api/v2';
+    return this.config.sandbox ? 'https://api-sandbox.bill.com/api/v2' : 'https://api.bill.com/api/v2';
   }
 
+  // v2 takes form posts: devKey, sessionId and the call's parameters as a JSON string in data
   getDefaultHeaders() {
     return {
       ...super.getDefaultHeaders(),
-      'sessionId': this.config.sessionId,
-      'devKey': this.config.devKey
+      'Content-Type': 'application/x-www-form-urlencoded'
     };
   }
 
   async performHealthCheck() {
-    return await this.makeRequest('/ListOrganizations.json', {
+    return await this.callApi('/GetSessionInfo.json');
+  }
+
+  // Calls a v2 endpoint and returns its response_data. Bill.com answers
+  // errors with HTTP 200 and response_status 1, and ends sessions after
+  // 35 idle minutes, so a session error logs in again and retries once.
+  async callApi(endpoint, data = {}, retryLogin = true) {
+    const sessionId = sessions.get(this.integration._id) || await this.login();
+
+    const response = await this.makeRequest(endpoint, {
       method: 'POST',
       data: {
         devKey: this.config.devKey,
-        sessionId: this.config.sessionId
+        sessionId,
+        data: JSON.stringify(data)
       }
     });
+
+    if (response.response_status === 0) {
+      return response.response_data;
+    }
+
+    const { error_code: code, error_message: message } = response.response_data || {};
+    if (retryLogin && SESSION_ERROR_CODES.includes(code)) {
+      if (sessions.get(this.integration._id) === sessionId) {
+        sessions.delete(this.integration._id);
+      }
+      await this.login();
+      return await this.callApi(endpoint, data, false);
+    }
+
+    throw new Error(`Bill.com error ${code}: ${message}`);
   }
 
-  async createBill(orderData) {
-    const bill = {
-      obj: {
-        entity: "Bill",
-        vendorId: orderData.vendorId,
-        invoiceNumber: orderData.orderNumber,
-        invoiceDate: new Date().toISOString().split('T')[0],
-        dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days from now
-        amount: orderData.totals.total,
-        billLineItems: orderData.items.map(item => ({
-          entity: "BillLineItem",
-          chartOfAccountId: process.env.BILL_COM_DEFAULT_ACCOUNT,
-          amount: item.price * item.quantity,
-          description: `${item.name} (${item.sku})`
-        }))
-      },
-      devKey: this.config.devKey,
-      sessionId: this.config.sessionId
-    };
+  // Starts a session with the stored credentials and returns its ID.
+  // Concurrent calls for one integration share one login.
+  async login() {
+    const integrationId = this.integration._id;
+    if (!logins.has(integrationId)) {
+      logins.set(integrationId, this.startSession().finally(() => {
+        logins.delete(integrationId);
+      }));
+    }
+
+    return logins.get(integrationId);
+  }
 
-    return await this.makeRequest('/Crud/Create/Bill.json', {
+  async startSession() {
+    const { userName, password, orgId, devKey } = this.config;
+    if (!userName || !password || !orgId || !devKey) {
+      throw new Error('Bill.com login needs userName, password, orgId and devKey');
+    }
+
+    const response = await this.makeRequest('/Login.json', {
       method: 'POST',
-      data: bill
+      data: { userName, password, orgId, devKey }
     });
+
+    if (response.response_status !== 0) {
+      throw new Error(`Bill.com login failed: ${response.response_data?.error_message}`);
+    }
+
+    // Sessions used to be stored with the credentials
+    if (this.config.sessionId) {
+      const config = { ...this.config };
+      delete config.sessionId;
+      this.config = config;
+      await ApiIntegration.findByIdAndUpdate(this.integration._id, { config });
+    }
+
+    sessions.set(this.integration._id, response.response_data.sessionId);
+    return response.response_data.sessionId;
   }
 
-  async getVendors() {
-    return await this.makeRequest('/List/Vendor.json', {
-      method: 'POST',
-      data: {
-        devKey: this.config.devKey,
-        sessionId: this.config.sessionId
+  // Creates the purchase bills for an order: one per Bill.com vendor, found
+  // from each item's product vendor through config.vendorMappings. An
+  // explicit orderData.vendorId puts every item on a single bill instead.
+  async createBill(orderData) {
+    const groups = new Map();
+    const unmapped = new Set();
+
+    for (const item of orderData.items) {
+      const productVendor = orderData.vendorId ? null : item.vendor ?? await this.findProductVendor(item.sku);
+      const mapping = orderData.vendorId ? { vendorId: orderData.vendorId } : this.findVendorMapping(productVendor);
+
+      if (!mapping) {
+        unmapped.add(productVendor || `SKU ${item.sku}`);
+        continue;
       }
-    });
+
+      const group = groups.get(mapping.vendorId) || { mapping, items: [] };
+      group.items.push(item);
+      groups.set(mapping.vendorId, group);
+    }
+
+    // Fail before creating anything, so an order is never half billed
+    if (unmapped.size > 0) {
+      throw new Error(`No Bill.com vendor mapped for: ${[...unmapped].join(', ')}`);
+    }
+
+    const bills = [];
+    for (const { mapping, items } of groups.values()) {
+      const billLineItems = items.map(item => ({
+        entity: 'BillLineItem',
+        chartOfAccountId: mapping.chartOfAccountId || this.config.defaultChartOfAccountId || process.env.BILL_COM_DEFAULT_ACCOUNT,
+        amount: Math.round(item.price * item.quantity * 100) / 100,
+        description: `${item.name} (${item.sku})`
+      }));
+
+      bills.push(await this.callApi('/Crud/Create/Bill.json', {
+        obj: {
+          entity: 'Bill',
+          vendorId: mapping.vendorId,
+          invoiceNumber: orderData.orderNumber,
+          invoiceDate: new Date().toISOString().split('T')[0],
+          dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days from now
+          amount: billLineItems.reduce((sum, line) => sum + line.amount, 0),
+          billLineItems
+        }
+      }));
+    }
+
+    return bills;
+  }
+
+  // Product vendor names match case-insensitively; products with no vendor
+  // or no mapping go to config.defaultVendorId when set
+  findVendorMapping(productVendor) {
+    const name = productVendor?.trim().toLowerCase();
+    const mapping = name && (this.config.vendorMappings || [])
+      .find(entry => entry.productVendor.trim().toLowerCase() === name);
+
+    if (mapping) return mapping;
+    return this.config.defaultVendorId ? { vendorId: this.config.defaultVendorId } : null;
+  }
+
+  // Vendor of the catalog product with this SKU
+  async findProductVendor(sku) {
+    if (!sku) return null;
+
+    const product = await Product.findOne({ userId: this.integration.userId, sku });
+    return product?.vendor || null;
+  }
+
+  async getVendors() {
+    return await this.callApi('/List/Vendor.json', { start: 0, max: 999, filters: [{ field: 'isActive', op: '=', value: '1' }] });
+  }
+
+  async getChartOfAccounts() {
+    return await this.callApi('/List/ChartOfAccount.json', { start: 0, max: 999, filters: [{ field: 'isActive', op: '=', value: '1' }] });
   }
 
   async getBills(params = {}) {
@@ -66,34 +183,41 @@ class BillComApiClient extends BaseApiClient {
       ...params
     };
 
-    const response = await this.makeRequest('/List/Bill.json', {
-      method: 'POST',
-      data: {
-        devKey: this.config.devKey,
-        sessionId: this.config.sessionId,
-        ...defaultParams
-      }
-    });
+    const response = await this.callApi('/List/Bill.json', defaultParams);
 
     return this.transformBills(response);
   }
 
+  // Active bills with an invoice date in the range (YYYY-MM-DD), across all pages
+  async getBillsInRange(from, to) {
+    const bills = [];
+    const max = 999;
+
+    for (let start = 0; ; start += max) {
+      const page = await this.getBills({
+        start,
+        max,
+        filters: [
+          { field: 'isActive', op: '=', value: '1' },
+          { field: 'invoiceDate', op: '>=', value: from },
+          { field: 'invoiceDate', op: '<=', value: to }
+        ]
+      });
+
+      bills.push(...page);
+      if (page.length < max) return bills;
+    }
+  }
+
   async payBill(billId, paymentData) {
-    const payment = {
+    return await this.callApi('/Crud/Create/BillPay.json', {
       obj: {
         entity: "BillPay",
         billId: billId,
         amount: paymentData.amount,
         processDate: paymentData.processDate || new Date().toISOString().split('T')[0],
         bankAccountId: paymentData.bankAccountId
-      },
-      devKey: this.config.devKey,
-      sessionId: this.config.sessionId
-    };
-
-    return await this.makeRequest('/Crud/Create/BillPay.json', {
-      method: 'POST',
-      data: payment
+      }
     });
   }
 
@@ -105,11 +229,17 @@ class BillComApiClient extends BaseApiClient {
       vendorName: bill.vendorName,
       vendorId: bill.vendorId,
       invoiceNumber: bill.invoiceNumber,
+      invoiceDate: bill.invoiceDate,
       amount: parseFloat(bill.amount),
       dueAmount: parseFloat(bill.dueAmount || bill.amount),
       dueDate: bill.dueDate,
       status: bill.paymentStatus,
       description: bill.description,
+      lineItems: (bill.billLineItems || []).map(line => ({
+        id: line.id,
+        amount: parseFloat(line.amount),
+        description: line.description
+      })),
       createdDate: bill.createdDate,
       updatedDate: bill.updatedDate
     }));
@@ -1,10 +1,39 @@
+const axios = require('axios');
 const BaseApiClient = require('./BaseApiClient');
+const { ApiIntegration } = require('../models');
+const { mapFields } = require('../utils/fieldMapping');
 
+// Refresh a minute before expiry so requests don't race it
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// OAuth2 token requests in flight, per integration. Syncs running side by
+// side each have their own client, so they wait on the same request here
+// instead of each spending (and rotating) the refresh token.
+const tokenRequests = new Map();
+
+// Statuses an order can be imported with; anything else comes in as pending
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'on_hold'];
+
+// Talks to any REST API. With a connector spec in config.connector, the
+// entities it defines can be listed, fetched and created, and orders are
+// synced like any sales channel without a dedicated client class.
 class CustomApiClient extends BaseApiClient {
   getDefaultBaseUrl() {
     return this.config.baseUrl;
   }
 
+  // Link header pagination hands back absolute URLs, which are only
+  // followed on the API's own host
+  buildUrl(endpoint) {
+    if (!/^https?:\/\//i.test(endpoint)) {
+      return super.buildUrl(endpoint);
+    }
+    if (new URL(endpoint).origin !== new URL(this.getDefaultBaseUrl()).origin) {
+      throw new Error(`Refusing to follow a page link to another host: ${endpoint}`);
+    }
+    return endpoint;
+  }
+
   getDefaultHeaders() {
     const headers = { ...super.getDefaultHeaders() };
     
@@ -27,18 +56,33 @@ class CustomApiClient extends BaseApiClient {
           const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
           headers['Authorization'] = `Basic ${credentials}`;
           break;
-        case 'oauth2':
-          // OAuth2 would need token management similar to QuickBooks
-          if (auth.oauth2?.accessToken) {
-            headers['Authorization'] = `Bearer ${auth.oauth2.accessToken}`;
-          }
-          break;
+        // OAuth2 tokens are added in prepareRequest, refreshed when needed
       }
     }
     
     return headers;
   }
 
+  async prepareRequest(endpoint, options) {
+    const config = await super.prepareRequest(endpoint, options);
+    if (this.isOAuth2()) {
+      config.headers.Authorization = `Bearer ${await this.getOAuth2Token()}`;
+    }
+    return config;
+  }
+
+  // Retries once with a new token when the API rejects the current one
+  async makeRequest(endpoint, options = {}) {
+    try {
+      return await super.makeRequest(endpoint, options);
+    } catch (error) {
+      if (error.response?.status !== 401 || !this.isOAuth2()) throw error;
+
+      await this.refreshOAuth2Token(this.config.authentication.oauth2?.accessToken);
+      return await super.makeRequest(endpoint, options);
+    }
+  }
+
   async performHealthCheck() {
     // Try to make a simple GET request to the base URL or a health endpoint
     const healthEndpoint = this.config.healthEndpoint || '/health';
@@ -57,7 +101,207 @@ class CustomApiClient extends BaseApiClient {
     return await this.makeRequest(endpoint, options);
   }
 
-  // Generic data transformation based on field mapping
+  getConnectorEntity(entity) {
+    const spec = this.config.connector?.entities?.[entity];
+    if (!spec) {
+      throw new Error(`Connector does not define ${entity}`);
+    }
+    return spec;
+  }
+
+  // One page of orders in the shape the order importer expects
+  async getOrdersPage(params = {}, pageInfo = null) {
+    const page = await this.listPage('orders', params, pageInfo);
+    return { orders: this.transformOrders(page.records), nextPageInfo: page.nextPageInfo };
+  }
+
+  // Filters for an incremental or backfill order sync, using the query
+  // parameters named in the connector's list.filters. An API without
+  // filters gets every order on each run.
+  buildOrderSyncParams({ updatedAfter, createdFrom, createdTo }) {
+    const filters = this.getConnectorEntity('orders').list.filters || {};
+    const format = date => filters.dateFormat === 'unix'
+      ? Math.floor(new Date(date).getTime() / 1000)
+      : new Date(date).toISOString();
+    const params = {};
+
+    if (createdFrom || createdTo) {
+      if (filters.createdFrom && createdFrom) params[filters.createdFrom] = format(createdFrom);
+      if (filters.createdTo && createdTo) params[filters.createdTo] = format(createdTo);
+    } else if (filters.updatedAfter && updatedAfter) {
+      params[filters.updatedAfter] = format(updatedAfter);
+    }
+
+    return params;
+  }
+
+  // Fetches one page of raw records from an entity's list endpoint.
+  // pageInfo is the nextPageInfo of the previous call: a page number,
+  // offset, cursor or, for Link headers, the next page's URL.
+  async listPage(entity, params = {}, pageInfo = null) {
+    const spec = this.getConnectorEntity(entity);
+    const endpoint = spec.list;
+    if (!endpoint) {
+      throw new Error(`Connector does not define a list endpoint for ${entity}`);
+    }
+
+    const pagination = { type: 'none', ...spec.pagination };
+    const pageSize = pagination.pageSize || 50;
+    const requestParams = { ...endpoint.params, ...params };
+    let url = endpoint.path;
+
+    switch (pagination.type) {
+      case 'page': {
+        requestParams[pagination.pageParam || 'page'] = pageInfo !== null ? parseInt(pageInfo) : (pagination.startPage ?? 1);
+        if (pagination.sizeParam) requestParams[pagination.sizeParam] = pageSize;
+        break;
+      }
+      case 'offset':
+        requestParams[pagination.offsetParam || 'offset'] = parseInt(pageInfo) || 0;
+        requestParams[pagination.limitParam || 'limit'] = pageSize;
+        break;
+      case 'cursor':
+        if (pageInfo) requestParams[pagination.cursorParam || 'cursor'] = pageInfo;
+        if (pagination.sizeParam) requestParams[pagination.sizeParam] = pageSize;
+        break;
+      case 'link':
+        // The next link already carries the query of the first request
+        if (pageInfo) url = pageInfo;
+        if (!pageInfo && pagination.sizeParam) requestParams[pagination.sizeParam] = pageSize;
+        break;
+    }
+
+    const response = await this.makeRequest(url, {
+      method: endpoint.method || 'GET',
+      params: pagination.type === 'link' && pageInfo ? undefined : requestParams,
+      includeHeaders: true
+    });
+
+    const records = this.extractRoot(response.data, endpoint.root);
+    const list = Array.isArray(records) ? records : [];
+
+    return { records: list, nextPageInfo: this.getNextPageInfo(pagination, requestParams, response, list.length) };
+  }
+
+  // Page and offset pagination stop at the first short page
+  getNextPageInfo(pagination, requestParams, response, count) {
+    const pageSize = pagination.pageSize || 50;
+
+    switch (pagination.type) {
+      case 'page':
+        return count >= pageSize ? String(requestParams[pagination.pageParam || 'page'] + 1) : null;
+      case 'offset':
+        return count >= pageSize ? String(requestParams[pagination.offsetParam || 'offset'] + count) : null;
+      case 'cursor': {
+        const cursor = this.getNestedValue(response.data, pagination.cursorPath);
+        return count > 0 && cursor ? String(cursor) : null;
+      }
+      case 'link':
+        return this.getNextLink(response.headers.link);
+      default:
+        return null;
+    }
+  }
+
+  getNextLink(linkHeader) {
+    if (!linkHeader) return null;
+
+    const next = linkHeader.split(',').find(link => /rel="?next"?/.test(link));
+    const match = next?.match(/<([^>]+)>/);
+    return match ? match[1] : null;
+  }
+
+  // Fetches a single record; the get path marks the ID with {id}
+  async getRecord(entity, id) {
+    const spec = this.getConnectorEntity(entity);
+    if (!spec.get) {
+      throw new Error(`Connector does not define a get endpoint for ${entity}`);
+    }
+
+    const response = await this.makeRequest(this.fillPath(spec.get.path, id), {
+      method: spec.get.method || 'GET',
+      params: spec.get.params
+    });
+    const record = this.extractRoot(response, spec.get.root);
+
+    return entity === 'orders' ? this.transformOrders([record])[0] : mapFields(record, spec.fields);
+  }
+
+  // Creates a record, mapping our fields onto the API's with create.fields
+  // when the connector gives them
+  async createRecord(entity, data) {
+    const spec = this.getConnectorEntity(entity);
+    if (!spec.create) {
+      throw new Error(`Connector does not define a create endpoint for ${entity}`);
+    }
+
+    const response = await this.makeRequest(spec.create.path, {
+      method: spec.create.method || 'POST',
+      params: spec.create.params,
+      data: spec.create.fields ? mapFields(data, spec.create.fields) : data
+    });
+
+    return this.extractRoot(response, spec.create.root);
+  }
+
+  fillPath(path, id) {
+    return path.replace('{id}', encodeURIComponent(id));
+  }
+
+  extractRoot(body, root) {
+    return root ? this.getNestedValue(body, root) : body;
+  }
+
+  // Maps connector records onto the order import shape, filling in what
+  // the importer needs when the API doesn't provide it
+  transformOrders(records) {
+    const fields = this.getConnectorEntity('orders').fields;
+    const number = (value, fallback = 0) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) ? fallback : parsed;
+    };
+
+    return records.map(record => {
+      const order = mapFields(record, fields);
+      const status = ORDER_STATUSES.includes(order.status) ? order.status : 'pending';
+      const ordered = order.timestamps?.ordered || null;
+      const cancelled = status === 'cancelled' || order.cancelled === true;
+
+      return {
+        externalId: String(order.externalId),
+        orderNumber: String(order.orderNumber ?? order.externalId),
+        source: 'api',
+        status,
+        customer: order.customer || {},
+        shippingAddress: order.shippingAddress || null,
+        billingAddress: order.billingAddress || null,
+        items: (Array.isArray(order.items) ? order.items : []).map(item => ({
+          ...item,
+          quantity: number(item.quantity, 1),
+          price: number(item.price),
+          weight: number(item.weight)
+        })),
+        totals: {
+          subtotal: number(order.totals?.subtotal),
+          tax: number(order.totals?.tax),
+          shipping: number(order.totals?.shipping),
+          discount: number(order.totals?.discount),
+          total: number(order.totals?.total)
+        },
+        timestamps: {
+          ordered,
+          updated: order.timestamps?.updated || ordered || new Date()
+        },
+        shipBy: order.shipBy || null,
+        tags: Array.isArray(order.tags) ? order.tags : [],
+        cancelled,
+        cancelReason: cancelled ? (order.cancelReason || 'Order cancelled in the source system') : null
+      };
+    });
+  }
+
+  // Maps data with the integration's fieldMapping for the given type; see
+  // utils/fieldMapping for the rules and expressions it accepts
   transformData(data, mappingType = 'orders') {
     const mapping = this.integration.fieldMapping?.[mappingType];
     if (!mapping || !data) return data;
@@ -69,65 +313,123 @@ class CustomApiClient extends BaseApiClient {
   }
 
   applyFieldMapping(sourceData, mapping) {
-    const result = {};
-    
-    for (const [targetField, sourceField] of Object.entries(mapping)) {
-      const value = this.getNestedValue(sourceData, sourceField);
-      this.setNestedValue(result, targetField, value);
-    }
-    
-    return result;
+    return mapFields(sourceData, mapping);
   }
 
   getNestedValue(obj, path) {
     return path.split('.').reduce((current, key) => current?.[key], obj);
   }
 
-  setNestedValue(obj, path, value) {
-    const keys = path.split('.');
-    const lastKey = keys.pop();
-    const target = keys.reduce((current, key) => {
-      if (!current[key]) current[key] = {};
-      return current[key];
-    }, obj);
-    target[lastKey] = value;
+  isOAuth2() {
+    return this.config.authentication?.type === 'oauth2';
   }
 
-  // OAuth2 token refresh (if configured)
-  async refreshOAuth2Token() {
-    const oauth2 = this.config.authentication?.oauth2;
-    if (!oauth2 || !oauth2.refreshToken) {
-      throw new Error('OAuth2 refresh not configured');
+  async getOAuth2Token() {
+    const oauth2 = this.config.authentication.oauth2 || {};
+    if (oauth2.accessToken && (!oauth2.tokenExpiry || new Date(oauth2.tokenExpiry) > new Date(Date.now() + EXPIRY_MARGIN_MS))) {
+      return oauth2.accessToken;
     }
 
-    try {
-      const response = await axios.post(oauth2.tokenUrl, 
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: oauth2.refreshToken,
-          client_id: oauth2.clientId,
-          client_secret: oauth2.clientSecret
-        }), {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
-
-      // Update stored tokens
-      const ApiIntegration = require('../models/ApiIntegration');
-      await ApiIntegration.findByIdAndUpdate(this.integration._id, {
-        'config.authentication.oauth2.accessToken': response.data.access_token,
-        'config.authentication.oauth2.refreshToken': response.data.refresh_token || oauth2.refreshToken,
-        'config.authentication.oauth2.tokenExpiry': new Date(Date.now() + response.data.expires_in * 1000)
-      });
-
-      this.config.authentication.oauth2.accessToken = response.data.access_token;
-      return true;
-    } catch (error) {
-      console.error('Failed to refresh OAuth2 token:', error);
-      return false;
+    await this.refreshOAuth2Token(oauth2.accessToken);
+    return this.config.authentication.oauth2.accessToken;
+  }
+
+  // Gets a new access token and stores it. rejectedToken is the token being
+  // replaced; if another client has replaced it already, that token is used.
+  async refreshOAuth2Token(rejectedToken = null) {
+    const integrationId = this.integration._id;
+    if (!tokenRequests.has(integrationId)) {
+      tokenRequests.set(integrationId, this.requestOAuth2Token(rejectedToken).finally(() => {
+        tokenRequests.delete(integrationId);
+      }));
+    }
+
+    const oauth2 = await tokenRequests.get(integrationId);
+    this.config = { ...this.config, authentication: { ...this.config.authentication, oauth2 } };
+    return oauth2;
+  }
+
+  // client_credentials integrations ask for a new token with the client's
+  // own credentials; authorization_code and refresh_token integrations
+  // spend the refresh token, which some providers rotate on every use
+  async requestOAuth2Token(rejectedToken) {
+    // The stored tokens may be newer than this client's, e.g. refreshed by
+    // another server process
+    const stored = (await ApiIntegration.findById(this.integration._id))?.config || this.config;
+    const oauth2 = { ...this.config.authentication.oauth2, ...stored.authentication?.oauth2 };
+
+    if (oauth2.accessToken && oauth2.accessToken !== rejectedToken &&
+      (!oauth2.tokenExpiry || new Date(oauth2.tokenExpiry) > new Date(Date.now() + EXPIRY_MARGIN_MS))) {
+      return oauth2;
+    }
+
+    let params;
+    if (oauth2.grantType === 'client_credentials') {
+      params = {
+        grant_type: 'client_credentials',
+        ...(oauth2.scope && { scope: oauth2.scope }),
+        ...(oauth2.audience && { audience: oauth2.audience })
+      };
+    } else if (oauth2.refreshToken) {
+      params = { grant_type: 'refresh_token', refresh_token: oauth2.refreshToken };
+    } else {
+      throw new Error(oauth2.grantType === 'authorization_code'
+        ? 'OAuth2 is not connected; authorize the integration first'
+        : 'OAuth2 refresh token is missing');
+    }
+
+    const updated = { ...oauth2, ...await CustomApiClient.requestTokens(oauth2, params) };
+    await ApiIntegration.findByIdAndUpdate(this.integration._id, {
+      config: { ...stored, authentication: { ...stored.authentication, oauth2: updated } }
+    });
+
+    return updated;
+  }
+
+  // Where the user is sent to authorize an authorization_code integration.
+  // state comes back to the callback unchanged and must be checked there.
+  static getAuthorizationUrl(oauth2, state) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: oauth2.clientId,
+      redirect_uri: CustomApiClient.getRedirectUri(oauth2),
+      state,
+      ...(oauth2.scope && { scope: oauth2.scope })
+    });
+    return `${oauth2.authorizeUrl}${oauth2.authorizeUrl.includes('?') ? '&' : '?'}${params}`;
+  }
+
+  static getRedirectUri(oauth2) {
+    return oauth2.redirectUri || process.env.CUSTOM_OAUTH_REDIRECT_URI;
+  }
+
+  // Calls the token endpoint for any grant. Client credentials go in the
+  // body unless clientAuth is 'basic'.
+  static async requestTokens(oauth2, params) {
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    const body = { ...params };
+
+    if (oauth2.clientAuth === 'basic') {
+      headers.Authorization = `Basic ${Buffer.from(`${oauth2.clientId}:${oauth2.clientSecret || ''}`).toString('base64')}`;
+    } else {
+      body.client_id = oauth2.clientId;
+      if (oauth2.clientSecret) body.client_secret = oauth2.clientSecret;
     }
+
+    const response = await axios.post(oauth2.tokenUrl, new URLSearchParams(body), { headers });
+    if (!response.data?.access_token) {
+      throw new Error('OAuth2 token response did not include an access token');
+    }
+
+    return {
+      accessToken: response.data.access_token,
+      // Providers that don't rotate refresh tokens leave them out of refreshes
+      refreshToken: response.data.refresh_token || params.refresh_token || null,
+      tokenExpiry: response.data.expires_in ? new Date(Date.now() + response.data.expires_in * 1000) : null
+    };
   }
 }
 
@@ -1,5 +1,30 @@
 const axios = require('axios');
 const BaseApiClient = require('./BaseApiClient');
+const { ApiIntegration } = require('../models');
+
+const AUTHORIZE_URL = 'https://appcenter.intuit.com/connect/oauth2';
+const TOKEN_URL = 'https://oauth.platform.intuit.com/oauth2/v1/tokens/bearer';
+const ACCOUNTING_SCOPE = 'com.intuit.quickbooks.accounting';
+
+// Access tokens last an hour; refresh a minute early so requests don't race the expiry
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// QuickBooks fault codes for a stale or deleted ID and a taken DisplayName
+const INVALID_REFERENCE_CODE = '2500';
+const DUPLICATE_NAME_CODE = '6240';
+
+// Customer and item IDs already looked up, per integration. Clients are
+// created per request, so the cache lives here rather than on the client.
+// Entries are dropped after a while and when the integration connects to
+// another company, and each integration keeps a bounded number of IDs.
+const idCache = new Map();
+const ID_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED_IDS = 1000;
+
+// Token refreshes in flight, per integration. Intuit rotates the refresh
+// token on every refresh and the old one stops working, so clients running
+// side by side must wait on one request rather than each spending it.
+const tokenRequests = new Map();
 
 class QuickBooksApiClient extends BaseApiClient {
   getDefaultBaseUrl() {
@@ -16,67 +41,168 @@ class QuickBooksApiClient extends BaseApiClient {
     };
   }
 
+  // Where the user is sent to connect a company. state comes back to the
+  // callback unchanged and must be checked there.
+  static getAuthorizationUrl(state) {
+    const params = new URLSearchParams({
+      client_id: process.env.QB_CLIENT_ID,
+      response_type: 'code',
+      scope: ACCOUNTING_SCOPE,
+      redirect_uri: process.env.QB_REDIRECT_URI,
+      state
+    });
+    return `${AUTHORIZE_URL}?${params}`;
+  }
+
+  // Exchanges an authorization code or refresh token for new tokens, in
+  // the shape they are stored in the integration's config
+  static async requestTokens(params) {
+    const response = await axios.post(TOKEN_URL, new URLSearchParams(params), {
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${process.env.QB_CLIENT_ID}:${process.env.QB_CLIENT_SECRET}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      }
+    });
+
+    return {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token,
+      tokenExpiry: new Date(Date.now() + response.data.expires_in * 1000),
+      refreshTokenExpiry: new Date(Date.now() + response.data.x_refresh_token_expires_in * 1000)
+    };
+  }
+
+  // Refreshes an expired token first, and retries once with a new token
+  // when QuickBooks rejects the current one
+  async makeRequest(endpoint, options = {}) {
+    if (!this.config.tokenExpiry || new Date(this.config.tokenExpiry) <= new Date(Date.now() + EXPIRY_MARGIN_MS)) {
+      await this.refreshAccessToken();
+    }
+
+    try {
+      return await super.makeRequest(endpoint, options);
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+
+      await this.refreshAccessToken();
+      return await super.makeRequest(endpoint, options);
+    }
+  }
+
   async performHealthCheck() {
     return await this.makeRequest(`/v3/company/${this.config.companyId}/companyinfo/${this.config.companyId}`);
   }
 
+  // Replaces this client's access token, with the one another client got
+  // if it has already been replaced
   async refreshAccessToken() {
-    try {
-      const response = await axios.post('https://oauth.platform.intuit.com/oauth2/v1/tokens/bearer', 
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: this.config.refreshToken
-        }), {
-          headers: {
-            'Authorization': `Basic ${Buffer.from(`${process.env.QB_CLIENT_ID}:${process.env.QB_CLIENT_SECRET}`).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
-
-      // Update stored tokens
-      const ApiIntegration = require('../models/ApiIntegration');
-      await ApiIntegration.findByIdAndUpdate(this.integration._id, {
-        'config.accessToken': response.data.access_token,
-        'config.refreshToken': response.data.refresh_token,
-        'config.tokenExpiry': new Date(Date.now() + response.data.expires_in * 1000)
-      });
+    const integrationId = this.integration._id;
+    if (!tokenRequests.has(integrationId)) {
+      tokenRequests.set(integrationId, this.requestAccessToken().finally(() => {
+        tokenRequests.delete(integrationId);
+      }));
+    }
 
-      this.config.accessToken = response.data.access_token;
-      return true;
-    } catch (error) {
-      console.error('Failed to refresh QuickBooks token:', error);
-      return false;
+    this.config = await tokenRequests.get(integrationId);
+    return this.config;
+  }
+
+  // The stored tokens may be newer than this client's, e.g. refreshed by
+  // another server process, and then the stored refresh token is the only
+  // one that still works. New tokens are stored right away.
+  async requestAccessToken() {
+    const stored = { ...this.config, ...(await ApiIntegration.findById(this.integration._id))?.config };
+
+    if (stored.accessToken !== this.config.accessToken &&
+      stored.tokenExpiry && new Date(stored.tokenExpiry) > new Date(Date.now() + EXPIRY_MARGIN_MS)) {
+      return stored;
+    }
+    if (!stored.refreshToken) {
+      throw new Error('QuickBooks is not connected; authorize the integration first');
     }
+
+    const tokens = await QuickBooksApiClient.requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: stored.refreshToken
+    });
+
+    const config = { ...stored, ...tokens };
+    await ApiIntegration.findByIdAndUpdate(this.integration._id, { config });
+    return config;
   }
 
+  // Creates an invoice for an order, finding (or creating) the customer by
+  // email and the items by SKU or name. IDs are cached, so a cached ID
+  // QuickBooks no longer knows clears the cache and the invoice is retried.
   async createInvoice(orderData) {
-    // Check token expiry
-    if (this.config.tokenExpiry && new Date() > this.config.tokenExpiry) {
-      await this.refreshAccessToken();
+    try {
+      return await this.postInvoice(orderData);
+    } catch (error) {
+      if (!this.hasFaultCode(error, INVALID_REFERENCE_CODE) || !this.cachedIds()) throw error;
+
+      idCache.delete(this.integration._id);
+      return await this.postInvoice(orderData);
     }
+  }
 
-    const invoice = {
-      Line: orderData.items.map((item, index) => ({
-        Id: index + 1,
-        LineNum: index + 1,
-        Amount: item.price * item.quantity,
-        DetailType: "SalesItemLineDetail",
+  async postInvoice(orderData) {
+    const totals = orderData.totals || {};
+    const taxable = (totals.tax || 0) > 0;
+    const taxCodeRef = { value: taxable ? this.config.taxCode || 'TAX' : this.config.nonTaxableCode || 'NON' };
+
+    const lines = [];
+    for (const item of orderData.items) {
+      lines.push({
+        Amount: this.roundAmount(item.price * item.quantity),
+        Description: item.name,
+        DetailType: 'SalesItemLineDetail',
         SalesItemLineDetail: {
-          ItemRef: {
-            value: item.sku,
-            name: item.name
-          },
+          ItemRef: { value: await this.resolveItem(item) },
           Qty: item.quantity,
-          UnitPrice: item.price
+          UnitPrice: item.price,
+          TaxCodeRef: taxCodeRef
+        }
+      });
+    }
+
+    // SHIPPING_ITEM_ID is the built-in shipping item, used when shipping
+    // is turned on in the company's sales settings
+    if (totals.shipping > 0) {
+      lines.push({
+        Amount: this.roundAmount(totals.shipping),
+        DetailType: 'SalesItemLineDetail',
+        SalesItemLineDetail: {
+          ItemRef: { value: this.config.shippingItemId || 'SHIPPING_ITEM_ID' },
+          TaxCodeRef: this.config.taxShipping ? taxCodeRef : { value: this.config.nonTaxableCode || 'NON' }
+        }
+      });
+    }
+
+    if (totals.discount > 0) {
+      lines.push({
+        Amount: this.roundAmount(totals.discount),
+        DetailType: 'DiscountLineDetail',
+        DiscountLineDetail: {
+          PercentBased: false,
+          ...(this.config.discountAccountId && { DiscountAccountRef: { value: this.config.discountAccountId } })
         }
-      })),
-      CustomerRef: {
-        value: orderData.customerId || "1" // Default customer if none specified
-      },
-      TotalAmt: orderData.totals.total,
+      });
+    }
+
+    const invoice = {
+      Line: lines,
+      CustomerRef: { value: await this.resolveCustomer(orderData) },
       TxnDate: new Date().toISOString().split('T')[0],
-      DocNumber: orderData.orderNumber
+      DocNumber: orderData.orderNumber,
+      ...(orderData.customer?.email && { BillEmail: { Address: orderData.customer.email } }),
+      // Companies without automated sales tax need the rate to charge
+      ...(taxable && this.config.txnTaxCodeId && {
+        TxnTaxDetail: {
+          TxnTaxCodeRef: { value: this.config.txnTaxCodeId },
+          TotalTax: totals.tax
+        }
+      })
     };
 
     return await this.makeRequest(`/v3/company/${this.config.companyId}/invoice`, {
@@ -85,6 +211,137 @@ class QuickBooksApiClient extends BaseApiClient {
     });
   }
 
+  // Finds the order's customer by email, creating it when there is none.
+  // Orders without an email go to config.defaultCustomerId.
+  async resolveCustomer(orderData) {
+    if (orderData.customerId) return orderData.customerId;
+
+    const email = orderData.customer?.email?.trim().toLowerCase();
+    if (!email) {
+      if (this.config.defaultCustomerId) return this.config.defaultCustomerId;
+      throw new Error('Order has no customer email and no default QuickBooks customer is configured');
+    }
+
+    return this.cached(`customer:${email}`, async () => {
+      const response = await this.query(`SELECT * FROM Customer WHERE PrimaryEmailAddr = '${this.escapeQuery(email)}'`);
+      const existing = response.Customer?.[0];
+      if (existing) return existing.Id;
+
+      return (await this.createCustomer(orderData, email)).Id;
+    });
+  }
+
+  // DisplayName has to be unique across customers, vendors and employees,
+  // so a taken name is retried with the email added
+  async createCustomer(orderData, email) {
+    const name = orderData.customer?.name?.trim() || email;
+    const address = orderData.billingAddress || orderData.shippingAddress;
+    const customer = {
+      DisplayName: name,
+      PrimaryEmailAddr: { Address: email },
+      ...(orderData.customer?.phone && { PrimaryPhone: { FreeFormNumber: orderData.customer.phone } }),
+      ...(address && {
+        BillAddr: {
+          Line1: address.address1,
+          Line2: address.address2,
+          City: address.city,
+          CountrySubDivisionCode: address.state,
+          PostalCode: address.zip,
+          Country: address.country
+        }
+      })
+    };
+
+    const create = async data => (await this.makeRequest(`/v3/company/${this.config.companyId}/customer`, {
+      method: 'POST',
+      data
+    })).Customer;
+
+    try {
+      return await create(customer);
+    } catch (error) {
+      if (!this.hasFaultCode(error, DUPLICATE_NAME_CODE) || name === email) throw error;
+      return await create({ ...customer, DisplayName: `${name} (${email})` });
+    }
+  }
+
+  // Matches the item on SKU, then on name, then falls back to
+  // config.fallbackItemId so one unmapped product doesn't block the invoice
+  async resolveItem(item) {
+    const key = `item:${item.sku || ''}:${item.name || ''}`;
+
+    return this.cached(key, async () => {
+      for (const [field, value] of [['Sku', item.sku], ['Name', item.name]]) {
+        if (!value) continue;
+
+        const response = await this.query(`SELECT * FROM Item WHERE ${field} = '${this.escapeQuery(value)}'`);
+        if (response.Item?.[0]) return response.Item[0].Id;
+      }
+
+      if (this.config.fallbackItemId) return this.config.fallbackItemId;
+      throw new Error(`No QuickBooks item matches SKU ${item.sku || '(none)'} or name ${item.name || '(none)'}`);
+    });
+  }
+
+  // Fallbacks aren't cached, so mapping the item later takes effect
+  async cached(key, lookup) {
+    const cachedIds = this.cachedIds();
+    if (cachedIds?.has(key)) return cachedIds.get(key);
+
+    const id = await lookup();
+    if (id !== this.config.fallbackItemId && id !== this.config.defaultCustomerId) {
+      const ids = this.cachedIds() || this.startIdCache();
+      ids.set(key, id);
+      // Maps keep insertion order, so the first key is the oldest
+      if (ids.size > MAX_CACHED_IDS) ids.delete(ids.keys().next().value);
+    }
+    return id;
+  }
+
+  // This integration's cached IDs, or null if there are none for its
+  // current company
+  cachedIds() {
+    const entry = idCache.get(this.integration._id);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now() || entry.companyId !== this.config.companyId) {
+      idCache.delete(this.integration._id);
+      return null;
+    }
+    return entry.ids;
+  }
+
+  startIdCache() {
+    // Drop other integrations' expired entries, e.g. of deleted integrations
+    const now = Date.now();
+    for (const [integrationId, entry] of idCache) {
+      if (entry.expiresAt <= now) idCache.delete(integrationId);
+    }
+
+    const entry = { ids: new Map(), companyId: this.config.companyId, expiresAt: now + ID_CACHE_TTL_MS };
+    idCache.set(this.integration._id, entry);
+    return entry.ids;
+  }
+
+  async query(statement) {
+    const response = await this.makeRequest(`/v3/company/${this.config.companyId}/query`, {
+      params: { query: statement }
+    });
+    return response.QueryResponse || {};
+  }
+
+  escapeQuery(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  }
+
+  hasFaultCode(error, code) {
+    return (error.response?.data?.Fault?.Error || []).some(fault => fault.code === code);
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
   async getCustomers(params = {}) {
     const query = `SELECT * FROM Customer WHERE Active = true`;
     return await this.makeRequest(`/v3/company/${this.config.companyId}/query`, {
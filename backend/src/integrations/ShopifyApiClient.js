@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const BaseApiClient = require('./BaseApiClient');
 
+// Fulfillment order statuses that can still take a fulfillment
+const FULFILLABLE_STATUSES = ['open', 'in_progress'];
+
 class ShopifyApiClient extends BaseApiClient {
   getDefaultBaseUrl() {
     return `https://${this.config.shopUrl}.myshopify.com/admin/api/${this.config.apiVersion}`;
@@ -27,6 +31,49 @@ class ShopifyApiClient extends BaseApiClient {
     return this.transformOrders(response.orders);
   }
 
+  // One page of orders. Pass the previous page's nextPageInfo to continue;
+  // Shopify only accepts limit alongside a page_info cursor.
+  async getOrdersPage(params = {}, pageInfo = null) {
+    const limit = this.integration.syncSettings.batchSize;
+    const requestParams = pageInfo
+      ? { limit, page_info: pageInfo }
+      : { limit, status: 'any', ...params };
+
+    const response = await this.makeRequest('/orders.json', {
+      params: requestParams,
+      includeHeaders: true
+    });
+
+    return {
+      orders: this.transformOrders(response.data.orders),
+      nextPageInfo: this.getNextPageInfo(response.headers.link)
+    };
+  }
+
+  // Filters for an incremental or backfill order sync, in the same terms
+  // ApiIntegrationManager uses for every channel
+  buildOrderSyncParams({ updatedAfter, createdFrom, createdTo }) {
+    if (createdFrom || createdTo) {
+      return { created_at_min: createdFrom, created_at_max: createdTo };
+    }
+    return updatedAfter ? { updated_at_min: updatedAfter } : {};
+  }
+
+  // Reads the cursor from a Link header such as
+  // <https://shop.myshopify.com/admin/api/2023-07/orders.json?limit=50&page_info=abc>; rel="next"
+  getNextPageInfo(linkHeader) {
+    if (!linkHeader) return null;
+
+    for (const link of linkHeader.split(',')) {
+      const match = link.match(/<([^>]+)>;\s*rel="next"/);
+      if (match) {
+        return new URL(match[1]).searchParams.get('page_info');
+      }
+    }
+
+    return null;
+  }
+
   async getProducts(params = {}) {
     const defaultParams = {
       limit: this.integration.syncSettings.batchSize,
@@ -37,21 +84,86 @@ class ShopifyApiClient extends BaseApiClient {
     return this.transformProducts(response.products);
   }
 
+  // One page of products, paged the same way as getOrdersPage
+  async getProductsPage(params = {}, pageInfo = null) {
+    const limit = this.integration.syncSettings.batchSize;
+    const requestParams = pageInfo
+      ? { limit, page_info: pageInfo }
+      : { limit, ...params };
+
+    const response = await this.makeRequest('/products.json', {
+      params: requestParams,
+      includeHeaders: true
+    });
+
+    return {
+      products: this.transformProducts(response.data.products),
+      nextPageInfo: this.getNextPageInfo(response.headers.link)
+    };
+  }
+
+  // Fulfills through the order's fulfillment orders, as the order-level
+  // fulfillments endpoint is deprecated. lineItems ({ id, quantity } by order
+  // line item ID) limit the fulfillment to part of the order; without them
+  // everything still open is fulfilled.
   async updateOrderFulfillment(orderId, fulfillmentData) {
+    const response = await this.makeRequest(`/orders/${orderId}/fulfillment_orders.json`);
+    const fulfillmentOrders = (response.fulfillment_orders || [])
+      .filter(fulfillmentOrder => FULFILLABLE_STATUSES.includes(fulfillmentOrder.status));
+
+    const lineItems = fulfillmentData.lineItems || [];
+    const lineItemsByFulfillmentOrder = lineItems.length === 0
+      ? fulfillmentOrders.map(fulfillmentOrder => ({ fulfillment_order_id: fulfillmentOrder.id }))
+      : this.assignToFulfillmentOrders(lineItems, fulfillmentOrders);
+
+    if (lineItemsByFulfillmentOrder.length === 0) {
+      throw new Error(`Order ${orderId} has no open fulfillment orders`);
+    }
+
     const fulfillment = {
-      tracking_number: fulfillmentData.trackingNumber,
-      tracking_company: fulfillmentData.carrier,
-      tracking_urls: fulfillmentData.trackingUrls || [],
-      notify_customer: true,
-      line_items: fulfillmentData.lineItems || []
+      line_items_by_fulfillment_order: lineItemsByFulfillmentOrder,
+      tracking_info: {
+        number: fulfillmentData.trackingNumber,
+        company: fulfillmentData.carrier,
+        url: fulfillmentData.trackingUrls?.[0]
+      },
+      notify_customer: true
     };
 
-    return await this.makeRequest(`/orders/${orderId}/fulfillments.json`, {
+    return await this.makeRequest('/fulfillments.json', {
       method: 'POST',
       data: { fulfillment }
     });
   }
 
+  // Spreads the requested order line items over the fulfillment order lines
+  // that hold them. A line item can be split across locations, so one item
+  // may take quantity from several fulfillment orders.
+  assignToFulfillmentOrders(lineItems, fulfillmentOrders) {
+    const remaining = new Map(lineItems.map(item => [item.id.toString(), item.quantity]));
+
+    const assigned = fulfillmentOrders.map(fulfillmentOrder => {
+      const items = [];
+      for (const line of fulfillmentOrder.line_items || []) {
+        const key = line.line_item_id.toString();
+        const quantity = Math.min(remaining.get(key) || 0, line.fulfillable_quantity);
+        if (quantity > 0) {
+          items.push({ id: line.id, quantity });
+          remaining.set(key, remaining.get(key) - quantity);
+        }
+      }
+      return { fulfillment_order_id: fulfillmentOrder.id, fulfillment_order_line_items: items };
+    }).filter(group => group.fulfillment_order_line_items.length > 0);
+
+    for (const [id, quantity] of remaining) {
+      if (quantity > 0) {
+        throw new Error(`Shopify has ${quantity} too few of line item ${id} left to fulfill`);
+      }
+    }
+
+    return assigned;
+  }
+
   async createWebhook(topic, address) {
     const webhook = {
       topic,
@@ -65,6 +177,20 @@ class ShopifyApiClient extends BaseApiClient {
     });
   }
 
+  // Webhook verification. Shopify signs the raw request body, so this must
+  // run before the body is parsed
+  verifyWebhook(rawBody, hmacHeader) {
+    if (!hmacHeader || !this.integration.webhooks?.secret) return false;
+
+    const expected = crypto
+      .createHmac('sha256', this.integration.webhooks.secret)
+      .update(rawBody)
+      .digest();
+    const received = Buffer.from(hmacHeader, 'base64');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
   transformOrders(orders) {
     return orders.map(order => ({
       externalId: order.id.toString(),
@@ -97,13 +223,16 @@ class ShopifyApiClient extends BaseApiClient {
         ordered: new Date(order.created_at),
         updated: new Date(order.updated_at)
       },
-      tags: order.tags ? order.tags.split(', ') : []
+      tags: order.tags ? order.tags.split(', ') : [],
+      cancelled: Boolean(order.cancelled_at),
+      cancelReason: order.cancel_reason || null
     }));
   }
 
   transformProducts(products) {
     return products.map(product => ({
       externalId: product.id.toString(),
+      source: 'shopify',
       title: product.title,
       vendor: product.vendor,
       productType: product.product_type,
@@ -115,6 +244,8 @@ class ShopifyApiClient extends BaseApiClient {
         price: parseFloat(variant.price),
         compareAtPrice: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
         inventoryQuantity: variant.inventory_quantity,
+        // Shopify only counts stock when inventory management is set
+        inventoryTracked: Boolean(variant.inventory_management),
         weight: variant.grams ? variant.grams * 0.035274 : 0,
         weightUnit: 'oz'
       })),
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const BaseApiClient = require('./BaseApiClient');
+
+// Order meta key holding the trackings we pushed, so repeated pushes append
+const TRACKING_META_KEY = '_shipmaster_tracking';
+
+// WooCommerce statuses that mean the order will never ship
+const CANCELLED_STATUSES = ['cancelled', 'refunded', 'failed'];
+
+// Store weight units (Settings > Products) to ounces
+const OUNCES_PER_UNIT = {
+  kg: 35.274,
+  g: 0.035274,
+  lbs: 16,
+  oz: 1
+};
+
+class WooCommerceApiClient extends BaseApiClient {
+  // config.storeUrl is the site root, e.g. https://shop.example.com.
+  // config.baseUrl overrides the whole API root (e.g. a local mock server).
+  getDefaultBaseUrl() {
+    return `${this.config.storeUrl.replace(/\/+$/, '')}/wp-json/wc/v3`;
+  }
+
+  // WooCommerce takes the consumer key/secret as basic auth over HTTPS, and
+  // only accepts OAuth 1.0a signed query parameters over plain HTTP
+  async prepareRequest(endpoint, options) {
+    const config = await super.prepareRequest(endpoint, options);
+
+    if (config.url.startsWith('https://')) {
+      config.auth = { username: this.config.consumerKey, password: this.config.consumerSecret };
+    } else {
+      config.params = this.signRequest(config.method, config.url, config.params || {});
+    }
+
+    return config;
+  }
+
+  signRequest(method, url, params) {
+    const oauthParams = {
+      ...params,
+      oauth_consumer_key: this.config.consumerKey,
+      oauth_nonce: crypto.randomBytes(16).toString('hex'),
+      oauth_signature_method: 'HMAC-SHA256',
+      oauth_timestamp: Math.floor(Date.now() / 1000).toString()
+    };
+
+    const encode = value => encodeURIComponent(value)
+      .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    const paramString = Object.keys(oauthParams)
+      .sort()
+      .map(key => `${encode(key)}=${encode(oauthParams[key])}`)
+      .join('&');
+    const baseString = [method.toUpperCase(), encode(url), encode(paramString)].join('&');
+
+    oauthParams.oauth_signature = crypto
+      .createHmac('sha256', `${this.config.consumerSecret}&`)
+      .update(baseString)
+      .digest('base64');
+
+    return oauthParams;
+  }
+
+  async performHealthCheck() {
+    return await this.makeRequest('/orders', { params: { per_page: 1 } });
+  }
+
+  // One page of orders, oldest first by ID so new orders land on later
+  // pages instead of shifting the ones still to be read. pageInfo is the
+  // page number returned as nextPageInfo by the previous call.
+  async getOrdersPage(params = {}, pageInfo = null) {
+    const page = parseInt(pageInfo) || 1;
+
+    const response = await this.makeRequest('/orders', {
+      params: {
+        per_page: this.integration.syncSettings.batchSize,
+        page,
+        orderby: 'id',
+        order: 'asc',
+        ...params
+      },
+      includeHeaders: true
+    });
+
+    return {
+      orders: this.transformOrders(response.data),
+      nextPageInfo: this.getNextPageInfo(response.headers, page)
+    };
+  }
+
+  // Filters for an incremental or backfill order sync, in the same terms
+  // ApiIntegrationManager uses for every channel
+  buildOrderSyncParams({ updatedAfter, createdFrom, createdTo }) {
+    if (createdFrom || createdTo) {
+      return { after: createdFrom, before: createdTo, dates_are_gmt: true };
+    }
+    return updatedAfter ? { modified_after: updatedAfter, dates_are_gmt: true } : {};
+  }
+
+  // Variable products list their variations separately, so each one costs
+  // an extra request
+  async getProductsPage(params = {}, pageInfo = null) {
+    const page = parseInt(pageInfo) || 1;
+
+    const response = await this.makeRequest('/products', {
+      params: {
+        per_page: this.integration.syncSettings.batchSize,
+        page,
+        orderby: 'id',
+        order: 'asc',
+        ...params
+      },
+      includeHeaders: true
+    });
+
+    const variations = {};
+    for (const product of response.data.filter(p => p.type === 'variable')) {
+      variations[product.id] = await this.makeRequest(`/products/${product.id}/variations`, {
+        params: { per_page: 100 }
+      });
+    }
+
+    return {
+      products: this.transformProducts(response.data, variations),
+      nextPageInfo: this.getNextPageInfo(response.headers, page)
+    };
+  }
+
+  getNextPageInfo(headers, page) {
+    const totalPages = parseInt(headers['x-wp-totalpages']) || 1;
+    return page < totalPages ? String(page + 1) : null;
+  }
+
+  // WooCommerce has no fulfillment object: the tracking is added as a
+  // customer note (which emails the customer) and kept in order meta. The
+  // order is completed once a push covers the whole order.
+  async updateOrderFulfillment(orderId, fulfillmentData) {
+    const trackingUrl = fulfillmentData.trackingUrls?.[0];
+    const note = await this.makeRequest(`/orders/${orderId}/notes`, {
+      method: 'POST',
+      data: {
+        note: `Shipped via ${fulfillmentData.carrier}, tracking number ${fulfillmentData.trackingNumber}${trackingUrl ? `: ${trackingUrl}` : ''}`,
+        customer_note: true
+      }
+    });
+
+    const order = await this.makeRequest(`/orders/${orderId}`);
+    const trackings = order.meta_data?.find(meta => meta.key === TRACKING_META_KEY)?.value || [];
+    const fullOrder = !fulfillmentData.lineItems?.length;
+
+    const updated = await this.makeRequest(`/orders/${orderId}`, {
+      method: 'PUT',
+      data: {
+        ...(fullOrder && { status: 'completed' }),
+        meta_data: [{
+          key: TRACKING_META_KEY,
+          value: [...trackings, {
+            tracking_number: fulfillmentData.trackingNumber,
+            carrier: fulfillmentData.carrier,
+            tracking_url: trackingUrl || null,
+            line_items: fulfillmentData.lineItems || [],
+            shipped_at: new Date().toISOString()
+          }]
+        }]
+      }
+    });
+
+    return { id: note.id, note, order: updated };
+  }
+
+  // The secret is stored by WooCommerce and used to sign every delivery
+  async createWebhook(topic, address) {
+    return await this.makeRequest('/webhooks', {
+      method: 'POST',
+      data: {
+        name: `ShipMaster Pro ${topic}`,
+        topic,
+        delivery_url: address,
+        secret: this.integration.webhooks?.secret
+      }
+    });
+  }
+
+  // Webhook verification. WooCommerce signs the raw request body the same
+  // way Shopify does, so this must run before the body is parsed
+  verifyWebhook(rawBody, signature) {
+    if (!signature || !this.integration.webhooks?.secret) return false;
+
+    const expected = crypto
+      .createHmac('sha256', this.integration.webhooks.secret)
+      .update(rawBody)
+      .digest();
+    const received = Buffer.from(signature, 'base64');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  transformOrders(orders) {
+    return orders.map(order => ({
+      externalId: order.id.toString(),
+      orderNumber: order.number || order.id.toString(),
+      source: 'woocommerce',
+      status: this.mapOrderStatus(order.status),
+      customer: {
+        name: `${order.billing?.first_name || ''} ${order.billing?.last_name || ''}`.trim(),
+        email: order.billing?.email,
+        phone: order.billing?.phone
+      },
+      shippingAddress: this.transformAddress(order.shipping),
+      billingAddress: this.transformAddress(order.billing),
+      // Line items carry no weight
+      items: order.line_items.map(item => ({
+        externalId: item.id.toString(),
+        sku: item.sku,
+        name: item.name,
+        quantity: item.quantity,
+        price: parseFloat(item.price),
+        weight: 0
+      })),
+      totals: {
+        subtotal: order.line_items.reduce((sum, item) => sum + parseFloat(item.subtotal || 0), 0),
+        tax: parseFloat(order.total_tax || 0),
+        shipping: parseFloat(order.shipping_total || 0),
+        discount: parseFloat(order.discount_total || 0),
+        total: parseFloat(order.total)
+      },
+      timestamps: {
+        ordered: this.parseGmtDate(order.date_created_gmt),
+        updated: this.parseGmtDate(order.date_modified_gmt)
+      },
+      tags: [],
+      cancelled: CANCELLED_STATUSES.includes(order.status),
+      cancelReason: CANCELLED_STATUSES.includes(order.status) ? `Order ${order.status} in WooCommerce` : null
+    }));
+  }
+
+  transformProducts(products, variations = {}) {
+    return products.map(product => ({
+      externalId: product.id.toString(),
+      source: 'woocommerce',
+      title: product.name,
+      vendor: null,
+      productType: product.categories?.[0]?.name || null,
+      tags: (product.tags || []).map(tag => tag.name),
+      // Simple products are their own single variant
+      variants: (product.type === 'variable' ? variations[product.id] || [] : [product]).map(variant => ({
+        externalId: variant.id.toString(),
+        sku: variant.sku || null,
+        title: variant.attributes?.length
+          ? variant.attributes.map(attribute => attribute.option).filter(Boolean).join(' / ')
+          : 'Default',
+        price: parseFloat(variant.price || 0),
+        compareAtPrice: variant.sale_price ? parseFloat(variant.regular_price) : null,
+        inventoryQuantity: variant.stock_quantity ?? 0,
+        inventoryTracked: variant.manage_stock === true,
+        weight: this.toOunces(variant.weight || product.weight),
+        weightUnit: 'oz'
+      })),
+      images: (product.images || []).map(img => img.src),
+      createdAt: this.parseGmtDate(product.date_created_gmt),
+      updatedAt: this.parseGmtDate(product.date_modified_gmt)
+    }));
+  }
+
+  transformAddress(address) {
+    if (!address) return null;
+
+    return {
+      name: `${address.first_name || ''} ${address.last_name || ''}`.trim(),
+      company: address.company,
+      address1: address.address_1,
+      address2: address.address_2,
+      city: address.city,
+      state: address.state,
+      zip: address.postcode,
+      country: address.country,
+      phone: address.phone
+    };
+  }
+
+  mapOrderStatus(status) {
+    const statusMap = {
+      'pending': 'pending',
+      'processing': 'pending',
+      'on-hold': 'on_hold',
+      'completed': 'shipped',
+      'cancelled': 'cancelled',
+      'refunded': 'cancelled',
+      'failed': 'cancelled'
+    };
+
+    return statusMap[status] || 'pending';
+  }
+
+  // WooCommerce GMT dates have no timezone suffix
+  parseGmtDate(value) {
+    return value ? new Date(`${value}Z`) : null;
+  }
+
+  toOunces(weight) {
+    const value = parseFloat(weight);
+    if (!value) return 0;
+
+    return value * (OUNCES_PER_UNIT[this.config.weightUnit || 'kg'] || OUNCES_PER_UNIT.kg);
+  }
+}
+
+module.exports = WooCommerceApiClient;
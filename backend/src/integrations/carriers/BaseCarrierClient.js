@@ -0,0 +1,155 @@
+const axios = require('axios');
+
+class BaseCarrierClient {
+  constructor(config = {}) {
+    this.config = config;
+    this.carrier = 'unknown';
+  }
+
+  async makeRequest(endpoint, options = {}) {
+    const requestConfig = await this.prepareRequest(endpoint, options);
+
+    try {
+      const response = await axios(requestConfig);
+      return response.data;
+    } catch (error) {
+      const details = error.response?.data
+        ? (typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data))
+        : error.message;
+      const wrapped = new Error(`${this.carrier.toUpperCase()} request failed: ${details}`);
+      wrapped.status = error.response?.status;
+      wrapped.carrier = this.carrier;
+      throw wrapped;
+    }
+  }
+
+  async prepareRequest(endpoint, options) {
+    const config = {
+      url: this.buildUrl(endpoint),
+      method: options.method || 'GET',
+      headers: { ...this.getDefaultHeaders(), ...options.headers },
+      timeout: options.timeout || this.config.timeout || 30000
+    };
+
+    if (options.data) {
+      config.data = options.data;
+    }
+
+    if (options.params) {
+      config.params = options.params;
+    }
+
+    return config;
+  }
+
+  buildUrl(endpoint) {
+    const baseUrl = this.config.baseUrl || this.getDefaultBaseUrl();
+    return `${baseUrl}${endpoint}`;
+  }
+
+  getDefaultHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ShipMaster-Pro/1.0'
+    };
+  }
+
+  // Build a normalized rate so every carrier returns the same shape
+  normalizeRate({ service, serviceCode, cost, currency = 'USD', transitDays = null, guaranteed = false, estimatedDelivery = null }) {
+    return {
+      carrier: this.carrier,
+      service,
+      serviceCode: serviceCode || service,
+      cost: Math.round(parseFloat(cost) * 100) / 100,
+      currency,
+      transitDays: transitDays !== null && transitDays !== undefined ? parseInt(transitDays) : null,
+      guaranteed: Boolean(guaranteed),
+      estimatedDelivery
+    };
+  }
+
+  // Combine per-package quotes into one quote per service. Services that
+  // are not offered for every package are dropped.
+  mergePackageRates(rateLists) {
+    if (rateLists.length === 1) return rateLists[0];
+
+    const [first, ...rest] = rateLists;
+    return first
+      .filter(rate => rest.every(list => list.some(r => r.serviceCode === rate.serviceCode)))
+      .map(rate => ({
+        ...rate,
+        cost: Math.round(rateLists.reduce((sum, list) => (
+          sum + list.find(r => r.serviceCode === rate.serviceCode).cost
+        ), 0) * 100) / 100
+      }));
+  }
+
+  // Build a normalized purchased label; labelData is base64 encoded
+  normalizeLabel({ trackingNumber, carrierShipmentId = null, cost, currency = 'USD', labelFormat, labelData }) {
+    return {
+      carrier: this.carrier,
+      trackingNumber,
+      carrierShipmentId: carrierShipmentId || trackingNumber,
+      cost: cost !== null && cost !== undefined ? Math.round(parseFloat(cost) * 100) / 100 : null,
+      currency,
+      labelFormat,
+      labelData
+    };
+  }
+
+  splitName(address) {
+    return address.name || address.company || 'Shipping Department';
+  }
+
+  // Package weights are stored in ounces throughout the app
+  toPounds(ounces) {
+    return Math.max(Math.ceil((ounces / 16) * 10) / 10, 0.1);
+  }
+
+  // Minimal XML helpers for the carriers that still speak XML
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  extractXmlBlocks(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+    const blocks = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      blocks.push(match[1]);
+    }
+    return blocks;
+  }
+
+  extractXmlValue(xml, tag) {
+    const [value] = this.extractXmlBlocks(xml, tag);
+    return value !== undefined ? value.trim() : null;
+  }
+
+  // Methods to be implemented by subclasses
+  isConfigured() {
+    throw new Error('isConfigured must be implemented by subclass');
+  }
+
+  getDefaultBaseUrl() {
+    throw new Error('getDefaultBaseUrl must be implemented by subclass');
+  }
+
+  async getRates(shipment) {
+    throw new Error('getRates must be implemented by subclass');
+  }
+
+  async createLabel(shipment, rate, options) {
+    throw new Error(`Label purchase is not supported for ${this.carrier}`);
+  }
+
+  async voidLabel(label) {
+    throw new Error(`Label void is not supported for ${this.carrier}`);
+  }
+}
+
+module.exports = BaseCarrierClient;
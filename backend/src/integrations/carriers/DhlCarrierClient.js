@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const BaseCarrierClient = require('./BaseCarrierClient');
+
+class DhlCarrierClient extends BaseCarrierClient {
+  constructor(config = {}) {
+    super(config);
+    this.carrier = 'dhl';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.siteId && this.config.password);
+  }
+
+  getDefaultBaseUrl() {
+    return process.env.NODE_ENV === 'production'
+      ? 'https://xmlpi-ea.dhl.com'
+      : 'https://xmlpitest-ea.dhl.com';
+  }
+
+  getDefaultHeaders() {
+    return {
+      'Content-Type': 'application/xml',
+      'User-Agent': 'ShipMaster-Pro/1.0'
+    };
+  }
+
+  buildLocation(tag, address) {
+    return `<${tag}>` +
+      `<CountryCode>${this.escapeXml(address.country || 'US')}</CountryCode>` +
+      `<Postalcode>${this.escapeXml(address.zip)}</Postalcode>` +
+      `<City>${this.escapeXml(address.city)}</City>` +
+      `</${tag}>`;
+  }
+
+  buildPiece(pkg, index) {
+    const dimensions = pkg.dimensions
+      ? `<Height>${Math.ceil(pkg.dimensions.height)}</Height>` +
+        `<Depth>${Math.ceil(pkg.dimensions.length)}</Depth>` +
+        `<Width>${Math.ceil(pkg.dimensions.width)}</Width>`
+      : '';
+
+    return '<Piece>' +
+      `<PieceID>${index + 1}</PieceID>` +
+      dimensions +
+      `<Weight>${this.toPounds(pkg.weight)}</Weight>` +
+      '</Piece>';
+  }
+
+  buildQuoteRequest(shipment) {
+    const now = new Date();
+    const isDutiable = (shipment.origin.country || 'US') !== (shipment.destination.country || 'US');
+    const declaredValue = shipment.packages.reduce((sum, pkg) => sum + (pkg.value || 0), 0);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<p:DCTRequest xmlns:p="http://www.dhl.com" xmlns:p1="http://www.dhl.com/datatypes" xmlns:p2="http://www.dhl.com/DCTRequestdatatypes">' +
+      '<GetQuote>' +
+      this.buildServiceHeader() +
+      this.buildLocation('From', shipment.origin) +
+      '<BkgDetails>' +
+      `<PaymentCountryCode>${this.escapeXml(shipment.origin.country || 'US')}</PaymentCountryCode>` +
+      `<Date>${now.toISOString().split('T')[0]}</Date>` +
+      '<ReadyTime>PT10H00M</ReadyTime>' +
+      '<DimensionUnit>IN</DimensionUnit>' +
+      '<WeightUnit>LB</WeightUnit>' +
+      `<Pieces>${shipment.packages.map((pkg, index) => this.buildPiece(pkg, index)).join('')}</Pieces>` +
+      `<IsDutiable>${isDutiable ? 'Y' : 'N'}</IsDutiable>` +
+      '</BkgDetails>' +
+      this.buildLocation('To', shipment.destination) +
+      (isDutiable
+        ? `<Dutiable><DeclaredCurrency>USD</DeclaredCurrency><DeclaredValue>${declaredValue.toFixed(2)}</DeclaredValue></Dutiable>`
+        : '') +
+      '</GetQuote>' +
+      '</p:DCTRequest>';
+  }
+
+  canPurchaseLabels() {
+    return Boolean(this.config.accountNumber);
+  }
+
+  buildServiceHeader() {
+    return '<Request><ServiceHeader>' +
+      `<MessageTime>${new Date().toISOString()}</MessageTime>` +
+      `<MessageReference>${crypto.randomBytes(16).toString('hex')}</MessageReference>` +
+      `<SiteID>${this.escapeXml(this.config.siteId)}</SiteID>` +
+      `<Password>${this.escapeXml(this.config.password)}</Password>` +
+      '</ServiceHeader></Request>';
+  }
+
+  buildParty(tag, address, extra = '') {
+    return `<${tag}>` +
+      extra +
+      `<CompanyName>${this.escapeXml(address.company || this.splitName(address))}</CompanyName>` +
+      `<AddressLine1>${this.escapeXml(address.address1)}</AddressLine1>` +
+      (address.address2 ? `<AddressLine2>${this.escapeXml(address.address2)}</AddressLine2>` : '') +
+      `<City>${this.escapeXml(address.city)}</City>` +
+      `<DivisionCode>${this.escapeXml(address.state)}</DivisionCode>` +
+      `<PostalCode>${this.escapeXml(address.zip)}</PostalCode>` +
+      `<CountryCode>${this.escapeXml(address.country || 'US')}</CountryCode>` +
+      '<Contact>' +
+      `<PersonName>${this.escapeXml(this.splitName(address))}</PersonName>` +
+      `<PhoneNumber>${this.escapeXml(address.phone || '0000000000')}</PhoneNumber>` +
+      '</Contact>' +
+      `</${tag}>`;
+  }
+
+  async createLabel(shipment, rate, options = {}) {
+    if (!this.canPurchaseLabels()) {
+      throw new Error('DHL account number is required to purchase labels');
+    }
+
+    const pkg = shipment.package;
+    const labelFormat = options.labelFormat === 'zpl' ? 'ZPL2' : 'PDF';
+    const specialServices = [
+      options.insurance && pkg.value ? `<SpecialService><SpecialServiceType>II</SpecialServiceType><ChargeValue>${pkg.value.toFixed(2)}</ChargeValue><CurrencyCode>USD</CurrencyCode></SpecialService>` : '',
+      options.saturdayDelivery ? '<SpecialService><SpecialServiceType>AA</SpecialServiceType></SpecialService>' : ''
+    ].join('');
+
+    const request = '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<req:ShipmentRequest xmlns:req="http://www.dhl.com" schemaVersion="10.0">' +
+      this.buildServiceHeader() +
+      '<RegionCode>AM</RegionCode>' +
+      '<LanguageCode>en</LanguageCode>' +
+      '<Billing>' +
+      `<ShipperAccountNumber>${this.escapeXml(this.config.accountNumber)}</ShipperAccountNumber>` +
+      '<ShippingPaymentType>S</ShippingPaymentType>' +
+      '</Billing>' +
+      this.buildParty('Consignee', shipment.destination) +
+      `<Reference><ReferenceID>${this.escapeXml(shipment.reference)}</ReferenceID></Reference>` +
+      '<ShipmentDetails>' +
+      `<Pieces>${this.buildPiece(pkg, 0)}</Pieces>` +
+      '<WeightUnit>L</WeightUnit>' +
+      `<GlobalProductCode>${this.escapeXml(rate.serviceCode)}</GlobalProductCode>` +
+      `<Date>${new Date().toISOString().split('T')[0]}</Date>` +
+      `<Contents>${this.escapeXml(shipment.contents || 'Merchandise')}</Contents>` +
+      '<DimensionUnit>I</DimensionUnit>' +
+      '<CurrencyCode>USD</CurrencyCode>' +
+      '</ShipmentDetails>' +
+      this.buildParty('Shipper', shipment.origin, `<ShipperID>${this.escapeXml(this.config.accountNumber)}</ShipperID>`) +
+      specialServices +
+      `<LabelImageFormat>${labelFormat}</LabelImageFormat>` +
+      '</req:ShipmentRequest>';
+
+    const response = await this.makeRequest('/XMLShippingServlet', {
+      method: 'POST',
+      data: request
+    });
+
+    const trackingNumber = this.extractXmlValue(response, 'AirwayBillNumber');
+    if (!trackingNumber) {
+      throw new Error(`DHL: ${this.extractXmlValue(response, 'ConditionData') || 'Shipment request failed'}`);
+    }
+
+    return this.normalizeLabel({
+      trackingNumber,
+      cost: this.extractXmlValue(response, 'ShippingCharge'),
+      currency: this.extractXmlValue(response, 'CurrencyCode') || 'USD',
+      labelFormat: labelFormat === 'PDF' ? 'pdf' : 'zpl',
+      labelData: this.extractXmlValue(response, 'OutputImage')
+    });
+  }
+
+  // DHL Express has no void call; unscanned waybills are never billed
+  async voidLabel(label) {
+    return { voided: true, refundStatus: 'not_billed' };
+  }
+
+  async getRates(shipment) {
+    const response = await this.makeRequest('/XMLShippingServlet', {
+      method: 'POST',
+      data: this.buildQuoteRequest(shipment)
+    });
+
+    const conditions = this.extractXmlBlocks(response, 'Condition');
+    if (conditions.length && !response.includes('<QtdShp>')) {
+      throw new Error(`DHL: ${this.extractXmlValue(conditions[0], 'ConditionData') || 'Quote request failed'}`);
+    }
+
+    return this.extractXmlBlocks(response, 'QtdShp')
+      .filter(quote => parseFloat(this.extractXmlValue(quote, 'ShippingCharge')) > 0)
+      .map(quote => this.normalizeRate({
+        service: `DHL ${this.extractXmlValue(quote, 'ProductShortName')}`,
+        serviceCode: this.extractXmlValue(quote, 'GlobalProductCode'),
+        cost: this.extractXmlValue(quote, 'ShippingCharge'),
+        currency: this.extractXmlValue(quote, 'CurrencyCode') || 'USD',
+        transitDays: this.extractXmlValue(quote, 'TotalTransitDays'),
+        // DHL Express products are all time-definite
+        guaranteed: true,
+        estimatedDelivery: this.extractXmlValue(quote, 'DeliveryDate')
+      }));
+  }
+}
+
+module.exports = DhlCarrierClient;
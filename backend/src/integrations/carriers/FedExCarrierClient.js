@@ -0,0 +1,258 @@
+const BaseCarrierClient = require('./BaseCarrierClient');
+
+const FEDEX_SERVICES = {
+  FIRST_OVERNIGHT: 'FedEx First Overnight',
+  PRIORITY_OVERNIGHT: 'FedEx Priority Overnight',
+  STANDARD_OVERNIGHT: 'FedEx Standard Overnight',
+  FEDEX_2_DAY_AM: 'FedEx 2Day A.M.',
+  FEDEX_2_DAY: 'FedEx 2Day',
+  FEDEX_EXPRESS_SAVER: 'FedEx Express Saver',
+  FEDEX_GROUND: 'FedEx Ground',
+  GROUND_HOME_DELIVERY: 'FedEx Home Delivery',
+  INTERNATIONAL_PRIORITY: 'FedEx International Priority',
+  INTERNATIONAL_ECONOMY: 'FedEx International Economy'
+};
+
+const TRANSIT_TIMES = {
+  ONE_DAY: 1,
+  TWO_DAYS: 2,
+  THREE_DAYS: 3,
+  FOUR_DAYS: 4,
+  FIVE_DAYS: 5,
+  SIX_DAYS: 6,
+  SEVEN_DAYS: 7
+};
+
+// Ground services are not covered by the money-back guarantee here
+const NON_GUARANTEED_SERVICES = ['FEDEX_GROUND', 'GROUND_HOME_DELIVERY'];
+
+class FedExCarrierClient extends BaseCarrierClient {
+  constructor(config = {}) {
+    super(config);
+    this.carrier = 'fedex';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.key && this.config.password && this.config.accountNumber && this.config.meterNumber);
+  }
+
+  getDefaultBaseUrl() {
+    return process.env.NODE_ENV === 'production'
+      ? 'https://ws.fedex.com:443'
+      : 'https://wsbeta.fedex.com:443';
+  }
+
+  getDefaultHeaders() {
+    return {
+      'Content-Type': 'text/xml',
+      'User-Agent': 'ShipMaster-Pro/1.0'
+    };
+  }
+
+  buildAddress(address, residential = false) {
+    const streets = [address.address1, address.address2]
+      .filter(Boolean)
+      .map(line => `<StreetLines>${this.escapeXml(line)}</StreetLines>`)
+      .join('');
+
+    return '<Address>' +
+      streets +
+      `<City>${this.escapeXml(address.city)}</City>` +
+      `<StateOrProvinceCode>${this.escapeXml(address.state)}</StateOrProvinceCode>` +
+      `<PostalCode>${this.escapeXml(address.zip)}</PostalCode>` +
+      `<CountryCode>${this.escapeXml(address.country || 'US')}</CountryCode>` +
+      (residential ? '<Residential>true</Residential>' : '') +
+      '</Address>';
+  }
+
+  buildPackage(pkg, index) {
+    const dimensions = pkg.dimensions
+      ? '<Dimensions>' +
+        `<Length>${Math.ceil(pkg.dimensions.length)}</Length>` +
+        `<Width>${Math.ceil(pkg.dimensions.width)}</Width>` +
+        `<Height>${Math.ceil(pkg.dimensions.height)}</Height>` +
+        '<Units>IN</Units>' +
+        '</Dimensions>'
+      : '';
+
+    return '<RequestedPackageLineItems>' +
+      `<SequenceNumber>${index + 1}</SequenceNumber>` +
+      '<GroupPackageCount>1</GroupPackageCount>' +
+      `<Weight><Units>LB</Units><Value>${this.toPounds(pkg.weight)}</Value></Weight>` +
+      dimensions +
+      '</RequestedPackageLineItems>';
+  }
+
+  buildRateRequest(shipment) {
+    return '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="http://fedex.com/ws/rate/v28">' +
+      '<soapenv:Body><RateRequest>' +
+      this.buildAuthentication('crs', 28) +
+      '<ReturnTransitAndCommit>true</ReturnTransitAndCommit>' +
+      '<RequestedShipment>' +
+      '<DropoffType>REGULAR_PICKUP</DropoffType>' +
+      '<PackagingType>YOUR_PACKAGING</PackagingType>' +
+      `<Shipper>${this.buildAddress(shipment.origin)}</Shipper>` +
+      `<Recipient>${this.buildAddress(shipment.destination, shipment.destination.residential)}</Recipient>` +
+      '<RateRequestTypes>NONE</RateRequestTypes>' +
+      `<PackageCount>${shipment.packages.length}</PackageCount>` +
+      shipment.packages.map((pkg, index) => this.buildPackage(pkg, index)).join('') +
+      '</RequestedShipment>' +
+      '</RateRequest></soapenv:Body></soapenv:Envelope>';
+  }
+
+  async getRates(shipment) {
+    const response = await this.makeRequest('/web-services/rate', {
+      method: 'POST',
+      data: this.buildRateRequest(shipment)
+    });
+
+    const severity = this.extractXmlValue(response, 'HighestSeverity');
+    if (severity === 'ERROR' || severity === 'FAILURE') {
+      throw new Error(`FedEx: ${this.extractXmlValue(response, 'Message') || 'Rate request failed'}`);
+    }
+
+    return this.extractXmlBlocks(response, 'RateReplyDetails').map(detail => {
+      const serviceType = this.extractXmlValue(detail, 'ServiceType');
+      const [shipmentRate] = this.extractXmlBlocks(detail, 'ShipmentRateDetail');
+      const [netCharge = ''] = this.extractXmlBlocks(shipmentRate || detail, 'TotalNetCharge');
+      const transitTime = this.extractXmlValue(detail, 'TransitTime');
+      const deliveryTimestamp = this.extractXmlValue(detail, 'DeliveryTimestamp');
+
+      return this.normalizeRate({
+        service: FEDEX_SERVICES[serviceType] || serviceType,
+        serviceCode: serviceType,
+        cost: this.extractXmlValue(netCharge, 'Amount'),
+        currency: this.extractXmlValue(netCharge, 'Currency') || 'USD',
+        transitDays: TRANSIT_TIMES[transitTime] || this.daysUntil(deliveryTimestamp),
+        guaranteed: !NON_GUARANTEED_SERVICES.includes(serviceType),
+        estimatedDelivery: deliveryTimestamp
+      });
+    });
+  }
+
+  buildAuthentication(serviceId, major) {
+    return '<WebAuthenticationDetail><UserCredential>' +
+      `<Key>${this.escapeXml(this.config.key)}</Key>` +
+      `<Password>${this.escapeXml(this.config.password)}</Password>` +
+      '</UserCredential></WebAuthenticationDetail>' +
+      '<ClientDetail>' +
+      `<AccountNumber>${this.escapeXml(this.config.accountNumber)}</AccountNumber>` +
+      `<MeterNumber>${this.escapeXml(this.config.meterNumber)}</MeterNumber>` +
+      '</ClientDetail>' +
+      `<Version><ServiceId>${serviceId}</ServiceId><Major>${major}</Major><Intermediate>0</Intermediate><Minor>0</Minor></Version>`;
+  }
+
+  buildParty(tag, address, residential = false) {
+    return `<${tag}><Contact>` +
+      `<PersonName>${this.escapeXml(this.splitName(address))}</PersonName>` +
+      (address.company ? `<CompanyName>${this.escapeXml(address.company)}</CompanyName>` : '') +
+      `<PhoneNumber>${this.escapeXml((address.phone || '').replace(/\D/g, '') || '0000000000')}</PhoneNumber>` +
+      `</Contact>${this.buildAddress(address, residential)}</${tag}>`;
+  }
+
+  buildSpecialServices(options) {
+    const services = [];
+    if (options.saturdayDelivery) services.push('<SpecialServiceTypes>SATURDAY_DELIVERY</SpecialServiceTypes>');
+    return services.length ? `<SpecialServicesRequested>${services.join('')}</SpecialServicesRequested>` : '';
+  }
+
+  buildLabelPackage(pkg, options) {
+    const signature = options.signatureRequired
+      ? '<SpecialServicesRequested><SpecialServiceTypes>SIGNATURE_OPTION</SpecialServiceTypes>' +
+        '<SignatureOptionDetail><OptionType>DIRECT</OptionType></SignatureOptionDetail></SpecialServicesRequested>'
+      : '';
+    const insuredValue = options.insurance && pkg.value
+      ? `<InsuredValue><Currency>USD</Currency><Amount>${pkg.value.toFixed(2)}</Amount></InsuredValue>`
+      : '';
+
+    return this.buildPackage(pkg, 0)
+      .replace('<Weight>', `${insuredValue}<Weight>`)
+      .replace('</RequestedPackageLineItems>', `${signature}</RequestedPackageLineItems>`);
+  }
+
+  async createLabel(shipment, rate, options = {}) {
+    const imageType = options.labelFormat === 'zpl' ? 'ZPLII' : 'PDF';
+    const request = '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="http://fedex.com/ws/ship/v26">' +
+      '<soapenv:Body><ProcessShipmentRequest>' +
+      this.buildAuthentication('ship', 26) +
+      '<RequestedShipment>' +
+      `<ShipTimestamp>${new Date().toISOString()}</ShipTimestamp>` +
+      '<DropoffType>REGULAR_PICKUP</DropoffType>' +
+      `<ServiceType>${this.escapeXml(rate.serviceCode)}</ServiceType>` +
+      '<PackagingType>YOUR_PACKAGING</PackagingType>' +
+      this.buildParty('Shipper', shipment.origin) +
+      this.buildParty('Recipient', shipment.destination, shipment.destination.residential) +
+      '<ShippingChargesPayment><PaymentType>SENDER</PaymentType><Payor><ResponsibleParty>' +
+      `<AccountNumber>${this.escapeXml(this.config.accountNumber)}</AccountNumber>` +
+      '</ResponsibleParty></Payor></ShippingChargesPayment>' +
+      this.buildSpecialServices(options) +
+      '<LabelSpecification>' +
+      '<LabelFormatType>COMMON2D</LabelFormatType>' +
+      `<ImageType>${imageType}</ImageType>` +
+      `<LabelStockType>${imageType === 'PDF' ? 'PAPER_4X6' : 'STOCK_4X6'}</LabelStockType>` +
+      '</LabelSpecification>' +
+      '<PackageCount>1</PackageCount>' +
+      this.buildLabelPackage(shipment.package, options) +
+      '</RequestedShipment>' +
+      '</ProcessShipmentRequest></soapenv:Body></soapenv:Envelope>';
+
+    const response = await this.makeRequest('/web-services/ship', {
+      method: 'POST',
+      data: request
+    });
+
+    const severity = this.extractXmlValue(response, 'HighestSeverity');
+    if (severity === 'ERROR' || severity === 'FAILURE') {
+      throw new Error(`FedEx: ${this.extractXmlValue(response, 'Message') || 'Ship request failed'}`);
+    }
+
+    const [trackingIds = ''] = this.extractXmlBlocks(response, 'TrackingIds');
+    const [netCharge = ''] = this.extractXmlBlocks(response, 'TotalNetCharge');
+    const [label = ''] = this.extractXmlBlocks(response, 'Label');
+
+    return this.normalizeLabel({
+      trackingNumber: this.extractXmlValue(trackingIds, 'TrackingNumber'),
+      carrierShipmentId: `${this.extractXmlValue(trackingIds, 'TrackingIdType')}:${this.extractXmlValue(trackingIds, 'TrackingNumber')}`,
+      cost: this.extractXmlValue(netCharge, 'Amount'),
+      currency: this.extractXmlValue(netCharge, 'Currency') || 'USD',
+      labelFormat: imageType === 'PDF' ? 'pdf' : 'zpl',
+      labelData: this.extractXmlValue(label, 'Image')
+    });
+  }
+
+  async voidLabel(label) {
+    const [trackingIdType, trackingNumber] = (label.carrierShipmentId || '').includes(':')
+      ? label.carrierShipmentId.split(':')
+      : ['EXPRESS', label.trackingNumber];
+
+    const request = '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="http://fedex.com/ws/ship/v26">' +
+      '<soapenv:Body><DeleteShipmentRequest>' +
+      this.buildAuthentication('ship', 26) +
+      '<TrackingId>' +
+      `<TrackingIdType>${this.escapeXml(trackingIdType)}</TrackingIdType>` +
+      `<TrackingNumber>${this.escapeXml(trackingNumber)}</TrackingNumber>` +
+      '</TrackingId>' +
+      '<DeletionControl>DELETE_ALL_PACKAGES</DeletionControl>' +
+      '</DeleteShipmentRequest></soapenv:Body></soapenv:Envelope>';
+
+    const response = await this.makeRequest('/web-services/ship', {
+      method: 'POST',
+      data: request
+    });
+
+    const severity = this.extractXmlValue(response, 'HighestSeverity');
+    if (severity === 'ERROR' || severity === 'FAILURE') {
+      throw new Error(`FedEx: ${this.extractXmlValue(response, 'Message') || 'Delete request failed'}`);
+    }
+
+    // Deleted FedEx shipments are never billed
+    return { voided: true, refundStatus: 'not_billed' };
+  }
+
+  daysUntil(timestamp) {
+    if (!timestamp) return null;
+    return Math.max(Math.ceil((new Date(timestamp) - Date.now()) / (24 * 60 * 60 * 1000)), 1);
+  }
+}
+
+module.exports = FedExCarrierClient;
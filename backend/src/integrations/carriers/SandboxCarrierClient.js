@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const BaseCarrierClient = require('./BaseCarrierClient');
+
+// Offline carrier with deterministic pricing, used for development and tests
+const SANDBOX_SERVICES = [
+  { code: 'SANDBOX_GROUND', name: 'Sandbox Ground', base: 6.5, perPound: 0.55, perZone: 0.45, days: [2, 6], guaranteed: false },
+  { code: 'SANDBOX_PRIORITY', name: 'Sandbox Priority', base: 9.25, perPound: 0.9, perZone: 0.8, days: [1, 3], guaranteed: false },
+  { code: 'SANDBOX_EXPRESS', name: 'Sandbox Express', base: 24, perPound: 1.75, perZone: 2.1, days: [1, 1], guaranteed: true }
+];
+
+class SandboxCarrierClient extends BaseCarrierClient {
+  constructor(config = {}) {
+    super(config);
+    this.carrier = 'sandbox';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getDefaultBaseUrl() {
+    return 'sandbox://carrier';
+  }
+
+  // Rough zone from the distance between 3-digit ZIP prefixes (1-8)
+  getZone(origin, destination) {
+    if ((origin.country || 'US') !== (destination.country || 'US')) return 8;
+
+    const from = parseInt((origin.zip || '').substring(0, 3)) || 0;
+    const to = parseInt((destination.zip || '').substring(0, 3)) || 0;
+    return Math.min(Math.floor(Math.abs(from - to) / 125) + 1, 8);
+  }
+
+  async getRates(shipment) {
+    if (this.config.latencyMs) {
+      await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+    }
+
+    const zone = this.getZone(shipment.origin, shipment.destination);
+    const pounds = shipment.packages.reduce((sum, pkg) => sum + this.toPounds(pkg.weight), 0);
+    const residentialFee = shipment.destination.residential ? 1.5 : 0;
+
+    return SANDBOX_SERVICES.map(service => {
+      const [minDays, maxDays] = service.days;
+      const transitDays = Math.min(minDays + Math.floor((zone - 1) / 2), maxDays);
+
+      return this.normalizeRate({
+        service: service.name,
+        serviceCode: service.code,
+        cost: (service.base + service.perZone * zone + residentialFee) * shipment.packages.length + service.perPound * pounds,
+        transitDays,
+        guaranteed: service.guaranteed
+      });
+    });
+  }
+
+  async createLabel(shipment, rate, options = {}) {
+    if (this.config.latencyMs) {
+      await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+    }
+
+    const [quote] = (await this.getRates({ ...shipment, packages: [shipment.package] }))
+      .filter(r => r.serviceCode === rate.serviceCode || r.service === rate.service);
+
+    if (!quote) {
+      throw new Error(`Sandbox: unknown service ${rate.service}`);
+    }
+
+    const trackingNumber = `SBX${crypto.randomInt(100000000, 999999999)}${crypto.randomInt(1000, 9999)}`;
+    const destination = shipment.destination;
+    const lines = [
+      quote.service.toUpperCase(),
+      '',
+      'SHIP TO:',
+      this.splitName(destination),
+      destination.address1,
+      destination.address2,
+      `${destination.city}, ${destination.state} ${destination.zip}`,
+      destination.country || 'US',
+      '',
+      `TRACKING #: ${trackingNumber}`,
+      `REF: ${shipment.reference || ''}`,
+      'SANDBOX LABEL - NOT VALID FOR SHIPPING'
+    ].filter(line => line !== undefined && line !== null);
+
+    const labelFormat = options.labelFormat === 'zpl' ? 'zpl' : 'pdf';
+    const labelData = labelFormat === 'zpl' ? this.buildZplLabel(lines, trackingNumber) : this.buildPdfLabel(lines);
+
+    return this.normalizeLabel({
+      trackingNumber,
+      cost: quote.cost,
+      labelFormat,
+      labelData: Buffer.from(labelData, 'binary').toString('base64')
+    });
+  }
+
+  async voidLabel(label) {
+    return { voided: true, refundStatus: 'approved' };
+  }
+
+  buildZplLabel(lines, trackingNumber) {
+    const fields = lines.map((line, index) => `^FO40,${40 + index * 45}^A0N,35,35^FD${line}^FS`).join('');
+    return `^XA${fields}^FO40,${80 + lines.length * 45}^BCN,120,Y,N,N^FD${trackingNumber}^FS^XZ`;
+  }
+
+  // Single 4x6 page with the label text, written without a PDF library
+  buildPdfLabel(lines) {
+    const escape = text => String(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+    const content = 'BT /F1 12 Tf 24 400 Td 16 TL ' +
+      lines.map(line => `(${escape(line)}) Tj T*`).join(' ') +
+      ' ET';
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 432] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return pdf;
+  }
+}
+
+module.exports = SandboxCarrierClient;
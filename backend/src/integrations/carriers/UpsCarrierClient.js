@@ -0,0 +1,234 @@
+const BaseCarrierClient = require('./BaseCarrierClient');
+
+const UPS_SERVICES = {
+  '01': 'UPS Next Day Air',
+  '02': 'UPS 2nd Day Air',
+  '03': 'UPS Ground',
+  '07': 'UPS Worldwide Express',
+  '08': 'UPS Worldwide Expedited',
+  '11': 'UPS Standard',
+  '12': 'UPS 3 Day Select',
+  '13': 'UPS Next Day Air Saver',
+  '14': 'UPS Next Day Air Early',
+  '54': 'UPS Worldwide Express Plus',
+  '59': 'UPS 2nd Day Air A.M.',
+  '65': 'UPS Worldwide Saver'
+};
+
+// Day-definite services without a guarantee
+const NON_GUARANTEED_SERVICES = ['03', '11'];
+
+class UpsCarrierClient extends BaseCarrierClient {
+  constructor(config = {}) {
+    super(config);
+    this.carrier = 'ups';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.accessKey && this.config.username && this.config.password);
+  }
+
+  canPurchaseLabels() {
+    return Boolean(this.config.accountNumber);
+  }
+
+  getDefaultBaseUrl() {
+    return process.env.NODE_ENV === 'production'
+      ? 'https://onlinetools.ups.com/rest'
+      : 'https://wwwcie.ups.com/rest';
+  }
+
+  getSecurity() {
+    return {
+      UsernameToken: {
+        Username: this.config.username,
+        Password: this.config.password
+      },
+      ServiceAccessToken: {
+        AccessLicenseNumber: this.config.accessKey
+      }
+    };
+  }
+
+  transformAddress(address, residential = false) {
+    const transformed = {
+      Address: {
+        AddressLine: [address.address1, address.address2].filter(Boolean),
+        City: address.city,
+        StateProvinceCode: address.state,
+        PostalCode: address.zip,
+        CountryCode: address.country || 'US'
+      }
+    };
+
+    if (residential) {
+      transformed.Address.ResidentialAddressIndicator = '';
+    }
+
+    return transformed;
+  }
+
+  transformPackage(pkg) {
+    const transformed = {
+      PackagingType: { Code: '02' },
+      PackageWeight: {
+        UnitOfMeasurement: { Code: 'LBS' },
+        Weight: this.toPounds(pkg.weight).toString()
+      }
+    };
+
+    if (pkg.dimensions) {
+      transformed.Dimensions = {
+        UnitOfMeasurement: { Code: 'IN' },
+        Length: pkg.dimensions.length.toString(),
+        Width: pkg.dimensions.width.toString(),
+        Height: pkg.dimensions.height.toString()
+      };
+    }
+
+    return transformed;
+  }
+
+  transformParty(address, extra = {}) {
+    return {
+      Name: this.splitName(address).substring(0, 35),
+      AttentionName: (address.name || '').substring(0, 35),
+      Phone: { Number: (address.phone || '').replace(/\D/g, '') || '0000000000' },
+      ...extra,
+      ...this.transformAddress(address, address.residential)
+    };
+  }
+
+  async createLabel(shipment, rate, options = {}) {
+    if (!this.canPurchaseLabels()) {
+      throw new Error('UPS account number is required to purchase labels');
+    }
+
+    const pkg = this.transformPackage(shipment.package);
+    pkg.Packaging = pkg.PackagingType;
+    delete pkg.PackagingType;
+
+    if (options.signatureRequired) {
+      pkg.PackageServiceOptions = { DeliveryConfirmation: { DCISType: '2' } };
+    }
+    if (options.insurance && shipment.package.value) {
+      pkg.PackageServiceOptions = {
+        ...pkg.PackageServiceOptions,
+        DeclaredValue: { CurrencyCode: 'USD', MonetaryValue: shipment.package.value.toFixed(2) }
+      };
+    }
+
+    const request = {
+      UPSSecurity: this.getSecurity(),
+      ShipmentRequest: {
+        Request: { RequestOption: 'nonvalidate' },
+        Shipment: {
+          Description: shipment.reference,
+          Shipper: this.transformParty(shipment.origin, { ShipperNumber: this.config.accountNumber }),
+          ShipFrom: this.transformParty(shipment.origin),
+          ShipTo: this.transformParty(shipment.destination),
+          PaymentInformation: {
+            ShipmentCharge: { Type: '01', BillShipper: { AccountNumber: this.config.accountNumber } }
+          },
+          Service: { Code: rate.serviceCode },
+          Package: pkg,
+          ...(options.saturdayDelivery && { ShipmentServiceOptions: { SaturdayDeliveryIndicator: '' } }),
+          ReferenceNumber: { Value: shipment.reference }
+        },
+        // The UPS label API has no PDF output; GIF is the printable image format
+        LabelSpecification: options.labelFormat === 'zpl'
+          ? { LabelImageFormat: { Code: 'ZPL' }, LabelStockSize: { Height: '6', Width: '4' } }
+          : { LabelImageFormat: { Code: 'GIF' } }
+      }
+    };
+
+    const response = await this.makeRequest('/Ship', {
+      method: 'POST',
+      data: request
+    });
+
+    if (response.Fault) {
+      const detail = response.Fault.detail?.Errors?.ErrorDetail?.PrimaryErrorCode?.Description;
+      throw new Error(`UPS: ${detail || 'Ship request failed'}`);
+    }
+
+    const results = response.ShipmentResponse.ShipmentResults;
+    const packageResults = [].concat(results.PackageResults)[0];
+    const charges = results.NegotiatedRateCharges?.TotalCharge || results.ShipmentCharges.TotalCharges;
+
+    return this.normalizeLabel({
+      trackingNumber: packageResults.TrackingNumber,
+      carrierShipmentId: results.ShipmentIdentificationNumber,
+      cost: charges.MonetaryValue,
+      currency: charges.CurrencyCode,
+      labelFormat: options.labelFormat === 'zpl' ? 'zpl' : 'gif',
+      labelData: packageResults.ShippingLabel.GraphicImage
+    });
+  }
+
+  async voidLabel(label) {
+    const response = await this.makeRequest('/Void', {
+      method: 'POST',
+      data: {
+        UPSSecurity: this.getSecurity(),
+        VoidShipmentRequest: {
+          Request: {},
+          VoidShipment: { ShipmentIdentificationNumber: label.carrierShipmentId }
+        }
+      }
+    });
+
+    if (response.Fault) {
+      const detail = response.Fault.detail?.Errors?.ErrorDetail?.PrimaryErrorCode?.Description;
+      throw new Error(`UPS: ${detail || 'Void request failed'}`);
+    }
+
+    // UPS does not bill voided shipments
+    return { voided: true, refundStatus: 'not_billed' };
+  }
+
+  async getRates(shipment) {
+    const request = {
+      UPSSecurity: this.getSecurity(),
+      RateRequest: {
+        Request: { RequestOption: 'Shoptimeintransit' },
+        Shipment: {
+          Shipper: this.transformAddress(shipment.origin),
+          ShipFrom: this.transformAddress(shipment.origin),
+          ShipTo: this.transformAddress(shipment.destination, shipment.destination.residential),
+          Package: shipment.packages.map(pkg => this.transformPackage(pkg)),
+          DeliveryTimeInformation: { PackageBillType: '03' }
+        }
+      }
+    };
+
+    const response = await this.makeRequest('/Rate', {
+      method: 'POST',
+      data: request
+    });
+
+    if (response.Fault) {
+      const detail = response.Fault.detail?.Errors?.ErrorDetail?.PrimaryErrorCode?.Description;
+      throw new Error(`UPS: ${detail || 'Rate request failed'}`);
+    }
+
+    const ratedShipments = [].concat(response.RateResponse?.RatedShipment || []);
+
+    return ratedShipments.map(rated => {
+      const code = rated.Service.Code;
+      const estimate = rated.TimeInTransit?.ServiceSummary?.EstimatedArrival;
+
+      return this.normalizeRate({
+        service: UPS_SERVICES[code] || `UPS Service ${code}`,
+        serviceCode: code,
+        cost: rated.NegotiatedRateCharges?.TotalCharge?.MonetaryValue || rated.TotalCharges.MonetaryValue,
+        currency: rated.TotalCharges.CurrencyCode,
+        transitDays: rated.GuaranteedDelivery?.BusinessDaysInTransit || estimate?.BusinessDaysInTransit || null,
+        guaranteed: !NON_GUARANTEED_SERVICES.includes(code),
+        estimatedDelivery: estimate?.Arrival?.Date || null
+      });
+    });
+  }
+}
+
+module.exports = UpsCarrierClient;
@@ -0,0 +1,177 @@
+const BaseCarrierClient = require('./BaseCarrierClient');
+
+class UspsCarrierClient extends BaseCarrierClient {
+  constructor(config = {}) {
+    super(config);
+    this.carrier = 'usps';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.userId);
+  }
+
+  getDefaultBaseUrl() {
+    return process.env.NODE_ENV === 'production'
+      ? 'https://secure.shippingapis.com'
+      : 'https://stg-secure.shippingapis.com';
+  }
+
+  getDefaultHeaders() {
+    return {
+      'User-Agent': 'ShipMaster-Pro/1.0'
+    };
+  }
+
+  async getRates(shipment) {
+    // Web Tools RateV4 only quotes domestic mail
+    if ((shipment.destination.country || 'US') !== 'US') {
+      return [];
+    }
+
+    const rateLists = await Promise.all(shipment.packages.map(pkg => this.getPackageRates(shipment, pkg)));
+    return this.mergePackageRates(rateLists);
+  }
+
+  async getPackageRates(shipment, pkg) {
+    const dimensions = pkg.dimensions || {};
+    const xml = `<RateV4Request USERID="${this.escapeXml(this.config.userId)}">` +
+      '<Revision>2</Revision>' +
+      '<Package ID="0">' +
+      '<Service>ALL</Service>' +
+      `<ZipOrigination>${this.escapeXml(shipment.origin.zip.substring(0, 5))}</ZipOrigination>` +
+      `<ZipDestination>${this.escapeXml(shipment.destination.zip.substring(0, 5))}</ZipDestination>` +
+      '<Pounds>0</Pounds>' +
+      `<Ounces>${Math.ceil(pkg.weight)}</Ounces>` +
+      '<Container></Container>' +
+      `<Width>${dimensions.width || ''}</Width>` +
+      `<Length>${dimensions.length || ''}</Length>` +
+      `<Height>${dimensions.height || ''}</Height>` +
+      '<Machinable>true</Machinable>' +
+      '</Package>' +
+      '</RateV4Request>';
+
+    const response = await this.makeRequest('/ShippingAPI.dll', {
+      params: { API: 'RateV4', XML: xml }
+    });
+
+    const error = this.extractXmlValue(response, 'Description');
+    if (error && !response.includes('<Postage')) {
+      throw new Error(`USPS: ${error}`);
+    }
+
+    return this.extractXmlBlocks(response, 'Postage').map(postage => {
+      const service = this.cleanServiceName(this.extractXmlValue(postage, 'MailService'));
+      const commitmentDays = this.extractXmlValue(postage, 'CommitmentDays');
+
+      return this.normalizeRate({
+        service,
+        serviceCode: service,
+        cost: this.extractXmlValue(postage, 'Rate'),
+        transitDays: commitmentDays ? parseInt(commitmentDays) : null,
+        // Priority Mail Express is the only money-back guaranteed USPS service
+        guaranteed: /express/i.test(service)
+      });
+    });
+  }
+
+  // eVS labels are single-piece, so a shipment carries one package
+  async createLabel(shipment, rate, options = {}) {
+    const { origin, destination } = shipment;
+    const pkg = shipment.package;
+    const dimensions = pkg.dimensions || {};
+    const imageType = options.labelFormat === 'zpl' ? 'ZPL203DPI' : 'PDF';
+
+    const xml = `<eVSRequest USERID="${this.escapeXml(this.config.userId)}">` +
+      '<Option/><Revision>1</Revision>' +
+      '<ImageParameters><ImageParameter>4X6LABEL</ImageParameter></ImageParameters>' +
+      this.buildAddressXml('From', origin) +
+      this.buildAddressXml('To', destination) +
+      `<WeightInOunces>${Math.ceil(pkg.weight)}</WeightInOunces>` +
+      `<ServiceType>${this.getServiceType(rate.serviceCode || rate.service)}</ServiceType>` +
+      '<Container>VARIABLE</Container>' +
+      `<Width>${dimensions.width || ''}</Width>` +
+      `<Length>${dimensions.length || ''}</Length>` +
+      `<Height>${dimensions.height || ''}</Height>` +
+      `<CustomerRefNo>${this.escapeXml(shipment.reference)}</CustomerRefNo>` +
+      this.buildExtraServices(options) +
+      '<ReceiptOption>NONE</ReceiptOption>' +
+      `<ImageType>${imageType}</ImageType>` +
+      '</eVSRequest>';
+
+    const response = await this.makeRequest('/ShippingAPI.dll', {
+      method: 'POST',
+      data: new URLSearchParams({ API: 'eVS', XML: xml }).toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    const trackingNumber = this.extractXmlValue(response, 'BarcodeNumber');
+    if (!trackingNumber) {
+      throw new Error(`USPS: ${this.extractXmlValue(response, 'Description') || 'Label request failed'}`);
+    }
+
+    return this.normalizeLabel({
+      trackingNumber,
+      cost: this.extractXmlValue(response, 'Postage'),
+      labelFormat: options.labelFormat === 'zpl' ? 'zpl' : 'pdf',
+      labelData: this.extractXmlValue(response, 'LabelImage')
+    });
+  }
+
+  async voidLabel(label) {
+    const xml = `<eVSCancelRequest USERID="${this.escapeXml(this.config.userId)}">` +
+      `<BarcodeNumber>${this.escapeXml(label.trackingNumber)}</BarcodeNumber>` +
+      '</eVSCancelRequest>';
+
+    const response = await this.makeRequest('/ShippingAPI.dll', {
+      params: { API: 'eVSCancel', XML: xml }
+    });
+
+    const status = this.extractXmlValue(response, 'Status');
+    if (status !== 'Cancelled') {
+      throw new Error(`USPS: ${this.extractXmlValue(response, 'Reason') || 'Label could not be cancelled'}`);
+    }
+
+    // USPS refunds unused eVS postage automatically
+    return { voided: true, refundStatus: 'approved' };
+  }
+
+  // eVS puts the suite in Address1 and the street in Address2
+  buildAddressXml(prefix, address) {
+    const [zip5, zip4 = ''] = (address.zip || '').split('-');
+
+    return `<${prefix}Name>${this.escapeXml(this.splitName(address))}</${prefix}Name>` +
+      `<${prefix}Firm>${this.escapeXml(address.company)}</${prefix}Firm>` +
+      `<${prefix}Address1>${this.escapeXml(address.address2)}</${prefix}Address1>` +
+      `<${prefix}Address2>${this.escapeXml(address.address1)}</${prefix}Address2>` +
+      `<${prefix}City>${this.escapeXml(address.city)}</${prefix}City>` +
+      `<${prefix}State>${this.escapeXml(address.state)}</${prefix}State>` +
+      `<${prefix}Zip5>${this.escapeXml(zip5)}</${prefix}Zip5>` +
+      `<${prefix}Zip4>${this.escapeXml(zip4)}</${prefix}Zip4>` +
+      `<${prefix}Phone>${this.escapeXml((address.phone || '').replace(/\D/g, '').slice(-10))}</${prefix}Phone>`;
+  }
+
+  buildExtraServices(options) {
+    const services = [];
+    if (options.signatureRequired) services.push('<ExtraService>108</ExtraService>');
+    if (options.insurance) services.push('<ExtraService>100</ExtraService>');
+    return services.length ? `<ExtraServices>${services.join('')}</ExtraServices>` : '';
+  }
+
+  getServiceType(service) {
+    if (/express/i.test(service)) return 'PRIORITY EXPRESS';
+    if (/priority/i.test(service)) return 'PRIORITY';
+    if (/first-class/i.test(service)) return 'FIRST CLASS';
+    if (/ground advantage/i.test(service)) return 'USPS GROUND ADVANTAGE';
+    return 'PARCEL SELECT GROUND';
+  }
+
+  // MailService names arrive with escaped trademark markup
+  cleanServiceName(name) {
+    return (name || '')
+      .replace(/&lt;sup&gt;.*?&lt;\/sup&gt;/g, '')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+}
+
+module.exports = UspsCarrierClient;
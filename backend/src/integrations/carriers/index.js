@@ -0,0 +1,92 @@
+const UspsCarrierClient = require('./UspsCarrierClient');
+const UpsCarrierClient = require('./UpsCarrierClient');
+const FedExCarrierClient = require('./FedExCarrierClient');
+const DhlCarrierClient = require('./DhlCarrierClient');
+const SandboxCarrierClient = require('./SandboxCarrierClient');
+
+const CARRIERS = ['usps', 'ups', 'fedex', 'dhl'];
+
+// Public tracking pages, used when telling sales channels about a shipment
+const TRACKING_URLS = {
+  usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+  ups: 'https://www.ups.com/track?tracknum=',
+  fedex: 'https://www.fedex.com/fedextrack/?trknbr=',
+  dhl: 'https://www.dhl.com/en/express/tracking.html?AWB='
+};
+
+// Carrier credentials come from the environment (see .env.example)
+function getCarrierConfig(carrier) {
+  const timeout = parseInt(process.env.CARRIER_TIMEOUT_MS) || 10000;
+
+  switch (carrier) {
+    case 'usps':
+      return { timeout, userId: process.env.USPS_USER_ID };
+    case 'ups':
+      return {
+        timeout,
+        accessKey: process.env.UPS_ACCESS_KEY,
+        username: process.env.UPS_USERNAME,
+        password: process.env.UPS_PASSWORD,
+        accountNumber: process.env.UPS_ACCOUNT_NUMBER
+      };
+    case 'fedex':
+      return {
+        timeout,
+        key: process.env.FEDEX_KEY,
+        password: process.env.FEDEX_PASSWORD,
+        accountNumber: process.env.FEDEX_ACCOUNT,
+        meterNumber: process.env.FEDEX_METER
+      };
+    case 'dhl':
+      return {
+        timeout,
+        siteId: process.env.DHL_SITE_ID,
+        password: process.env.DHL_PASSWORD,
+        accountNumber: process.env.DHL_ACCOUNT_NUMBER
+      };
+    case 'sandbox':
+      return { timeout, latencyMs: parseInt(process.env.CARRIER_SANDBOX_LATENCY_MS) || 0 };
+    default:
+      return { timeout };
+  }
+}
+
+function createCarrierClient(carrier, config = getCarrierConfig(carrier)) {
+  switch (carrier) {
+    case 'usps':
+      return new UspsCarrierClient(config);
+    case 'ups':
+      return new UpsCarrierClient(config);
+    case 'fedex':
+      return new FedExCarrierClient(config);
+    case 'dhl':
+      return new DhlCarrierClient(config);
+    case 'sandbox':
+      return new SandboxCarrierClient(config);
+    default:
+      throw new Error(`Unsupported carrier: ${carrier}`);
+  }
+}
+
+// Sandbox mode replaces every live carrier with the offline one
+function isSandboxMode() {
+  return process.env.CARRIER_SANDBOX === 'true';
+}
+
+function getTrackingUrl(carrier, trackingNumber) {
+  return TRACKING_URLS[carrier] ? `${TRACKING_URLS[carrier]}${encodeURIComponent(trackingNumber)}` : null;
+}
+
+function getAvailableCarriers() {
+  if (isSandboxMode()) return ['sandbox'];
+  return CARRIERS.filter(carrier => createCarrierClient(carrier).isConfigured());
+}
+
+module.exports = {
+  CARRIERS,
+  getCarrierConfig,
+  createCarrierClient,
+  getAvailableCarriers,
+  getTrackingUrl,
+  isSandboxMode
+};
@@ -79,6 +79,49 @@ const schemas = {
     }).required()
   }),
   
+  updateOrder: Joi.object({
+    orderNumber: Joi.string(),
+    status: Joi.string().valid('pending', 'processing', 'shipped', 'delivered', 'returned', 'on_hold'),
+    customer: Joi.object({
+      name: Joi.string(),
+      email: Joi.string().email(),
+      phone: Joi.string()
+    }),
+    shippingAddress: Joi.object({
+      name: Joi.string(),
+      company: Joi.string(),
+      address1: Joi.string().required(),
+      address2: Joi.string(),
+      city: Joi.string().required(),
+      state: Joi.string().required(),
+      zip: Joi.string().required(),
+      country: Joi.string().default('US')
+    }),
+    billingAddress: Joi.object(),
+    items: Joi.array().items(Joi.object({
+      sku: Joi.string().required(),
+      name: Joi.string().required(),
+      quantity: Joi.number().min(1).required(),
+      price: Joi.number().min(0).required(),
+      weight: Joi.number().min(0)
+    })).min(1),
+    totals: Joi.object({
+      subtotal: Joi.number().required(),
+      tax: Joi.number().default(0),
+      shipping: Joi.number().default(0),
+      discount: Joi.number().default(0),
+      total: Joi.number().required()
+    }),
+    shipping: Joi.object(),
+    notes: Joi.string().allow(''),
+    internalNotes: Joi.string().allow(''),
+    giftMessage: Joi.string().allow('')
+  }).min(1),
+
+  cancelOrder: Joi.object({
+    reason: Joi.string().allow('')
+  }),
+
   // Tag schemas
   createTag: Joi.object({
     name: Joi.string().lowercase().trim().required(),
@@ -104,13 +147,52 @@ const schemas = {
   // Integration schemas
   createIntegration: Joi.object({
     name: Joi.string().required(),
-    type: Joi.string().valid('shopify', 'quickbooks', 'bill.com', 'aftership', 'custom').required(),
+    type: Joi.string().valid('shopify', 'woocommerce', 'amazon', 'ebay', 'quickbooks', 'bill.com', 'aftership', 'custom').required(),
     config: Joi.object().required(),
     syncSettings: Joi.object({
       enabled: Joi.boolean(),
       frequency: Joi.number().min(5).max(1440), // 5 minutes to 24 hours
       autoSync: Joi.boolean(),
-      syncDirection: Joi.string().valid('import', 'export', 'bidirectional')
+      syncDirection: Joi.string().valid('import', 'export', 'bidirectional'),
+      syncProducts: Joi.boolean(),
+      reconcileCarrierInvoices: Joi.boolean()
+    })
+  }),
+
+  // Product schemas
+  updateProductThresholds: Joi.object({
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    variants: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      lowStockThreshold: Joi.number().integer().min(0).allow(null).required()
+    })).unique('id')
+  }).or('lowStockThreshold', 'variants'),
+
+  updateVendorMappings: Joi.object({
+    vendorMappings: Joi.array().items(Joi.object({
+      productVendor: Joi.string().trim().required(),
+      vendorId: Joi.string().required(),
+      chartOfAccountId: Joi.string()
+    })).unique((a, b) => a.productVendor.toLowerCase() === b.productVendor.toLowerCase()),
+    defaultVendorId: Joi.string().allow(null),
+    defaultChartOfAccountId: Joi.string().allow(null),
+    // Bill.com vendors whose bills are carrier invoices, for reconciliation
+    carrierVendors: Joi.array().items(Joi.object({
+      vendorId: Joi.string().required(),
+      carrier: Joi.string().valid('usps', 'ups', 'fedex', 'dhl').required()
+    })).unique('vendorId')
+  }).or('vendorMappings', 'defaultVendorId', 'defaultChartOfAccountId', 'carrierVendors'),
+
+  reconcileCarrierInvoices: Joi.object({
+    from: Joi.date().required(),
+    to: Joi.date().min(Joi.ref('from')).required()
+  }),
+
+  syncIntegration: Joi.object({
+    syncType: Joi.string().valid('orders', 'products', 'invoices', 'bills', 'trackings'),
+    backfill: Joi.object({
+      from: Joi.date().required(),
+      to: Joi.date().min(Joi.ref('from')).required()
     })
   }),
   
@@ -127,11 +209,44 @@ const schemas = {
         'order_tagged',
         'inventory_low',
         'shipping_created',
-        'tracking_updated'
+        'tracking_updated',
+        'scheduled'
       ).required(),
       conditions: Joi.object()
     }).required(),
-    actions: Joi.object().required()
+    actions: Joi.object().required(),
+    schedule: Joi.object(),
+    limits: Joi.object()
+  }),
+
+  updateAutomationRule: Joi.object({
+    name: Joi.string(),
+    description: Joi.string().allow(''),
+    enabled: Joi.boolean(),
+    priority: Joi.number(),
+    trigger: Joi.object({
+      event: Joi.string().valid(
+        'order_imported', 
+        'order_updated', 
+        'order_tagged',
+        'inventory_low',
+        'shipping_created',
+        'tracking_updated',
+        'scheduled'
+      ).required(),
+      conditions: Joi.object()
+    }),
+    actions: Joi.object(),
+    schedule: Joi.object(),
+    limits: Joi.object()
+  }).min(1),
+
+  reorderAutomationRules: Joi.object({
+    ruleIds: Joi.array().items(Joi.string()).min(1).unique().required()
+  }),
+
+  automationDryRun: Joi.object({
+    limit: Joi.number().integer().min(1).max(500)
   }),
   
   // Shipping schemas
@@ -159,22 +274,80 @@ const schemas = {
         height: Joi.number().min(1).required()
       }),
       value: Joi.number().min(0)
-    })).min(1).required()
+    })).min(1).required(),
+    carriers: Joi.array().items(Joi.string().valid('usps', 'ups', 'fedex', 'dhl', 'sandbox')),
+    sortBy: Joi.string().valid('cost', 'transitDays')
   }),
   
   createLabel: Joi.object({
     orderId: Joi.string().required(),
     rateSelection: Joi.object({
-      carrier: Joi.string().required(),
+      carrier: Joi.string().valid('usps', 'ups', 'fedex', 'dhl', 'sandbox').required(),
       service: Joi.string().required(),
+      serviceCode: Joi.string(),
       cost: Joi.number().required()
     }).required(),
+    origin: Joi.object({
+      name: Joi.string(),
+      company: Joi.string(),
+      address1: Joi.string().required(),
+      address2: Joi.string(),
+      city: Joi.string().required(),
+      state: Joi.string().required(),
+      zip: Joi.string().required(),
+      country: Joi.string().default('US'),
+      phone: Joi.string()
+    }),
+    package: Joi.object({
+      weight: Joi.number().min(1).required(),
+      dimensions: Joi.object({
+        length: Joi.number().min(1).required(),
+        width: Joi.number().min(1).required(),
+        height: Joi.number().min(1).required()
+      }),
+      value: Joi.number().min(0)
+    }),
+    options: Joi.object({
+      insurance: Joi.boolean(),
+      signatureRequired: Joi.boolean(),
+      saturdayDelivery: Joi.boolean(),
+      labelFormat: Joi.string().valid('pdf', 'zpl')
+    }),
+    // Ship only these items (by externalId, or SKU for manual orders)
+    items: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      quantity: Joi.number().integer().min(1).required()
+    })).min(1).unique('id')
+  }),
+
+  batchShip: Joi.object({
+    orderIds: Joi.array().items(Joi.string()).min(1).max(500),
+    tags: Joi.array().items(Joi.string()).min(1),
+    strategy: Joi.string().valid('cheapest', 'fastest', 'preset').default('cheapest'),
+    preset: Joi.object({
+      carrier: Joi.string().valid('usps', 'ups', 'fedex', 'dhl', 'sandbox').required(),
+      service: Joi.string().required(),
+      serviceCode: Joi.string()
+    }).when('strategy', { is: 'preset', then: Joi.required() }),
+    carriers: Joi.array().items(Joi.string().valid('usps', 'ups', 'fedex', 'dhl', 'sandbox')),
+    origin: Joi.object({
+      name: Joi.string(),
+      company: Joi.string(),
+      address1: Joi.string().required(),
+      address2: Joi.string(),
+      city: Joi.string().required(),
+      state: Joi.string().required(),
+      zip: Joi.string().required(),
+      country: Joi.string().default('US'),
+      phone: Joi.string()
+    }),
+    labelFormat: Joi.string().valid('pdf', 'zpl'),
     options: Joi.object({
       insurance: Joi.boolean(),
       signatureRequired: Joi.boolean(),
       saturdayDelivery: Joi.boolean()
     })
-  })
+  }).xor('orderIds', 'tags')
 };
 
 // Object ID validation
@@ -202,11 +375,122 @@ const dateRangeSchema = Joi.object({
   endDate: Joi.date().min(Joi.ref('startDate'))
 });
 
+// Order list filters
+const orderQuerySchema = paginationSchema.concat(dateRangeSchema).keys({
+  status: Joi.string().valid('pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'on_hold'),
+  source: Joi.string().valid('shopify', 'woocommerce', 'amazon', 'ebay', 'manual', 'api', 'csv'),
+  tag: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+  customerEmail: Joi.string().email(),
+  sort: Joi.string().valid('created_at', 'ordered_at', 'order_number', 'status')
+});
+
+// Product list filters
+const productQuerySchema = paginationSchema.keys({
+  source: Joi.string().valid('shopify', 'woocommerce', 'amazon', 'ebay', 'manual', 'api', 'csv'),
+  search: Joi.string(),
+  sku: Joi.string(),
+  tag: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+  sort: Joi.string().valid('title', 'created_at', 'updated_at'),
+  order: Joi.string().valid('asc', 'desc').default('asc')
+});
+
+// Automation execution log filters
+const automationExecutionQuerySchema = paginationSchema.concat(dateRangeSchema).keys({
+  ruleId: Joi.string(),
+  orderId: Joi.string(),
+  event: Joi.string(),
+  success: Joi.boolean()
+});
+
+// Declarative connector spec for custom integrations (config.connector).
+// A field rule is a source path, an '=' expression, or an object with a
+// path, constant value or expression, an optional transform and, for
+// arrays, the item fields. Expressions are parsed by utils/fieldMapping.
+const CONNECTOR_UNITS = ['g', 'kg', 'oz', 'lb', 'mm', 'cm', 'm', 'in'];
+
+const connectorFieldsSchema = Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    path: Joi.string(),
+    value: Joi.any(),
+    expr: Joi.string(),
+    transform: Joi.string().valid('date', 'unit', 'lookup', 'number'),
+    format: Joi.string().valid('iso', 'unix', 'unix_ms'),
+    from: Joi.string().valid(...CONNECTOR_UNITS).when('transform', { is: 'unit', then: Joi.required() }),
+    to: Joi.string().valid(...CONNECTOR_UNITS).when('transform', { is: 'unit', then: Joi.required() }),
+    table: Joi.object().when('transform', { is: 'lookup', then: Joi.required() }),
+    default: Joi.any(),
+    fields: Joi.link('#connectorFields')
+  }).xor('path', 'value', 'expr')
+)).id('connectorFields');
+
+const connectorEndpointSchema = Joi.object({
+  path: Joi.string().required(),
+  method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH'),
+  params: Joi.object(),
+  // Where the record(s) sit in the response body, e.g. data.orders
+  root: Joi.string()
+});
+
+const connectorEntitySchema = Joi.object({
+  list: connectorEndpointSchema.keys({
+    // Query parameters for incremental syncs and backfills
+    filters: Joi.object({
+      updatedAfter: Joi.string(),
+      createdFrom: Joi.string(),
+      createdTo: Joi.string(),
+      dateFormat: Joi.string().valid('iso', 'unix')
+    })
+  }),
+  get: connectorEndpointSchema,
+  create: connectorEndpointSchema.keys({
+    // Maps our fields onto the request body
+    fields: connectorFieldsSchema
+  }),
+  pagination: Joi.object({
+    type: Joi.string().valid('none', 'page', 'offset', 'cursor', 'link').required(),
+    pageSize: Joi.number().integer().min(1),
+    pageParam: Joi.string(),
+    startPage: Joi.number().integer().min(0),
+    sizeParam: Joi.string(),
+    offsetParam: Joi.string(),
+    limitParam: Joi.string(),
+    cursorParam: Joi.string(),
+    cursorPath: Joi.string().when('type', { is: 'cursor', then: Joi.required() })
+  }),
+  fields: connectorFieldsSchema.required()
+});
+
+const connectorSpecSchema = Joi.object({
+  entities: Joi.object({
+    orders: connectorEntitySchema.keys({
+      list: connectorEntitySchema.extract('list').required(),
+      fields: connectorFieldsSchema.keys({
+        externalId: Joi.required()
+      }).id('orderFields').required()
+    })
+  }).pattern(Joi.string(), connectorEntitySchema).min(1).required()
+}).shared(connectorFieldsSchema);
+
+// A field map tried out against sample records before it is saved
+const fieldMappingPreviewSchema = Joi.object({
+  mapping: connectorFieldsSchema.required(),
+  sample: Joi.alternatives().try(
+    Joi.object(),
+    Joi.array().items(Joi.object()).max(100)
+  ).required()
+});
+
 // Export validation functions
 module.exports = {
   validateRequest,
   schemas,
   paginationSchema,
   dateRangeSchema,
+  orderQuerySchema,
+  productQuerySchema,
+  automationExecutionQuerySchema,
+  connectorSpecSchema,
+  fieldMappingPreviewSchema,
   isValidObjectId
 };
\ No newline at end of file
@@ -12,7 +12,12 @@ if (USE_SUPABASE) {
     TagCollection: require('./supabase/TagCollection'),
     ApiIntegration: require('./supabase/ApiIntegration'),
     ApiLog: require('./supabase/ApiLog'),
-    AutomationRule: require('./supabase/AutomationRule')
+    AutomationRule: require('./supabase/AutomationRule'),
+    AutomationExecution: require('./supabase/AutomationExecution'),
+    Shipment: require('./supabase/Shipment'),
+    WebhookEvent: require('./supabase/WebhookEvent'),
+    Product: require('./supabase/Product'),
+    CarrierReconciliation: require('./supabase/CarrierReconciliation')
   };
 } else {
   // Export Mongoose models
@@ -23,6 +28,11 @@ if (USE_SUPABASE) {
     TagCollection: require('./TagCollection'),
     ApiIntegration: require('./ApiIntegration'),
     ApiLog: require('./ApiLog'),
-    AutomationRule: require('./AutomationRule')
+    AutomationRule: require('./AutomationRule'),
+    AutomationExecution: require('./AutomationExecution'),
+    Shipment: require('./Shipment'),
+    WebhookEvent: require('./WebhookEvent'),
+    Product: require('./Product'),
+    CarrierReconciliation: require('./CarrierReconciliation')
   };
 }
\ No newline at end of file
@@ -0,0 +1,185 @@
+const { getSupabaseManager } = require('../../config/supabase');
+
+class AutomationExecutionModel {
+  constructor() {
+    this.manager = getSupabaseManager();
+    this.tableName = 'automation_executions';
+  }
+
+  // Create a new execution record
+  async create(executionData) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .insert({
+          ...this.transformToDb(executionData),
+          executed_at: executionData.executedAt || new Date()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Find executions with filters
+  async find(filters = {}, options = {}) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .select('*');
+
+      query = this.applyFilters(query, filters);
+
+      // Apply sorting
+      if (options.sort) {
+        const sortField = options.sort.replace(/^-/, '');
+        query = query.order(sortField, { ascending: !options.sort.startsWith('-') });
+      } else {
+        query = query.order('executed_at', { ascending: false });
+      }
+
+      // Apply pagination
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+      if (options.offset) {
+        query = query.range(options.offset, options.offset + (options.limit || 50) - 1);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.map(execution => this.transformFromDb(execution));
+  }
+
+  // Count documents
+  async countDocuments(filters = {}) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .select('id', { count: 'exact', head: true });
+
+      query = this.applyFilters(query, filters);
+
+      const { count, error } = await query;
+      if (error) throw error;
+      return count;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data;
+  }
+
+  // Delete many executions (used for retention)
+  async deleteMany(filters) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .delete();
+
+      if (filters.executedAt?.$lt) {
+        query = query.lt('executed_at', new Date(filters.executedAt.$lt).toISOString());
+      }
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return { deletedCount: result.data.length };
+  }
+
+  applyFilters(query, filters = {}) {
+    if (filters.userId) {
+      query = query.eq('user_id', filters.userId);
+    }
+    if (filters.ruleId) {
+      query = query.eq('rule_id', filters.ruleId);
+    }
+    if (filters.orderId) {
+      query = query.eq('order_id', filters.orderId);
+    }
+    if (filters.triggerEvent) {
+      query = query.eq('trigger_event', filters.triggerEvent);
+    }
+    if (filters.success !== undefined) {
+      query = query.eq('success', filters.success);
+    }
+
+    // Date range filters
+    if (filters.executedAt) {
+      if (filters.executedAt.$gte) {
+        query = query.gte('executed_at', new Date(filters.executedAt.$gte).toISOString());
+      }
+      if (filters.executedAt.$lte) {
+        query = query.lte('executed_at', new Date(filters.executedAt.$lte).toISOString());
+      }
+    }
+
+    return query;
+  }
+
+  // Helper methods
+  transformFromDb(dbExecution) {
+    if (!dbExecution) return null;
+
+    return {
+      _id: dbExecution.id,
+      id: dbExecution.id,
+      userId: dbExecution.user_id,
+      ruleId: dbExecution.rule_id,
+      ruleName: dbExecution.rule_name,
+      orderId: dbExecution.order_id,
+      subjectId: dbExecution.subject_id,
+      triggerEvent: dbExecution.trigger_event,
+      matchedConditions: dbExecution.matched_conditions,
+      actionsPerformed: dbExecution.actions_performed,
+      success: dbExecution.success,
+      duration: dbExecution.duration_ms,
+      error: dbExecution.error,
+      executedAt: dbExecution.executed_at
+    };
+  }
+
+  transformToDb(execution) {
+    const transformed = {};
+
+    if (execution.userId !== undefined) transformed.user_id = execution.userId;
+    if (execution.ruleId !== undefined) transformed.rule_id = execution.ruleId;
+    if (execution.ruleName !== undefined) transformed.rule_name = execution.ruleName;
+    if (execution.orderId !== undefined) transformed.order_id = execution.orderId;
+    if (execution.subjectId !== undefined) transformed.subject_id = execution.subjectId;
+    if (execution.triggerEvent !== undefined) transformed.trigger_event = execution.triggerEvent;
+    if (execution.matchedConditions !== undefined) transformed.matched_conditions = execution.matchedConditions;
+    if (execution.actionsPerformed !== undefined) transformed.actions_performed = execution.actionsPerformed;
+    if (execution.success !== undefined) transformed.success = execution.success;
+    if (execution.duration !== undefined) transformed.duration_ms = execution.duration;
+    if (execution.error !== undefined) transformed.error = execution.error;
+
+    return transformed;
+  }
+}
+
+// Export as singleton to mimic Mongoose model
+module.exports = new AutomationExecutionModel();
@@ -1,4 +1,6 @@
 const { getSupabaseManager } = require('../../config/supabase');
+const { evaluateCondition, toConditionTree, hasTimeRange, collectTagIds } = require('../../utils/conditionTree');
+const { DEFAULT_TIMEZONE, getLocalTime, isWithinWindow } = require('../../utils/timeWindow');
 
 class AutomationRuleModel {
   constructor() {
@@ -47,6 +49,9 @@ class AutomationRuleModel {
       if (filters['trigger.event']) {
         query = query.eq('trigger->>event', filters['trigger.event']);
       }
+      if (filters['schedule.enabled'] !== undefined) {
+        query = query.eq('schedule->>enabled', String(filters['schedule.enabled']));
+      }
 
       // Handle $or conditions for tag filtering
       if (filters.$or) {
@@ -216,10 +221,8 @@ class AutomationRuleModel {
     return result.data;
   }
 
-  // Static methods
-  static async findActiveRules(userId, event) {
-    const instance = new AutomationRuleModel();
-    return instance.find(
+  async findActiveRules(userId, event) {
+    return this.find(
       {
         userId,
         enabled: true,
@@ -231,27 +234,57 @@ class AutomationRuleModel {
     );
   }
 
-  static async findByTag(userId, tagId) {
+  // Rules run by the automation scheduler instead of bus events
+  async findScheduledRules() {
+    const rules = await this.find({ enabled: true, 'schedule.enabled': true });
+    return rules.filter(rule => rule.isScheduled());
+  }
+
+  async findByTag(userId, tagId) {
+    const rules = await this.find({ userId });
+
+    return rules.filter(rule =>
+      (rule.actions?.tagging?.addTags || []).includes(tagId) ||
+      (rule.actions?.tagging?.removeTags || []).includes(tagId) ||
+      collectTagIds(toConditionTree(rule.trigger?.conditions)).has(String(tagId))
+    );
+  }
+
+  // Time windows and daily limits follow the owner's profile timezone
+  async findOwnerTimezone(userId) {
     const instance = new AutomationRuleModel();
-    return instance.find({
-      userId,
-      $or: [
-        { 'actions.tagging.addTags': tagId },
-        { 'actions.tagging.removeTags': tagId },
-        { 'trigger.conditions.tags.hasAll': tagId },
-        { 'trigger.conditions.tags.hasAny': tagId },
-        { 'trigger.conditions.tags.hasNone': tagId }
-      ]
+    const result = await instance.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from('profiles')
+        .select('timezone')
+        .eq('id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
     });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data?.timezone || DEFAULT_TIMEZONE;
   }
 
   // Instance methods (added to transformed objects)
   createInstanceMethods() {
     return {
-      canExecute: function(order) {
+      isScheduled: function() {
+        return Boolean(this.schedule?.enabled && this.schedule.frequency && this.schedule.frequency !== 'immediate');
+      },
+
+      canExecute: function(order, context = {}) {
         // Check if rule is enabled
         if (!this.enabled) return false;
         
+        // Check the schedule's days, hours and blackout dates
+        if (this.schedule && !isWithinWindow(this.schedule, context)) return false;
+        
         // Check execution limits
         if (this.limits?.maxExecutions && this.stats?.totalExecutions >= this.limits.maxExecutions) {
           return false;
@@ -259,11 +292,11 @@ class AutomationRuleModel {
         
         // Check daily limit
         if (this.limits?.maxPerDay) {
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
+          const timezone = context.timezone || DEFAULT_TIMEZONE;
+          const today = getLocalTime(context.now, timezone).date;
           
           const todayExecutions = (this.history || []).filter(h => 
-            new Date(h.executedAt) >= today && h.success
+            h.success && getLocalTime(new Date(h.executedAt), timezone).date === today
           ).length;
           
           if (todayExecutions >= this.limits.maxPerDay) return false;
@@ -287,91 +320,19 @@ class AutomationRuleModel {
         return true;
       },
 
-      evaluateConditions: async function(order) {
+      evaluateConditions: async function(order, context = {}) {
         const conditions = this.trigger?.conditions;
         if (!conditions) return true;
         
-        // Order value conditions
-        if (conditions.orderValue) {
-          if (conditions.orderValue.min && order.totals?.total < conditions.orderValue.min) return false;
-          if (conditions.orderValue.max && order.totals?.total > conditions.orderValue.max) return false;
-        }
+        // Rules saved before condition trees existed are converted on the fly
+        const tree = toConditionTree(conditions);
         
-        // Weight conditions
-        if (conditions.weight) {
-          const totalWeight = order.totalWeight || 0;
-          if (conditions.weight.min && totalWeight < conditions.weight.min) return false;
-          if (conditions.weight.max && totalWeight > conditions.weight.max) return false;
+        if (hasTimeRange(tree) && !context.timezone) {
+          const instance = new AutomationRuleModel();
+          context = { ...context, timezone: await instance.findOwnerTimezone(this.userId) };
         }
         
-        // Item count conditions
-        if (conditions.itemCount) {
-          const itemCount = order.itemCount || 0;
-          if (conditions.itemCount.min && itemCount < conditions.itemCount.min) return false;
-          if (conditions.itemCount.max && itemCount > conditions.itemCount.max) return false;
-        }
-        
-        // Destination conditions
-        if (conditions.destination) {
-          const dest = conditions.destination;
-          const addr = order.shippingAddress;
-          
-          if (dest.countries?.length && !dest.countries.includes(addr?.country)) return false;
-          if (dest.states?.length && !dest.states.includes(addr?.state)) return false;
-          if (dest.zips?.length && !dest.zips.includes(addr?.zip)) return false;
-          if (dest.residential !== undefined && addr?.residential !== dest.residential) return false;
-        }
-        
-        // Tag conditions
-        if (conditions.tags) {
-          const orderTags = (order.tags || []).map(t => t.toString());
-          
-          // Must have all specified tags
-          if (conditions.tags.hasAll?.length) {
-            const hasAll = conditions.tags.hasAll.every(tagId => 
-              orderTags.includes(tagId.toString())
-            );
-            if (!hasAll) return false;
-          }
-          
-          // Must have at least one specified tag
-          if (conditions.tags.hasAny?.length) {
-            const hasAny = conditions.tags.hasAny.some(tagId => 
-              orderTags.includes(tagId.toString())
-            );
-            if (!hasAny) return false;
-          }
-          
-          // Must not have any specified tags
-          if (conditions.tags.hasNone?.length) {
-            const hasNone = conditions.tags.hasNone.some(tagId => 
-              orderTags.includes(tagId.toString())
-            );
-            if (hasNone) return false;
-          }
-        }
-        
-        // Time conditions
-        if (conditions.timeRange) {
-          const now = new Date();
-          const timeRange = conditions.timeRange;
-          
-          if (timeRange.days?.length) {
-            const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const currentDay = dayNames[now.getDay()];
-            if (!timeRange.days.includes(currentDay)) return false;
-          }
-          
-          if (timeRange.hours) {
-            const currentHour = now.getHours();
-            const startHour = parseInt(timeRange.hours.start.split(':')[0]);
-            const endHour = parseInt(timeRange.hours.end.split(':')[0]);
-            if (currentHour < startHour || currentHour >= endHour) return false;
-          }
-        }
-        
-        // All conditions passed
-        return true;
+        return evaluateCondition(tree, order, context);
       },
 
       recordExecution: async function(orderId, success, duration, error, actionsPerformed) {
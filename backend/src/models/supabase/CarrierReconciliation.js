@@ -0,0 +1,120 @@
+const { getSupabaseManager } = require('../../config/supabase');
+
+class CarrierReconciliationModel {
+  constructor() {
+    this.manager = getSupabaseManager();
+    this.tableName = 'carrier_reconciliations';
+  }
+
+  // Create a new reconciliation report
+  async create(reconciliationData) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .insert({
+          ...this.transformToDb(reconciliationData),
+          created_at: new Date()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Find reports with filters, newest first
+  async find(filters = {}, options = {}) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .select('*');
+
+      if (filters.userId) {
+        query = query.eq('user_id', filters.userId);
+      }
+      if (filters.integrationId) {
+        query = query.eq('integration_id', filters.integrationId);
+      }
+
+      query = query.order('created_at', { ascending: false });
+
+      // Apply pagination
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+      if (options.offset) {
+        query = query.range(options.offset, options.offset + (options.limit || 50) - 1);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.map(reconciliation => this.transformFromDb(reconciliation));
+  }
+
+  // Find by ID
+  async findById(id) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    });
+
+    if (!result.success || !result.data) {
+      return null;
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Helper methods
+  transformFromDb(dbReconciliation) {
+    if (!dbReconciliation) return null;
+
+    return {
+      _id: dbReconciliation.id,
+      id: dbReconciliation.id,
+      userId: dbReconciliation.user_id,
+      integrationId: dbReconciliation.integration_id,
+      periodStart: dbReconciliation.period_start,
+      periodEnd: dbReconciliation.period_end,
+      summary: dbReconciliation.summary,
+      discrepancies: dbReconciliation.discrepancies,
+      createdAt: dbReconciliation.created_at
+    };
+  }
+
+  transformToDb(reconciliation) {
+    const transformed = {};
+
+    if (reconciliation.userId !== undefined) transformed.user_id = reconciliation.userId;
+    if (reconciliation.integrationId !== undefined) transformed.integration_id = reconciliation.integrationId;
+    if (reconciliation.periodStart !== undefined) transformed.period_start = reconciliation.periodStart;
+    if (reconciliation.periodEnd !== undefined) transformed.period_end = reconciliation.periodEnd;
+    if (reconciliation.summary !== undefined) transformed.summary = reconciliation.summary;
+    if (reconciliation.discrepancies !== undefined) transformed.discrepancies = reconciliation.discrepancies;
+
+    return transformed;
+  }
+}
+
+// Export as singleton to mimic Mongoose model
+module.exports = new CarrierReconciliationModel();
@@ -12,9 +12,8 @@ class OrderModel {
       const { data, error } = await client
         .from(this.tableName)
         .insert({
-          ...orderData,
+          ...this.transformToDb(orderData),
           order_number: orderData.orderNumber || this.generateOrderNumber(),
-          external_order_id: orderData.externalOrderId,
           ordered_at: orderData.timestamps?.ordered || new Date()
         })
         .select()
@@ -24,8 +23,9 @@ class OrderModel {
       return data;
     });
 
+    // Keep the Postgres error code so callers can tell a duplicate apart
     if (!result.success) {
-      throw new Error(result.error.message);
+      throw Object.assign(new Error(result.error.message), { code: result.error.details?.code });
     }
 
     return this.transformFromDb(result.data);
@@ -38,25 +38,12 @@ class OrderModel {
         .from(this.tableName)
         .select(`
           *,
-          order_tags!inner(tag_id)
+          order_tags(tag_id)
         `);
 
       // Apply filters
-      if (filters.userId) {
-        query = query.eq('user_id', filters.userId);
-      }
-      if (filters.status) {
-        query = query.eq('status', filters.status);
-      }
-      if (filters.source) {
-        query = query.eq('source', filters.source);
-      }
-      if (filters.orderNumber) {
-        query = query.eq('order_number', filters.orderNumber);
-      }
-      if (filters['customer.email']) {
-        query = query.eq('customer->>email', filters['customer.email']);
-      }
+      query = await this.applyFilters(client, query, filters);
+      if (!query) return [];
 
       // Apply sorting
       if (options.sort) {
@@ -165,16 +152,8 @@ class OrderModel {
         .update(this.transformToDb(updates));
 
       // Apply filters
-      if (filter.userId) {
-        query = query.eq('user_id', filter.userId);
-      }
-      if (filter.status) {
-        query = query.eq('status', filter.status);
-      }
-      if (filter.tags) {
-        // Handle tag filtering via junction table
-        // This would need a more complex query
-      }
+      query = await this.applyFilters(client, query, { includeDeleted: true, ...filter });
+      if (!query) return [];
 
       const { data, error } = await query.select();
       if (error) throw error;
@@ -196,12 +175,8 @@ class OrderModel {
         .select('id', { count: 'exact', head: true });
 
       // Apply filters
-      if (filter.userId) {
-        query = query.eq('user_id', filter.userId);
-      }
-      if (filter.status) {
-        query = query.eq('status', filter.status);
-      }
+      query = await this.applyFilters(client, query, filter);
+      if (!query) return 0;
 
       const { count, error } = await query;
       if (error) throw error;
@@ -235,30 +210,140 @@ class OrderModel {
     return result.data;
   }
 
-  // Static methods
-  static async findPendingAutomation(userId) {
-    const instance = new OrderModel();
-    return instance.find({
+  // Find the order a carrier label was bought for
+  async findByTrackingNumber(trackingNumber) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*, order_tags(tag_id)')
+        .eq('shipping->>trackingNumber', trackingNumber)
+        .is('deleted_at', null)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    });
+
+    return result.success && result.data ? this.transformFromDb(result.data) : null;
+  }
+
+  // Open orders the given scheduled rule hasn't acted on yet
+  async findPendingAutomation(userId, ruleId) {
+    return this.find({
       userId,
-      'automation.processed': false,
+      'automation.rules': { $nin: ruleId },
       status: { $in: ['pending', 'processing'] }
     });
   }
 
-  static async findByTrackingNumber(trackingNumber) {
-    const instance = new OrderModel();
-    const result = await instance.manager.executeQuery(async (client) => {
-      const { data, error } = await client
-        .from('orders')
-        .select('*')
-        .eq('shipping->>trackingNumber', trackingNumber)
-        .single();
+  // Shared filter handling for find, count and bulk update queries.
+  // Returns null when the filter can be proven to match nothing.
+  async applyFilters(client, query, filters = {}) {
+    if (filters.userId) {
+      query = query.eq('user_id', filters.userId);
+    }
+    if (filters._id || filters.id) {
+      query = query.eq('id', filters._id || filters.id);
+    }
+    if (filters.status) {
+      query = filters.status.$in
+        ? query.in('status', filters.status.$in)
+        : query.eq('status', filters.status);
+    }
+    if (filters.source) {
+      query = query.eq('source', filters.source);
+    }
+    if (filters.orderNumber) {
+      query = query.eq('order_number', filters.orderNumber);
+    }
+    if (filters.externalOrderId) {
+      query = query.eq('external_order_id', filters.externalOrderId);
+    }
+    if (filters['metadata.integrationId']) {
+      query = query.eq('metadata->>integrationId', filters['metadata.integrationId']);
+    }
+    if (filters['customer.email']) {
+      query = query.ilike('customer->>email', filters['customer.email']);
+    }
+    if (filters['automation.processed'] !== undefined) {
+      query = query.eq('automation->>processed', String(filters['automation.processed']));
+    }
+    if (filters['automation.rules']?.$nin) {
+      query = query.not('automation->rules', 'cs', JSON.stringify([filters['automation.rules'].$nin]));
+    }
 
-      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
-      return data;
+    // Date range on the order date
+    if (filters.orderedAt) {
+      if (filters.orderedAt.$gte) {
+        query = query.gte('ordered_at', new Date(filters.orderedAt.$gte).toISOString());
+      }
+      if (filters.orderedAt.$lte) {
+        query = query.lte('ordered_at', new Date(filters.orderedAt.$lte).toISOString());
+      }
+    }
+
+    // Soft-deleted orders are hidden unless explicitly requested
+    if (!filters.includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    // Tags live in the junction table, so resolve matching order IDs first
+    if (filters.tags) {
+      const tagIds = [].concat(filters.tags.$all || filters.tags);
+      let orderIds = null;
+
+      for (const tagId of tagIds) {
+        const { data, error } = await client
+          .from('order_tags')
+          .select('order_id')
+          .eq('tag_id', tagId);
+
+        if (error) throw error;
+
+        const ids = data.map(row => row.order_id);
+        orderIds = orderIds === null ? ids : orderIds.filter(id => ids.includes(id));
+      }
+
+      if (!orderIds || orderIds.length === 0) return null;
+      query = query.in('id', orderIds);
+    }
+
+    return query;
+  }
+
+  // Sync the order_tags junction table with the tag list on an order
+  async syncTags(orderId, previousTags = [], currentTags = []) {
+    const previous = previousTags.map(t => t.toString());
+    const current = currentTags.map(t => t.toString());
+    const added = current.filter(tagId => !previous.includes(tagId));
+    const removed = previous.filter(tagId => !current.includes(tagId));
+
+    if (added.length === 0 && removed.length === 0) return;
+
+    const result = await this.manager.executeQuery(async (client) => {
+      if (added.length > 0) {
+        const { error } = await client
+          .from('order_tags')
+          .upsert(added.map(tagId => ({ order_id: orderId, tag_id: tagId })));
+        if (error) throw error;
+      }
+
+      if (removed.length > 0) {
+        const { error } = await client
+          .from('order_tags')
+          .delete()
+          .eq('order_id', orderId)
+          .in('tag_id', removed);
+        if (error) throw error;
+      }
+
+      return { data: true, error: null };
     });
 
-    return result.success && result.data ? instance.transformFromDb(result.data) : null;
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
   }
 
   // Helper methods
@@ -269,7 +354,7 @@ class OrderModel {
   transformFromDb(dbOrder) {
     if (!dbOrder) return null;
 
-    return {
+    const transformed = {
       _id: dbOrder.id,
       id: dbOrder.id,
       userId: dbOrder.user_id,
@@ -296,7 +381,8 @@ class OrderModel {
         processed: dbOrder.processed_at,
         shipped: dbOrder.shipped_at,
         delivered: dbOrder.delivered_at,
-        cancelled: dbOrder.cancelled_at
+        cancelled: dbOrder.cancelled_at,
+        deleted: dbOrder.deleted_at
       },
       metadata: dbOrder.metadata,
       createdAt: dbOrder.created_at,
@@ -305,11 +391,30 @@ class OrderModel {
       // Methods
       save: async function() {
         const instance = new OrderModel();
+        await instance.syncTags(this.id, this._loadedTags, this.tags);
         const updated = await instance.findByIdAndUpdate(this.id, this);
-        Object.assign(this, updated);
+        Object.assign(this, updated, { tags: this.tags });
+        this._loadedTags = [...this.tags];
         return this;
       }
     };
+
+    // Remember the persisted tags so save() only writes tag changes
+    Object.defineProperty(transformed, '_loadedTags', { value: [...transformed.tags], writable: true });
+
+    // Virtual properties used by automation conditions (weights are in ounces)
+    Object.defineProperty(transformed, 'totalWeight', {
+      get: function() {
+        return (this.items || []).reduce((sum, item) => sum + (item.weight || 0) * (item.quantity || 1), 0);
+      }
+    });
+    Object.defineProperty(transformed, 'itemCount', {
+      get: function() {
+        return (this.items || []).reduce((sum, item) => sum + (item.quantity || 1), 0);
+      }
+    });
+
+    return transformed;
   }
 
   transformToDb(order) {
@@ -338,9 +443,11 @@ class OrderModel {
     if (order.timestamps) {
       if (order.timestamps.ordered) transformed.ordered_at = order.timestamps.ordered;
       if (order.timestamps.processed) transformed.processed_at = order.timestamps.processed;
-      if (order.timestamps.shipped) transformed.shipped_at = order.timestamps.shipped;
+      // Voiding a label clears shipped_at again
+      if (order.timestamps.shipped !== undefined) transformed.shipped_at = order.timestamps.shipped;
       if (order.timestamps.delivered) transformed.delivered_at = order.timestamps.delivered;
       if (order.timestamps.cancelled) transformed.cancelled_at = order.timestamps.cancelled;
+      if (order.timestamps.deleted) transformed.deleted_at = order.timestamps.deleted;
     }
 
     return transformed;
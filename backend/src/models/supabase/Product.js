@@ -0,0 +1,423 @@
+const { getSupabaseManager } = require('../../config/supabase');
+
+// Products are read with their variants and tag IDs embedded
+const PRODUCT_SELECT = '*, product_variants(*), product_tags(tag_id)';
+
+class ProductModel {
+  constructor() {
+    this.manager = getSupabaseManager();
+    this.tableName = 'products';
+  }
+
+  // Create a new product (variants are saved separately with saveVariants)
+  async create(productData) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .insert(this.transformToDb(productData))
+        .select(PRODUCT_SELECT)
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Find products with filters
+  async find(filters = {}, options = {}) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .select(PRODUCT_SELECT);
+
+      // Apply filters
+      query = await this.applyFilters(client, query, filters);
+      if (!query) return [];
+
+      // Apply sorting
+      if (options.sort) {
+        const order = options.order || 'asc';
+        query = query.order(options.sort, { ascending: order === 'asc' });
+      } else {
+        query = query.order('title', { ascending: true });
+      }
+
+      // Apply pagination
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+      if (options.offset) {
+        query = query.range(options.offset, options.offset + (options.limit || 50) - 1);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.map(product => this.transformFromDb(product));
+  }
+
+  // Find one product
+  async findOne(filters) {
+    const products = await this.find(filters, { limit: 1 });
+    return products[0] || null;
+  }
+
+  // Find by ID
+  async findById(id) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select(PRODUCT_SELECT)
+        .eq('id', id)
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      return null;
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Update product
+  async findByIdAndUpdate(id, updates) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .update(this.transformToDb(updates))
+        .eq('id', id)
+        .select(PRODUCT_SELECT)
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Delete product (variants and tag links cascade)
+  async findByIdAndDelete(id) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Count documents
+  async countDocuments(filter = {}) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .select('id', { count: 'exact', head: true });
+
+      // Apply filters
+      query = await this.applyFilters(client, query, filter);
+      if (!query) return 0;
+
+      const { count, error } = await query;
+      if (error) throw error;
+      return count;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data;
+  }
+
+  // Upserts variants by their external ID and returns the saved rows
+  async saveVariants(productId, variants) {
+    if (variants.length === 0) return [];
+
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from('product_variants')
+        .upsert(
+          variants.map(variant => ({ ...this.transformVariantToDb(variant), product_id: productId })),
+          { onConflict: 'product_id,external_variant_id' }
+        )
+        .select();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.map(variant => this.transformVariantFromDb(variant));
+  }
+
+  // Update a single variant, e.g. its low stock threshold
+  async updateVariant(productId, variantId, updates) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from('product_variants')
+        .update(this.transformVariantToDb(updates))
+        .eq('product_id', productId)
+        .eq('id', variantId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformVariantFromDb(result.data);
+  }
+
+  // Delete the product's variants that are no longer in the channel
+  async removeVariants(productId, variantIds) {
+    if (variantIds.length === 0) return;
+
+    const result = await this.manager.executeQuery(async (client) => {
+      const { error } = await client
+        .from('product_variants')
+        .delete()
+        .eq('product_id', productId)
+        .in('id', variantIds);
+
+      if (error) throw error;
+      return { data: true, error: null };
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+  }
+
+  // Shared filter handling for find and count queries.
+  // Returns null when the filter can be proven to match nothing.
+  async applyFilters(client, query, filters = {}) {
+    if (filters.userId) {
+      query = query.eq('user_id', filters.userId);
+    }
+    if (filters._id || filters.id) {
+      query = query.eq('id', filters._id || filters.id);
+    }
+    if (filters.source) {
+      query = query.eq('source', filters.source);
+    }
+    if (filters.integrationId) {
+      query = query.eq('integration_id', filters.integrationId);
+    }
+    if (filters.externalProductId) {
+      query = query.eq('external_product_id', filters.externalProductId);
+    }
+    if (filters.search) {
+      query = query.ilike('title', `%${filters.search}%`);
+    }
+
+    // SKUs live on the variants, so resolve matching product IDs first
+    if (filters.sku) {
+      const { data, error } = await client
+        .from('product_variants')
+        .select('product_id')
+        .eq('sku', filters.sku);
+
+      if (error) throw error;
+      if (data.length === 0) return null;
+      query = query.in('id', [...new Set(data.map(row => row.product_id))]);
+    }
+
+    // Tags live in the junction table, so resolve matching product IDs first
+    if (filters.tags) {
+      const tagIds = [].concat(filters.tags.$all || filters.tags);
+      let productIds = null;
+
+      for (const tagId of tagIds) {
+        const { data, error } = await client
+          .from('product_tags')
+          .select('product_id')
+          .eq('tag_id', tagId);
+
+        if (error) throw error;
+
+        const ids = data.map(row => row.product_id);
+        productIds = productIds === null ? ids : productIds.filter(id => ids.includes(id));
+      }
+
+      if (!productIds || productIds.length === 0) return null;
+      query = query.in('id', productIds);
+    }
+
+    return query;
+  }
+
+  // Sync the product_tags junction table with the tag list on a product
+  async syncTags(productId, previousTags = [], currentTags = []) {
+    const previous = previousTags.map(t => t.toString());
+    const current = currentTags.map(t => t.toString());
+    const added = current.filter(tagId => !previous.includes(tagId));
+    const removed = previous.filter(tagId => !current.includes(tagId));
+
+    if (added.length === 0 && removed.length === 0) return;
+
+    const result = await this.manager.executeQuery(async (client) => {
+      if (added.length > 0) {
+        const { error } = await client
+          .from('product_tags')
+          .upsert(added.map(tagId => ({ product_id: productId, tag_id: tagId })));
+        if (error) throw error;
+      }
+
+      if (removed.length > 0) {
+        const { error } = await client
+          .from('product_tags')
+          .delete()
+          .eq('product_id', productId)
+          .in('tag_id', removed);
+        if (error) throw error;
+      }
+
+      return { data: true, error: null };
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+  }
+
+  // Helper methods
+  transformFromDb(dbProduct) {
+    if (!dbProduct) return null;
+
+    const transformed = {
+      _id: dbProduct.id,
+      id: dbProduct.id,
+      userId: dbProduct.user_id,
+      integrationId: dbProduct.integration_id,
+      externalProductId: dbProduct.external_product_id,
+      source: dbProduct.source,
+      title: dbProduct.title,
+      vendor: dbProduct.vendor,
+      productType: dbProduct.product_type,
+      images: dbProduct.images || [],
+      lowStockThreshold: dbProduct.low_stock_threshold,
+      variants: (dbProduct.product_variants || [])
+        .map(variant => this.transformVariantFromDb(variant))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+      tags: dbProduct.product_tags?.map(t => t.tag_id) || [],
+      metadata: dbProduct.metadata || {},
+      createdAt: dbProduct.created_at,
+      updatedAt: dbProduct.updated_at,
+
+      // Methods
+      save: async function() {
+        const instance = new ProductModel();
+        await instance.syncTags(this.id, this._loadedTags, this.tags);
+        const updated = await instance.findByIdAndUpdate(this.id, this);
+        Object.assign(this, updated, { tags: this.tags });
+        this._loadedTags = [...this.tags];
+        return this;
+      }
+    };
+
+    // Remember the persisted tags so save() only writes tag changes
+    Object.defineProperty(transformed, '_loadedTags', { value: [...transformed.tags], writable: true });
+
+    // Virtual property used by automation conditions
+    Object.defineProperty(transformed, 'totalInventory', {
+      get: function() {
+        return (this.variants || []).reduce((sum, variant) => sum + (variant.inventoryQuantity || 0), 0);
+      }
+    });
+
+    return transformed;
+  }
+
+  transformToDb(product) {
+    const transformed = {};
+
+    if (product.userId !== undefined) transformed.user_id = product.userId;
+    if (product.integrationId !== undefined) transformed.integration_id = product.integrationId;
+    if (product.externalProductId !== undefined) transformed.external_product_id = product.externalProductId;
+    if (product.source !== undefined) transformed.source = product.source;
+    if (product.title !== undefined) transformed.title = product.title;
+    if (product.vendor !== undefined) transformed.vendor = product.vendor;
+    if (product.productType !== undefined) transformed.product_type = product.productType;
+    if (product.images !== undefined) transformed.images = product.images;
+    if (product.lowStockThreshold !== undefined) transformed.low_stock_threshold = product.lowStockThreshold;
+    if (product.metadata !== undefined) transformed.metadata = product.metadata;
+
+    return transformed;
+  }
+
+  transformVariantFromDb(dbVariant) {
+    return {
+      id: dbVariant.id,
+      productId: dbVariant.product_id,
+      externalVariantId: dbVariant.external_variant_id,
+      sku: dbVariant.sku,
+      title: dbVariant.title,
+      price: dbVariant.price !== null ? parseFloat(dbVariant.price) : null,
+      compareAtPrice: dbVariant.compare_at_price !== null ? parseFloat(dbVariant.compare_at_price) : null,
+      weight: dbVariant.weight !== null ? parseFloat(dbVariant.weight) : null,
+      weightUnit: dbVariant.weight_unit,
+      inventoryQuantity: dbVariant.inventory_quantity,
+      inventoryTracked: dbVariant.inventory_tracked,
+      lowStockThreshold: dbVariant.low_stock_threshold,
+      createdAt: dbVariant.created_at,
+      updatedAt: dbVariant.updated_at
+    };
+  }
+
+  transformVariantToDb(variant) {
+    const transformed = {};
+
+    if (variant.externalVariantId !== undefined) transformed.external_variant_id = variant.externalVariantId;
+    if (variant.sku !== undefined) transformed.sku = variant.sku;
+    if (variant.title !== undefined) transformed.title = variant.title;
+    if (variant.price !== undefined) transformed.price = variant.price;
+    if (variant.compareAtPrice !== undefined) transformed.compare_at_price = variant.compareAtPrice;
+    if (variant.weight !== undefined) transformed.weight = variant.weight;
+    if (variant.weightUnit !== undefined) transformed.weight_unit = variant.weightUnit;
+    if (variant.inventoryQuantity !== undefined) transformed.inventory_quantity = variant.inventoryQuantity;
+    if (variant.inventoryTracked !== undefined) transformed.inventory_tracked = variant.inventoryTracked;
+    if (variant.lowStockThreshold !== undefined) transformed.low_stock_threshold = variant.lowStockThreshold;
+
+    return transformed;
+  }
+}
+
+// Export as singleton to mimic Mongoose model
+module.exports = new ProductModel();
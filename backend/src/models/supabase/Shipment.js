@@ -0,0 +1,221 @@
+const { getSupabaseManager } = require('../../config/supabase');
+
+class ShipmentModel {
+  constructor() {
+    this.manager = getSupabaseManager();
+    this.tableName = 'shipments';
+  }
+
+  // Create a new shipment
+  async create(shipmentData) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .insert({
+          ...this.transformToDb(shipmentData),
+          created_at: new Date(),
+          updated_at: new Date()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Find shipments with filters
+  async find(filters = {}, options = {}) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .select('*');
+
+      // Apply filters
+      if (filters.userId) {
+        query = query.eq('user_id', filters.userId);
+      }
+      if (filters.orderId) {
+        query = query.eq('order_id', filters.orderId);
+      }
+      if (filters.carrier) {
+        query = query.eq('carrier', filters.carrier);
+      }
+      if (filters.trackingNumber) {
+        query = query.eq('tracking_number', filters.trackingNumber);
+      }
+      if (filters.createdAt?.$gte) {
+        query = query.gte('created_at', new Date(filters.createdAt.$gte).toISOString());
+      }
+      if (filters.createdAt?.$lt) {
+        query = query.lt('created_at', new Date(filters.createdAt.$lt).toISOString());
+      }
+      if (filters.status) {
+        if (filters.status.$in) {
+          query = query.in('status', filters.status.$in);
+        } else {
+          query = query.eq('status', filters.status);
+        }
+      }
+
+      // Apply sorting
+      if (options.sort) {
+        const sortField = options.sort.replace(/^-/, '');
+        query = query.order(sortField, { ascending: !options.sort.startsWith('-') });
+      } else {
+        query = query.order('created_at', { ascending: false });
+      }
+
+      // Apply pagination
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+      if (options.offset) {
+        query = query.range(options.offset, options.offset + (options.limit || 50) - 1);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.map(shipment => this.transformFromDb(shipment));
+  }
+
+  // Find one shipment
+  async findOne(filters) {
+    const shipments = await this.find(filters, { limit: 1 });
+    return shipments[0] || null;
+  }
+
+  // Find by ID
+  async findById(id) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    });
+
+    if (!result.success || !result.data) {
+      return null;
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Find the active (not voided) shipment for a tracking number
+  async findByTrackingNumber(trackingNumber) {
+    return this.findOne({ trackingNumber, status: 'purchased' });
+  }
+
+  // Update shipment
+  async findByIdAndUpdate(id, updates) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .update({
+          ...this.transformToDb(updates),
+          updated_at: new Date()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Instance methods (added to transformed objects)
+  createInstanceMethods() {
+    return {
+      save: async function() {
+        const instance = new ShipmentModel();
+        const { _id, id, ...updateData } = this;
+        const updated = await instance.findByIdAndUpdate(_id || id, updateData);
+        Object.assign(this, updated);
+        return this;
+      }
+    };
+  }
+
+  // Helper methods
+  transformFromDb(dbShipment) {
+    if (!dbShipment) return null;
+
+    const transformed = {
+      _id: dbShipment.id,
+      id: dbShipment.id,
+      userId: dbShipment.user_id,
+      orderId: dbShipment.order_id,
+      carrier: dbShipment.carrier,
+      service: dbShipment.service,
+      serviceCode: dbShipment.service_code,
+      trackingNumber: dbShipment.tracking_number,
+      carrierShipmentId: dbShipment.carrier_shipment_id,
+      status: dbShipment.status,
+      cost: dbShipment.cost !== null ? parseFloat(dbShipment.cost) : null,
+      currency: dbShipment.currency,
+      package: dbShipment.package,
+      options: dbShipment.options,
+      label: dbShipment.label,
+      refund: dbShipment.refund,
+      voidedAt: dbShipment.voided_at,
+      metadata: dbShipment.metadata,
+      createdAt: dbShipment.created_at,
+      updatedAt: dbShipment.updated_at
+    };
+
+    // Add instance methods
+    Object.assign(transformed, this.createInstanceMethods());
+
+    return transformed;
+  }
+
+  transformToDb(shipment) {
+    const transformed = {};
+
+    if (shipment.userId !== undefined) transformed.user_id = shipment.userId;
+    if (shipment.orderId !== undefined) transformed.order_id = shipment.orderId;
+    if (shipment.carrier !== undefined) transformed.carrier = shipment.carrier;
+    if (shipment.service !== undefined) transformed.service = shipment.service;
+    if (shipment.serviceCode !== undefined) transformed.service_code = shipment.serviceCode;
+    if (shipment.trackingNumber !== undefined) transformed.tracking_number = shipment.trackingNumber;
+    if (shipment.carrierShipmentId !== undefined) transformed.carrier_shipment_id = shipment.carrierShipmentId;
+    if (shipment.status !== undefined) transformed.status = shipment.status;
+    if (shipment.cost !== undefined) transformed.cost = shipment.cost;
+    if (shipment.currency !== undefined) transformed.currency = shipment.currency;
+    if (shipment.package !== undefined) transformed.package = shipment.package;
+    if (shipment.options !== undefined) transformed.options = shipment.options;
+    if (shipment.label !== undefined) transformed.label = shipment.label;
+    if (shipment.refund !== undefined) transformed.refund = shipment.refund;
+    if (shipment.voidedAt !== undefined) transformed.voided_at = shipment.voidedAt;
+    if (shipment.metadata !== undefined) transformed.metadata = shipment.metadata;
+
+    return transformed;
+  }
+}
+
+// Export as singleton to mimic Mongoose model
+module.exports = new ShipmentModel();
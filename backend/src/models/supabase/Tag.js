@@ -38,6 +38,9 @@ class TagModel {
         .select('*');
 
       // Apply filters
+      if (filters._id?.$in) {
+        query = query.in('id', filters._id.$in);
+      }
       if (filters.name) {
         query = query.eq('name', filters.name.toLowerCase());
       }
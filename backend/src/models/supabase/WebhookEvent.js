@@ -0,0 +1,175 @@
+const { getSupabaseManager } = require('../../config/supabase');
+
+// Deliveries are processed while the provider waits for a response, so one
+// still marked received after this long was abandoned mid-processing
+const ABANDONED_CLAIM_MS = 5 * 60 * 1000;
+
+class WebhookEventModel {
+  constructor() {
+    this.manager = getSupabaseManager();
+    this.tableName = 'webhook_events';
+  }
+
+  // Insert an event unless one with the same delivery ID exists.
+  // Returns null for duplicates instead of failing on the unique index.
+  async createIfNew(eventData) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .upsert({
+          ...this.transformToDb(eventData),
+          received_at: new Date()
+        }, { onConflict: 'integration_id,webhook_id', ignoreDuplicates: true })
+        .select();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.length ? this.transformFromDb(result.data[0]) : null;
+  }
+
+  // Find one event by provider delivery ID. Rows come back as a list, as
+  // the query manager can't pass a missing row through as null.
+  async findOne(filters) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*')
+        .eq('integration_id', filters.integrationId)
+        .eq('webhook_id', filters.webhookId)
+        .limit(1);
+
+      if (error) throw error;
+      return { data, error: null };
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.length ? this.transformFromDb(result.data[0]) : null;
+  }
+
+  // Update event
+  async findByIdAndUpdate(id, updates) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .update(this.transformToDb(updates))
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return this.transformFromDb(result.data);
+  }
+
+  // Delete many events (used for retention)
+  async deleteMany(filters) {
+    const result = await this.manager.executeQuery(async (client) => {
+      let query = client
+        .from(this.tableName)
+        .delete();
+
+      if (filters.receivedAt?.$lt) {
+        query = query.lt('received_at', new Date(filters.receivedAt.$lt).toISOString());
+      }
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+      return data;
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return { deletedCount: result.data.length };
+  }
+
+  // Record a delivery before processing it. Returns null when the same
+  // delivery was already received, unless the earlier attempt failed or
+  // was left unfinished (the server stopped while processing it).
+  async claim(integrationId, webhookId, topic) {
+    const created = await this.createIfNew({ integrationId, webhookId, topic, status: 'received' });
+    if (created) return created;
+
+    const existing = await this.findOne({ integrationId, webhookId });
+    const abandoned = existing?.status === 'received' &&
+      new Date(existing.receivedAt) < new Date(Date.now() - ABANDONED_CLAIM_MS);
+
+    if (!existing || (existing.status !== 'failed' && !abandoned)) {
+      return null;
+    }
+
+    return this.reclaim(existing);
+  }
+
+  // Take over an earlier attempt, only if the row is unchanged since it was
+  // read; of two redeliveries retrying at once, the second updates nothing
+  async reclaim(existing) {
+    const result = await this.manager.executeQuery(async (client) => {
+      const { data, error } = await client
+        .from(this.tableName)
+        .update({ status: 'received', error: null, received_at: new Date() })
+        .eq('id', existing.id)
+        .eq('status', existing.status)
+        .eq('received_at', existing.receivedAt)
+        .select();
+
+      if (error) throw error;
+      return { data, error: null };
+    });
+
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+
+    return result.data.length ? this.transformFromDb(result.data[0]) : null;
+  }
+
+  // Helper methods
+  transformFromDb(dbEvent) {
+    if (!dbEvent) return null;
+
+    return {
+      _id: dbEvent.id,
+      id: dbEvent.id,
+      integrationId: dbEvent.integration_id,
+      webhookId: dbEvent.webhook_id,
+      topic: dbEvent.topic,
+      status: dbEvent.status,
+      error: dbEvent.error,
+      receivedAt: dbEvent.received_at,
+      processedAt: dbEvent.processed_at
+    };
+  }
+
+  transformToDb(event) {
+    const transformed = {};
+
+    if (event.integrationId !== undefined) transformed.integration_id = event.integrationId;
+    if (event.webhookId !== undefined) transformed.webhook_id = event.webhookId;
+    if (event.topic !== undefined) transformed.topic = event.topic;
+    if (event.status !== undefined) transformed.status = event.status;
+    if (event.error !== undefined) transformed.error = event.error;
+    if (event.processedAt !== undefined) transformed.processed_at = event.processedAt;
+
+    return transformed;
+  }
+}
+
+// Export as singleton to mimic Mongoose model
+module.exports = new WebhookEventModel();
@@ -6,5 +6,10 @@ module.exports = {
   TagCollection: require('./TagCollection'),
   ApiIntegration: require('./ApiIntegration'),
   ApiLog: require('./ApiLog'),
-  AutomationRule: require('./AutomationRule')
+  AutomationRule: require('./AutomationRule'),
+  AutomationExecution: require('./AutomationExecution'),
+  Shipment: require('./Shipment'),
+  WebhookEvent: require('./WebhookEvent'),
+  Product: require('./Product'),
+  CarrierReconciliation: require('./CarrierReconciliation')
 };
\ No newline at end of file
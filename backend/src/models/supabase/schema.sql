@@ -148,6 +148,7 @@ CREATE TABLE public.orders (
     shipped_at TIMESTAMPTZ,
     delivered_at TIMESTAMPTZ,
     cancelled_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
     
     -- Metadata
     metadata JSONB,
@@ -245,11 +246,148 @@ CREATE TABLE public.automation_rules (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Automation executions (audit log, one row per rule run on a subject)
+CREATE TABLE public.automation_executions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.profiles(id) NOT NULL,
+    rule_id UUID REFERENCES public.automation_rules(id) ON DELETE SET NULL,
+    rule_name TEXT NOT NULL,
+    order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL,
+    subject_id UUID,
+    trigger_event TEXT NOT NULL,
+    
+    -- Condition leaves evaluated, with their results
+    matched_conditions JSONB DEFAULT '[]'::jsonb,
+    actions_performed JSONB DEFAULT '[]'::jsonb,
+    
+    success BOOLEAN NOT NULL,
+    duration_ms INTEGER,
+    error TEXT,
+    executed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Webhook deliveries received from integrations, used to drop retries of
+-- a delivery that was already processed
+CREATE TABLE public.webhook_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    integration_id UUID REFERENCES public.api_integrations(id) ON DELETE CASCADE NOT NULL,
+    webhook_id TEXT NOT NULL,
+    topic TEXT,
+    status TEXT CHECK (status IN ('received', 'processed', 'failed')) DEFAULT 'received',
+    error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    UNIQUE(integration_id, webhook_id)
+);
+
+-- Shipments table (one purchased carrier label per row)
+CREATE TABLE public.shipments (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.profiles(id) NOT NULL,
+    order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL,
+    carrier TEXT NOT NULL,
+    service TEXT NOT NULL,
+    service_code TEXT,
+    tracking_number TEXT NOT NULL,
+    carrier_shipment_id TEXT,
+    status TEXT CHECK (status IN ('purchased', 'voided', 'void_failed')) DEFAULT 'purchased',
+    
+    -- Cost
+    cost DECIMAL(10, 2) NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    
+    -- Package and label options as sent to the carrier
+    package JSONB NOT NULL,
+    options JSONB DEFAULT '{}'::jsonb,
+    
+    -- Label file (stored in Supabase Storage)
+    label JSONB NOT NULL,
+    
+    -- Void / refund
+    refund JSONB,
+    voided_at TIMESTAMPTZ,
+    
+    -- Metadata
+    metadata JSONB DEFAULT '{}'::jsonb,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Products table (catalog synced from sales channels)
+CREATE TABLE public.products (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.profiles(id) NOT NULL,
+    integration_id UUID REFERENCES public.api_integrations(id) ON DELETE SET NULL,
+    external_product_id TEXT,
+    source TEXT CHECK (source IN ('shopify', 'woocommerce', 'amazon', 'ebay', 'manual', 'api', 'csv')) NOT NULL,
+    title TEXT NOT NULL,
+    vendor TEXT,
+    product_type TEXT,
+    images JSONB DEFAULT '[]'::jsonb,
+    
+    -- Inventory alerts; NULL falls back to INVENTORY_LOW_THRESHOLD
+    low_stock_threshold INTEGER,
+    
+    -- Metadata
+    metadata JSONB DEFAULT '{}'::jsonb,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, source, external_product_id)
+);
+
+-- Product variants table (one row per SKU)
+CREATE TABLE public.product_variants (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE NOT NULL,
+    external_variant_id TEXT,
+    sku TEXT,
+    title TEXT,
+    price DECIMAL(10, 2),
+    compare_at_price DECIMAL(10, 2),
+    weight DECIMAL(10, 2),
+    weight_unit TEXT,
+    inventory_quantity INTEGER DEFAULT 0,
+    -- False when the channel doesn't track stock for this variant
+    inventory_tracked BOOLEAN DEFAULT true,
+    
+    -- Overrides the product's threshold for this variant
+    low_stock_threshold INTEGER,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(product_id, external_variant_id)
+);
+
+-- Product tags junction table
+CREATE TABLE public.product_tags (
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    tag_id UUID REFERENCES public.tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (product_id, tag_id)
+);
+
+-- Carrier invoice reconciliation runs: carrier bills from Bill.com checked
+-- against the labels bought, with the discrepancies found
+CREATE TABLE public.carrier_reconciliations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.profiles(id) NOT NULL,
+    integration_id UUID REFERENCES public.api_integrations(id) ON DELETE CASCADE NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    summary JSONB DEFAULT '{}'::jsonb,
+    discrepancies JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Create indexes for performance
 CREATE INDEX idx_orders_user_status ON public.orders(user_id, status);
 CREATE INDEX idx_orders_external ON public.orders(external_order_id, source);
+-- Two stores on the same channel can reuse an order ID, so the importing integration is part of the key
+CREATE UNIQUE INDEX idx_orders_external_unique ON public.orders(user_id, source, (metadata->>'integrationId'), external_order_id);
 CREATE INDEX idx_orders_customer_email ON public.orders((customer->>'email'));
 CREATE INDEX idx_orders_ordered_at ON public.orders(ordered_at DESC);
+CREATE INDEX idx_orders_active ON public.orders(user_id, created_at DESC) WHERE deleted_at IS NULL;
 
 CREATE INDEX idx_tags_category ON public.tags(category);
 CREATE INDEX idx_tags_usage ON public.tags(usage_count DESC);
@@ -261,6 +399,24 @@ CREATE INDEX idx_api_logs_error ON public.api_logs(integration_id, error) WHERE
 CREATE INDEX idx_automation_rules_user ON public.automation_rules(user_id, enabled);
 CREATE INDEX idx_automation_rules_trigger ON public.automation_rules((trigger->>'event'));
 
+CREATE INDEX idx_automation_executions_user ON public.automation_executions(user_id, executed_at DESC);
+CREATE INDEX idx_automation_executions_rule ON public.automation_executions(rule_id, executed_at DESC);
+CREATE INDEX idx_automation_executions_order ON public.automation_executions(order_id, executed_at DESC);
+CREATE INDEX idx_automation_executions_executed_at ON public.automation_executions(executed_at);
+
+CREATE INDEX idx_webhook_events_received_at ON public.webhook_events(received_at);
+
+CREATE INDEX idx_shipments_user ON public.shipments(user_id, created_at DESC);
+CREATE INDEX idx_shipments_order ON public.shipments(order_id);
+CREATE INDEX idx_shipments_tracking ON public.shipments(tracking_number);
+CREATE INDEX idx_orders_tracking ON public.orders((shipping->>'trackingNumber'));
+
+CREATE INDEX idx_products_user ON public.products(user_id, title);
+CREATE INDEX idx_product_variants_product ON public.product_variants(product_id);
+CREATE INDEX idx_product_variants_sku ON public.product_variants(sku);
+
+CREATE INDEX idx_carrier_reconciliations_integration ON public.carrier_reconciliations(integration_id, created_at DESC);
+
 -- Row Level Security (RLS)
 ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.orders ENABLE ROW LEVEL SECURITY;
@@ -269,6 +425,13 @@ ALTER TABLE public.tag_collections ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.api_integrations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.api_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.automation_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.automation_executions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shipments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.products ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.product_variants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.product_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.carrier_reconciliations ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies
 -- Profiles: Users can only see/edit their own profile
@@ -307,6 +470,47 @@ CREATE POLICY "Users can create own automation rules" ON public.automation_rules
 CREATE POLICY "Users can update own automation rules" ON public.automation_rules FOR UPDATE USING (auth.uid() = user_id);
 CREATE POLICY "Users can delete own automation rules" ON public.automation_rules FOR DELETE USING (auth.uid() = user_id);
 
+-- Automation Executions: Users can only see/create their own
+CREATE POLICY "Users can view own automation executions" ON public.automation_executions FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create own automation executions" ON public.automation_executions FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Webhook Events: Users can only see events for their integrations
+CREATE POLICY "Users can view own webhook events" ON public.webhook_events FOR SELECT 
+USING (EXISTS (
+    SELECT 1 FROM public.api_integrations 
+    WHERE api_integrations.id = webhook_events.integration_id 
+    AND api_integrations.user_id = auth.uid()
+));
+
+-- Shipments: Users can only see/edit their own
+CREATE POLICY "Users can view own shipments" ON public.shipments FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create own shipments" ON public.shipments FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update own shipments" ON public.shipments FOR UPDATE USING (auth.uid() = user_id);
+
+-- Products: Users can only see/edit their own
+CREATE POLICY "Users can view own products" ON public.products FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create own products" ON public.products FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update own products" ON public.products FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete own products" ON public.products FOR DELETE USING (auth.uid() = user_id);
+
+-- Product Variants and Tags: Users can only see rows of their own products
+CREATE POLICY "Users can view own product variants" ON public.product_variants FOR SELECT 
+USING (EXISTS (
+    SELECT 1 FROM public.products 
+    WHERE products.id = product_variants.product_id 
+    AND products.user_id = auth.uid()
+));
+CREATE POLICY "Users can view own product tags" ON public.product_tags FOR SELECT 
+USING (EXISTS (
+    SELECT 1 FROM public.products 
+    WHERE products.id = product_tags.product_id 
+    AND products.user_id = auth.uid()
+));
+
+-- Carrier Reconciliations: Users can only see/create their own
+CREATE POLICY "Users can view own carrier reconciliations" ON public.carrier_reconciliations FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create own carrier reconciliations" ON public.carrier_reconciliations FOR INSERT WITH CHECK (auth.uid() = user_id);
+
 -- Functions
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS trigger AS $$
@@ -337,4 +541,10 @@ CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON public.orders FOR EACH
 CREATE TRIGGER update_tags_updated_at BEFORE UPDATE ON public.tags FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_tag_collections_updated_at BEFORE UPDATE ON public.tag_collections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_api_integrations_updated_at BEFORE UPDATE ON public.api_integrations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER update_automation_rules_updated_at BEFORE UPDATE ON public.automation_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+CREATE TRIGGER update_automation_rules_updated_at BEFORE UPDATE ON public.automation_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_shipments_updated_at BEFORE UPDATE ON public.shipments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON public.products FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON public.product_variants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Private storage bucket for label files (LABEL_STORAGE_BUCKET)
+INSERT INTO storage.buckets (id, name, public) VALUES ('labels', 'labels', false) ON CONFLICT (id) DO NOTHING;
\ No newline at end of file
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const automationRuleService = require('../services/automation/AutomationRuleService');
+const { validateRequest, schemas, automationExecutionQuerySchema } = require('../middleware/validation');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(requireAuth);
+
+// List rules, highest priority first
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await automationRuleService.getRules(req.user.id, req.query);
+    res.json({ rules, total: rules.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/rules', requirePermission('automation', 'create'), validateRequest(schemas.createAutomationRule), async (req, res) => {
+  try {
+    const rule = await automationRuleService.createRule(req.user.id, req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reorder rules (must be registered before /rules/:id)
+router.put('/rules/reorder', requirePermission('automation', 'edit'), validateRequest(schemas.reorderAutomationRules), async (req, res) => {
+  try {
+    const rules = await automationRuleService.reorderRules(req.user.id, req.body.ruleIds);
+    res.json({ rules });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const rule = await automationRuleService.getRule(req.user.id, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/rules/:id', requirePermission('automation', 'edit'), validateRequest(schemas.updateAutomationRule), async (req, res) => {
+  try {
+    const rule = await automationRuleService.updateRule(req.user.id, req.params.id, req.body);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/rules/:id', requirePermission('automation', 'delete'), async (req, res) => {
+  try {
+    const rule = await automationRuleService.deleteRule(req.user.id, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json({ message: 'Automation rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/rules/:id/enable', requirePermission('automation', 'edit'), async (req, res) => {
+  try {
+    const rule = await automationRuleService.setEnabled(req.user.id, req.params.id, true);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/rules/:id/disable', requirePermission('automation', 'edit'), async (req, res) => {
+  try {
+    const rule = await automationRuleService.setEnabled(req.user.id, req.params.id, false);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/rules/:id/executions', validateRequest(automationExecutionQuerySchema, 'query'), async (req, res) => {
+  try {
+    const rule = await automationRuleService.getRule(req.user.id, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    const result = await automationRuleService.getExecutions(req.user.id, { ...req.query, ruleId: rule.id });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Show which recent orders the rule would match, without running actions
+router.post('/rules/:id/dry-run', validateRequest(schemas.automationDryRun), async (req, res) => {
+  try {
+    const result = await automationRuleService.dryRun(req.user.id, req.params.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Automation rule not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Execution audit log, filterable by rule, order and time range
+router.get('/executions', validateRequest(automationExecutionQuerySchema, 'query'), async (req, res) => {
+  try {
+    const result = await automationRuleService.getExecutions(req.user.id, req.query);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,12 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { ApiIntegration, ApiLog } = require('../models');
 const ApiIntegrationManager = require('../services/ApiIntegrationManager');
+const quickBooksAuthService = require('../services/QuickBooksAuthService');
+const customOAuthService = require('../services/CustomOAuthService');
+const carrierReconciliationService = require('../services/shipping/CarrierReconciliationService');
+const { validateRequest, schemas, connectorSpecSchema, fieldMappingPreviewSchema } = require('../middleware/validation');
+const { requireAuth } = require('../middleware/auth');
+const { mapFields, validateFieldMapping } = require('../utils/fieldMapping');
 
 const router = express.Router();
 
@@ -14,6 +20,76 @@ const apiManagementLimiter = rateLimit({
 
 router.use(apiManagementLimiter);
 
+// The connect flows of QuickBooks and custom OAuth2 integrations share their
+// routes' handling. The callback reports the outcome to the app through the
+// query string, under the given name.
+function oauthCallback(authService, name) {
+  return async (req, res) => {
+    const appUrl = process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+    try {
+      const integration = await authService.completeAuthorization(req.query);
+      res.redirect(`${appUrl}/?${name}=connected&integrationId=${integration.id}`);
+    } catch (error) {
+      res.redirect(`${appUrl}/?${name}=error&message=${encodeURIComponent(error.message)}`);
+    }
+  };
+}
+
+function oauthAuthorize(authService) {
+  return async (req, res) => {
+    try {
+      const result = await authService.createAuthorization(req.user.id, req.params.id);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Integration not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+// Intuit redirects the browser here after the user connects a company
+// (QB_REDIRECT_URI). There is no auth header on a redirect, so the request
+// is tied to the integration by the state issued in /:id/quickbooks/authorize.
+router.get('/quickbooks/callback', oauthCallback(quickBooksAuthService, 'quickbooks'));
+
+// Start connecting a QuickBooks company; the client sends the user to authorizationUrl
+router.post('/:id/quickbooks/authorize', requireAuth, oauthAuthorize(quickBooksAuthService));
+
+// The OAuth2 provider of a custom integration redirects here
+// (CUSTOM_OAUTH_REDIRECT_URI, or the integration's own redirectUri)
+router.get('/oauth2/callback', oauthCallback(customOAuthService, 'oauth2'));
+
+// Start authorizing a custom OAuth2 integration; the client sends the user to authorizationUrl
+router.post('/:id/oauth2/authorize', requireAuth, oauthAuthorize(customOAuthService));
+
+// Check a field map and show what it makes of sample records, without saving it
+router.post('/field-mapping/preview', requireAuth, validateRequest(fieldMappingPreviewSchema), async (req, res) => {
+  try {
+    const { mapping, sample } = req.body;
+    const errors = validateFieldMapping(mapping);
+
+    if (errors.length) {
+      return res.json({ valid: false, errors });
+    }
+
+    try {
+      const result = Array.isArray(sample)
+        ? sample.map(record => mapFields(record, mapping))
+        : mapFields(sample, mapping);
+      res.json({ valid: true, result });
+    } catch (error) {
+      res.json({ valid: false, errors: [{ field: 'mapping', message: error.message }] });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all integrations for user
 router.get('/', async (req, res) => {
   try {
@@ -119,10 +195,10 @@ router.post('/:id/test', async (req, res) => {
 });
 
 // Sync data
-router.post('/:id/sync', async (req, res) => {
+router.post('/:id/sync', validateRequest(schemas.syncIntegration), async (req, res) => {
   try {
-    const { syncType = 'orders' } = req.body;
-    const result = await ApiIntegrationManager.syncData(req.params.id, syncType);
+    const { syncType = 'orders', backfill } = req.body;
+    const result = await ApiIntegrationManager.syncData(req.params.id, syncType, { backfill });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -140,6 +216,130 @@ router.post('/:id/action', async (req, res) => {
   }
 });
 
+// Store the connector spec describing a custom integration's REST API
+router.put('/:id/connector', requireAuth, validateRequest(connectorSpecSchema), async (req, res) => {
+  try {
+    const integration = await ApiIntegration.findById(req.params.id);
+
+    if (!integration || integration.userId !== req.user.id || integration.type !== 'custom') {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    // Joi checks the rules' shape; expressions are parsed here
+    const errors = Object.entries(req.body.entities).flatMap(([entity, spec]) => [
+      ...validateFieldMapping(spec.fields, `entities.${entity}.fields`),
+      ...(spec.create?.fields ? validateFieldMapping(spec.create.fields, `entities.${entity}.create.fields`) : [])
+    ]);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    const updated = await ApiIntegration.findByIdAndUpdate(integration.id, {
+      config: { ...integration.config, connector: { entities: req.body.entities } }
+    });
+
+    res.json({ connector: updated.config.connector });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Bill.com vendors and expense accounts, to choose vendor mappings from
+router.get('/:id/bill-com/vendors', requireAuth, async (req, res) => {
+  try {
+    const integration = await ApiIntegration.findById(req.params.id);
+
+    if (!integration || integration.userId !== req.user.id || integration.type !== 'bill.com') {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    const client = ApiIntegrationManager.createClient(integration);
+    res.json({
+      vendors: await client.getVendors(),
+      chartOfAccounts: await client.getChartOfAccounts()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Map product vendors (e.g. Shopify's vendor field) to the Bill.com vendor
+// and account their purchase bills go to, and name the carrier vendors
+router.put('/:id/bill-com/vendor-mappings', requireAuth, validateRequest(schemas.updateVendorMappings), async (req, res) => {
+  try {
+    const integration = await ApiIntegration.findById(req.params.id);
+
+    if (!integration || integration.userId !== req.user.id || integration.type !== 'bill.com') {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    // Validation doesn't strip unknown fields from req.body, so copy only these
+    const { vendorMappings, defaultVendorId, defaultChartOfAccountId, carrierVendors } = req.body;
+    const updated = await ApiIntegration.findByIdAndUpdate(integration.id, {
+      config: {
+        ...integration.config,
+        ...(vendorMappings !== undefined && { vendorMappings }),
+        ...(defaultVendorId !== undefined && { defaultVendorId }),
+        ...(defaultChartOfAccountId !== undefined && { defaultChartOfAccountId }),
+        ...(carrierVendors !== undefined && { carrierVendors })
+      }
+    });
+
+    res.json({
+      vendorMappings: updated.config.vendorMappings || [],
+      defaultVendorId: updated.config.defaultVendorId || null,
+      defaultChartOfAccountId: updated.config.defaultChartOfAccountId || null,
+      carrierVendors: updated.config.carrierVendors || []
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Check the carrier bills with an invoice date in [from, to] against the labels bought
+router.post('/:id/bill-com/reconciliations', requireAuth, validateRequest(schemas.reconcileCarrierInvoices), async (req, res) => {
+  try {
+    const report = await carrierReconciliationService.reconcile(req.user.id, req.params.id, req.body);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    res.status(201).json(report);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/:id/bill-com/reconciliations', requireAuth, async (req, res) => {
+  try {
+    const reports = await carrierReconciliationService.getReports(req.user.id, req.params.id, req.query);
+    res.json(reports);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discrepancy report; ?format=csv downloads it for a carrier dispute
+router.get('/:id/bill-com/reconciliations/:reconciliationId', requireAuth, async (req, res) => {
+  try {
+    const report = await carrierReconciliationService.getReport(req.user.id, req.params.id, req.params.reconciliationId);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    if (req.query.format === 'csv') {
+      res.attachment(`carrier-reconciliation-${report.periodStart}-${report.periodEnd}.csv`);
+      return res.type('text/csv').send(carrierReconciliationService.toCsv(report));
+    }
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get integration logs
 router.get('/:id/logs', async (req, res) => {
   try {
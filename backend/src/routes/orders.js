@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const orderService = require('../services/OrderService');
+const batchShipService = require('../services/shipping/BatchShipService');
+const automationRuleService = require('../services/automation/AutomationRuleService');
+const { validateRequest, schemas, orderQuerySchema } = require('../middleware/validation');
+const { requireAuth } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(requireAuth);
+
+// List orders with filtering and pagination
+router.get('/', validateRequest(orderQuerySchema, 'query'), async (req, res) => {
+  try {
+    const result = await orderService.getOrders(req.user.id, req.query);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue a batch label job; registered before /:id so "batch" isn't read as an order id
+router.post('/batch/ship', validateRequest(schemas.batchShip), async (req, res) => {
+  try {
+    const batch = await batchShipService.createBatch(req.user.id, req.body);
+    res.status(202).json(batch);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Poll batch progress and per-order results
+router.get('/batch/:batchId', async (req, res) => {
+  try {
+    const batch = await batchShipService.getBatch(req.user.id, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download every label in the batch as one PDF/ZPL file
+router.get('/batch/:batchId/labels', async (req, res) => {
+  try {
+    const result = await batchShipService.getCombinedLabel(req.user.id, req.params.batchId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.data);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await orderService.getOrder(req.user.id, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // The audit log is extra detail; the order is still served without it
+    let automationExecutions = [];
+    try {
+      ({ executions: automationExecutions } = await automationRuleService.getExecutions(req.user.id, { orderId: order.id }));
+    } catch (error) {
+      console.error('Error loading automation executions:', error);
+    }
+
+    res.json({ ...order, automationExecutions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', validateRequest(schemas.createOrder), async (req, res) => {
+  try {
+    const order = await orderService.createOrder(req.user.id, req.body);
+    res.status(201).json(order);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.put('/:id', validateRequest(schemas.updateOrder), async (req, res) => {
+  try {
+    const order = await orderService.updateOrder(req.user.id, req.params.id, req.body);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/:id/cancel', validateRequest(schemas.cancelOrder), async (req, res) => {
+  try {
+    const order = await orderService.cancelOrder(req.user.id, req.params.id, req.body.reason);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const order = await orderService.deleteOrder(req.user.id, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ message: 'Order deleted successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const productService = require('../services/ProductService');
+const { validateRequest, schemas, productQuerySchema } = require('../middleware/validation');
+const { requireAuth } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(requireAuth);
+
+// List catalog products with their variants
+router.get('/', validateRequest(productQuerySchema, 'query'), async (req, res) => {
+  try {
+    const result = await productService.getProducts(req.user.id, req.query);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await productService.getProduct(req.user.id, req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set low stock thresholds for inventory alerts
+router.patch('/:id/thresholds', validateRequest(schemas.updateProductThresholds), async (req, res) => {
+  try {
+    const product = await productService.updateThresholds(req.user.id, req.params.id, req.body);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const rateShoppingService = require('../services/shipping/RateShoppingService');
+const labelService = require('../services/shipping/LabelService');
+const { getAvailableCarriers } = require('../integrations/carriers');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { requireAuth } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(requireAuth);
+
+// Carriers with credentials configured
+router.get('/carriers', (req, res) => {
+  res.json({ carriers: getAvailableCarriers() });
+});
+
+// Rate shopping across all configured carriers
+router.post('/rates', validateRequest(schemas.calculateRates), async (req, res) => {
+  try {
+    const { origin, destination, packages, carriers, sortBy } = req.body;
+    const result = await rateShoppingService.getRates(
+      { origin, destination, packages },
+      { carriers, sortBy }
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List labels (optionally for one order)
+router.get('/labels', async (req, res) => {
+  try {
+    const shipments = await labelService.getShipments(req.user.id, req.query);
+    res.json({ shipments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Buy a label for an order with a selected rate
+router.post('/labels', validateRequest(schemas.createLabel), async (req, res) => {
+  try {
+    const result = await labelService.purchaseLabel(req.user.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/labels/:id', async (req, res) => {
+  try {
+    const shipment = await labelService.getShipment(req.user.id, req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    res.json(shipment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the stored label file again for printing
+router.post('/labels/:id/reprint', async (req, res) => {
+  try {
+    const result = await labelService.reprintLabel(req.user.id, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `inline; filename="${result.filename}"`);
+    res.send(result.data);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Void the label with the carrier and request a refund
+router.post('/labels/:id/void', async (req, res) => {
+  try {
+    const result = await labelService.voidLabel(req.user.id, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
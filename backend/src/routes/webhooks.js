@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/WebhookService');
+
+// No auth here: callers are the integrations themselves, identified by the
+// integration ID in the path and the request signature. Bodies are kept raw
+// because signatures are computed over the exact bytes sent.
+router.use(express.raw({ type: '*/*', limit: '10mb' }));
+
+// Checks the signature header against the raw body and parses it. Sends
+// the error response and returns null when either step fails.
+function verifyAndParse(req, res, integration, signatureHeader) {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!webhookService.verifySignature(integration, rawBody, req.get(signatureHeader))) {
+    res.status(401).json({ error: 'Invalid webhook signature' });
+    return null;
+  }
+
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid JSON payload' });
+    return null;
+  }
+}
+
+// Shopify order webhooks
+router.post('/shopify/:integrationId', async (req, res) => {
+  try {
+    const integration = await webhookService.getIntegration(req.params.integrationId, 'shopify');
+    if (!integration) {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    const payload = verifyAndParse(req, res, integration, 'X-Shopify-Hmac-Sha256');
+    if (!payload) return;
+
+    const result = await webhookService.handleShopifyWebhook(integration, req.headers, payload);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Error processing Shopify webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// WooCommerce order webhooks
+router.post('/woocommerce/:integrationId', async (req, res) => {
+  try {
+    const integration = await webhookService.getIntegration(req.params.integrationId, 'woocommerce');
+    if (!integration) {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    // WooCommerce pings new webhooks with an unsigned form body and only
+    // activates them when the ping gets a 2xx
+    if (!req.get('X-WC-Webhook-Topic') && /^webhook_id=\d+$/.test(req.body.toString('utf8'))) {
+      return res.json({ received: true, action: 'ping' });
+    }
+
+    const payload = verifyAndParse(req, res, integration, 'X-WC-Webhook-Signature');
+    if (!payload) return;
+
+    const result = await webhookService.handleWooCommerceWebhook(integration, req.headers, payload);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Error processing WooCommerce webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// AfterShip tracking updates
+router.post('/aftership/:integrationId', async (req, res) => {
+  try {
+    const integration = await webhookService.getIntegration(req.params.integrationId, 'aftership');
+    if (!integration) {
+      return res.status(404).json({ error: 'Integration not found' });
+    }
+
+    const payload = verifyAndParse(req, res, integration, 'aftership-hmac-sha256');
+    if (!payload) return;
+
+    const result = await webhookService.handleAfterShipWebhook(integration, payload);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Error processing AfterShip webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,19 @@ const QuickBooksApiClient = require('../integrations/QuickBooksApiClient');
 const BillComApiClient = require('../integrations/BillComApiClient');
 const AfterShipApiClient = require('../integrations/AfterShipApiClient');
 const CustomApiClient = require('../integrations/CustomApiClient');
+const WooCommerceApiClient = require('../integrations/WooCommerceApiClient');
+const AmazonApiClient = require('../integrations/AmazonApiClient');
+const EbayApiClient = require('../integrations/EbayApiClient');
+const orderImportService = require('./OrderImportService');
+const productService = require('./ProductService');
+
+// Integrations with an order or product sync in progress in this process
+const runningOrderSyncs = new Set();
+const runningProductSyncs = new Set();
+
+// Sales channels whose orders are imported, and those with a product catalog too
+const ORDER_CHANNELS = ['shopify', 'woocommerce', 'amazon', 'ebay'];
+const PRODUCT_CHANNELS = ['shopify', 'woocommerce'];
 
 class ApiIntegrationManager {
   static createClient(integration) {
@@ -18,6 +31,12 @@ class ApiIntegrationManager {
         return new AfterShipApiClient(integration);
       case 'custom':
         return new CustomApiClient(integration);
+      case 'woocommerce':
+        return new WooCommerceApiClient(integration);
+      case 'amazon':
+        return new AmazonApiClient(integration);
+      case 'ebay':
+        return new EbayApiClient(integration);
       default:
         throw new Error(`Unsupported integration type: ${integration.type}`);
     }
@@ -37,7 +56,9 @@ class ApiIntegrationManager {
     }
   }
 
-  static async syncData(integrationId, syncType = 'orders') {
+  // options.backfill = { from, to } imports orders created in that range
+  // instead of the incremental sync (sales channels only)
+  static async syncData(integrationId, syncType = 'orders', options = {}) {
     try {
       const integration = await ApiIntegration.findById(integrationId);
       if (!integration || !integration.syncSettings.enabled) {
@@ -46,28 +67,20 @@ class ApiIntegrationManager {
 
       const client = this.createClient(integration);
       let results = [];
+      let imported = null;
+      let count = null;
 
       switch (syncType) {
         case 'orders':
-          if (integration.type === 'shopify') {
-            const lastSyncId = integration.syncSettings.lastSyncId;
-            const params = lastSyncId ? { since_id: lastSyncId } : {};
-            results = await client.getOrders(params);
-            
-            // Update last sync ID
-            if (results.length > 0) {
-              const lastOrder = results[results.length - 1];
-              await ApiIntegration.findByIdAndUpdate(integrationId, {
-                'syncSettings.lastSyncId': lastOrder.externalId,
-                'syncSettings.lastSync': new Date()
-              });
-            }
+          if (ORDER_CHANNELS.includes(integration.type) || this.hasConnectorOrders(integration)) {
+            // Orders are imported page by page, so only counts are returned
+            ({ fetched: count, imported } = await this.syncChannelOrders(integration, client, options));
           }
           break;
           
         case 'products':
-          if (integration.type === 'shopify') {
-            results = await client.getProducts();
+          if (PRODUCT_CHANNELS.includes(integration.type)) {
+            ({ fetched: count, imported } = await this.syncChannelProducts(integration, client));
           }
           break;
 
@@ -92,16 +105,170 @@ class ApiIntegrationManager {
 
       // Update last sync timestamp
       await ApiIntegration.findByIdAndUpdate(integrationId, {
-        'status.lastSync': new Date()
+        status: { ...integration.status, lastSync: new Date() }
       });
 
-      return { success: true, data: results, count: results.length };
+      return { success: true, data: results, count: count ?? results.length, ...(imported && { imported }) };
     } catch (error) {
       console.error(`Sync error for integration ${integrationId}:`, error);
       return { success: false, message: error.message };
     }
   }
 
+  // Custom integrations sync orders once their connector spec defines them
+  static hasConnectorOrders(integration) {
+    return integration.type === 'custom' && Boolean(integration.config?.connector?.entities?.orders);
+  }
+
+  // Pages through orders updated since the stored watermark, or created in
+  // a backfill range, importing each page as it arrives. The cursor is saved
+  // after every page so a crashed run resumes where it stopped, and the
+  // watermark only moves once the whole run has completed.
+  static async syncChannelOrders(integration, client, options = {}) {
+    if (runningOrderSyncs.has(integration.id)) {
+      throw new Error('An order sync is already running for this integration');
+    }
+    runningOrderSyncs.add(integration.id);
+
+    try {
+      const backfill = options.backfill && {
+        from: new Date(options.backfill.from).toISOString(),
+        to: new Date(options.backfill.to).toISOString()
+      };
+      const cursorKey = backfill ? 'backfillCursor' : 'orderCursor';
+      let syncSettings = { ...integration.syncSettings };
+
+      const saveSyncSettings = async (changes) => {
+        syncSettings = { ...syncSettings, ...changes };
+        await ApiIntegration.findByIdAndUpdate(integration.id, { syncSettings });
+      };
+
+      // A backfill only resumes an interrupted run over the same range
+      let cursor = syncSettings[cursorKey];
+      if (cursor && backfill && (cursor.range?.from !== backfill.from || cursor.range?.to !== backfill.to)) {
+        cursor = null;
+      }
+
+      if (!cursor) {
+        const watermark = syncSettings.ordersUpdatedAtMin;
+        cursor = {
+          params: backfill
+            ? client.buildOrderSyncParams({ createdFrom: backfill.from, createdTo: backfill.to })
+            : client.buildOrderSyncParams({ updatedAfter: watermark }),
+          range: backfill || null,
+          pageInfo: null,
+          maxUpdatedAt: watermark || null,
+          failedUpdatedAt: null,
+          fetched: 0,
+          imported: { created: 0, updated: 0, cancelled: 0, skipped: 0, failed: 0 },
+          startedAt: new Date()
+        };
+      }
+
+      while (true) {
+        let page;
+        try {
+          page = await client.getOrdersPage(cursor.params, cursor.pageInfo);
+        } catch (error) {
+          // Page cursors expire; start the run over from its original filters
+          if (cursor.pageInfo && error.response?.status === 400) {
+            cursor.pageInfo = null;
+            continue;
+          }
+          throw error;
+        }
+
+        const summary = await orderImportService.importOrders(integration.userId, page.orders, {
+          integrationId: integration.id
+        });
+        Object.keys(cursor.imported).forEach(action => {
+          cursor.imported[action] += summary[action];
+        });
+        cursor.fetched += page.orders.length;
+
+        // Failed orders hold the watermark back so the next run retries them
+        const failedIds = summary.errors.map(error => error.externalId);
+        for (const order of page.orders) {
+          const updatedAt = new Date(order.timestamps.updated).toISOString();
+          if (failedIds.includes(order.externalId)) {
+            if (!cursor.failedUpdatedAt || updatedAt < cursor.failedUpdatedAt) cursor.failedUpdatedAt = updatedAt;
+          } else if (!cursor.maxUpdatedAt || updatedAt > cursor.maxUpdatedAt) {
+            cursor.maxUpdatedAt = updatedAt;
+          }
+        }
+
+        cursor.pageInfo = page.nextPageInfo;
+        if (!cursor.pageInfo) break;
+
+        await saveSyncSettings({ [cursorKey]: cursor });
+      }
+
+      const changes = {
+        [cursorKey]: null,
+        lastSync: new Date(),
+        lastImport: cursor.imported
+      };
+      if (!backfill) {
+        const candidates = [cursor.maxUpdatedAt, cursor.failedUpdatedAt].filter(Boolean);
+        changes.ordersUpdatedAtMin = candidates.length ? candidates.sort()[0] : null;
+      }
+      await saveSyncSettings(changes);
+
+      return { fetched: cursor.fetched, imported: cursor.imported };
+    } finally {
+      runningOrderSyncs.delete(integration.id);
+    }
+  }
+
+  // Walks the whole catalog on every run: channels don't reliably bump a
+  // product's updated date for stock changes, so a watermark would miss
+  // inventory updates
+  static async syncChannelProducts(integration, client) {
+    if (runningProductSyncs.has(integration.id)) {
+      throw new Error('A product sync is already running for this integration');
+    }
+    runningProductSyncs.add(integration.id);
+
+    try {
+      const imported = { created: 0, updated: 0, skipped: 0, failed: 0 };
+      let fetched = 0;
+      let pageInfo = null;
+
+      while (true) {
+        let page;
+        try {
+          page = await client.getProductsPage({}, pageInfo);
+        } catch (error) {
+          // Page cursors expire; products already imported are skipped on the rerun
+          if (pageInfo && error.response?.status === 400) {
+            pageInfo = null;
+            continue;
+          }
+          throw error;
+        }
+
+        const summary = await productService.importProducts(integration.userId, page.products, {
+          integrationId: integration.id
+        });
+        Object.keys(imported).forEach(action => {
+          imported[action] += summary[action];
+        });
+        fetched += page.products.length;
+
+        pageInfo = page.nextPageInfo;
+        if (!pageInfo) break;
+      }
+
+      await ApiIntegration.findByIdAndUpdate(integration.id, {
+        syncSettings: { ...integration.syncSettings, lastProductImport: imported }
+      });
+
+      return { fetched, imported };
+    } finally {
+      runningProductSyncs.delete(integration.id);
+    }
+  }
+
   static async diagnoseConnection(integrationId) {
     const integration = await ApiIntegration.findById(integrationId);
     if (!integration) {
@@ -132,6 +299,31 @@ class ApiIntegrationManager {
       }
 
       // Check authentication
+      if (integration.type === 'woocommerce') {
+        if (!integration.config.consumerKey || !integration.config.consumerSecret) {
+          diagnostics.issues.push({
+            severity: 'error',
+            type: 'authentication',
+            message: 'Missing consumer key or secret'
+          });
+        }
+        if (!integration.config.storeUrl && !integration.config.baseUrl) {
+          diagnostics.issues.push({
+            severity: 'error',
+            type: 'configuration',
+            message: 'Missing store URL'
+          });
+        }
+      }
+
+      if (['amazon', 'ebay'].includes(integration.type) && !integration.config.refreshToken) {
+        diagnostics.issues.push({
+          severity: 'error',
+          type: 'authentication',
+          message: 'Missing refresh token'
+        });
+      }
+
       if (integration.type === 'shopify') {
         if (!integration.config.accessToken) {
           diagnostics.issues.push({
@@ -159,15 +351,52 @@ class ApiIntegrationManager {
         });
       }
 
-      // Check token expiry (for OAuth integrations)
-      if (integration.type === 'quickbooks' && integration.config.tokenExpiry) {
-        const timeToExpiry = new Date(integration.config.tokenExpiry) - new Date();
-        if (timeToExpiry < 24 * 60 * 60 * 1000) { // Less than 24 hours
+      // Check token expiry (for OAuth integrations). Access tokens are
+      // refreshed on a schedule, so an expired one means refreshing failed;
+      // the refresh token itself only lasts until the user has to reconnect.
+      if (integration.type === 'quickbooks') {
+        const { refreshToken, tokenExpiry, refreshTokenExpiry } = integration.config;
+        if (!refreshToken) {
+          diagnostics.issues.push({
+            severity: 'error',
+            type: 'authentication',
+            message: 'QuickBooks is not connected; authorize the integration'
+          });
+        } else if (refreshTokenExpiry && new Date(refreshTokenExpiry) - new Date() < 7 * 24 * 60 * 60 * 1000) { // Less than a week
+          diagnostics.issues.push({
+            severity: 'warning',
+            type: 'token_expiry',
+            message: 'Refresh token expires soon',
+            details: `Expires at: ${refreshTokenExpiry}`
+          });
+        } else if (tokenExpiry && new Date(tokenExpiry) < new Date()) {
           diagnostics.issues.push({
             severity: 'warning',
             type: 'token_expiry',
-            message: 'Access token expires soon',
-            details: `Expires at: ${integration.config.tokenExpiry}`
+            message: 'Access token expired and was not refreshed',
+            details: `Expired at: ${tokenExpiry}${integration.status.lastError ? `, last error: ${integration.status.lastError}` : ''}`
+          });
+        }
+      }
+
+      // Custom OAuth2 tokens are fetched and refreshed as requests need them,
+      // which only works with a token URL and, for the grants that spend a
+      // refresh token, a refresh token
+      const oauth2 = integration.config.authentication?.type === 'oauth2' && integration.config.authentication.oauth2;
+      if (integration.type === 'custom' && oauth2) {
+        if (!oauth2.tokenUrl || !oauth2.clientId) {
+          diagnostics.issues.push({
+            severity: 'error',
+            type: 'configuration',
+            message: 'OAuth2 token URL or client ID is missing'
+          });
+        } else if (oauth2.grantType !== 'client_credentials' && !oauth2.refreshToken) {
+          diagnostics.issues.push({
+            severity: 'error',
+            type: 'authentication',
+            message: oauth2.grantType === 'authorization_code'
+              ? 'OAuth2 is not connected; authorize the integration'
+              : 'OAuth2 refresh token is missing'
           });
         }
       }
@@ -188,7 +417,7 @@ class ApiIntegrationManager {
               diagnostics.recommendations.push('Reduce sync frequency or implement backoff strategy');
               break;
             case 'token_expiry':
-              diagnostics.recommendations.push('Refresh access token before expiry');
+              diagnostics.recommendations.push('Reconnect the integration to issue new tokens');
               break;
           }
         });
@@ -256,6 +485,18 @@ class ApiIntegrationManager {
           }
           break;
 
+        case 'customGet':
+          if (integration.type === 'custom') {
+            return await client.getRecord(data.entity, data.id);
+          }
+          break;
+
+        case 'customCreate':
+          if (integration.type === 'custom') {
+            return await client.createRecord(data.entity, data.record);
+          }
+          break;
+
         default:
           throw new Error(`Unsupported action: ${action}`);
       }
@@ -0,0 +1,61 @@
+const { ApiIntegration } = require('../models');
+const CustomApiClient = require('../integrations/CustomApiClient');
+const { issueState, consumeState } = require('../utils/oauthState');
+
+// Authorization code flow for custom integrations using OAuth2. Client
+// credentials and refresh token integrations get their tokens from the
+// client itself and don't go through here.
+class CustomOAuthService {
+  // Starts the flow for one of the user's integrations
+  async createAuthorization(userId, integrationId) {
+    const integration = await ApiIntegration.findById(integrationId);
+
+    if (!integration || integration.userId !== userId || integration.type !== 'custom') {
+      return null;
+    }
+
+    const auth = integration.config?.authentication;
+    if (auth?.type !== 'oauth2' || auth.oauth2?.grantType !== 'authorization_code') {
+      throw new Error('Integration does not use the OAuth2 authorization code grant');
+    }
+    if (!auth.oauth2.authorizeUrl || !auth.oauth2.tokenUrl || !CustomApiClient.getRedirectUri(auth.oauth2)) {
+      throw new Error('OAuth2 authorizeUrl, tokenUrl and a redirect URI are required');
+    }
+
+    const state = await issueState(integration);
+    return { authorizationUrl: CustomApiClient.getAuthorizationUrl(auth.oauth2, state) };
+  }
+
+  // Handles the provider's redirect back
+  async completeAuthorization({ state, code, error }) {
+    const integration = await consumeState(state, 'custom');
+    const { config } = integration;
+
+    if (error || !code) {
+      throw new Error(`OAuth2 authorization failed: ${error || 'missing code'}`);
+    }
+
+    const oauth2 = config.authentication.oauth2;
+    const tokens = await CustomApiClient.requestTokens(oauth2, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: CustomApiClient.getRedirectUri(oauth2)
+    });
+
+    return ApiIntegration.findByIdAndUpdate(integration.id, {
+      config: {
+        ...config,
+        authentication: { ...config.authentication, oauth2: { ...oauth2, ...tokens } }
+      },
+      status: {
+        ...integration.status,
+        connected: true,
+        lastConnected: new Date(),
+        lastError: null,
+        consecutiveErrors: 0
+      }
+    });
+  }
+}
+
+module.exports = new CustomOAuthService();
@@ -0,0 +1,182 @@
+const { Order } = require('../models');
+const orderService = require('./OrderService');
+const taggingService = require('./tagging/TaggingService');
+const eventEmitter = require('../utils/eventEmitter');
+const { EventTypes } = require('../utils/eventEmitter');
+
+const NON_CANCELLABLE_STATUSES = ['shipped', 'delivered', 'cancelled', 'returned'];
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Fields copied from the channel on every update. Status and shipping are
+// ours once the order is imported.
+const SYNCED_FIELDS = ['customer', 'shippingAddress', 'billingAddress', 'items', 'totals'];
+
+// Upserts orders coming from sales channels (webhooks and syncs), keyed on
+// (userId, source, externalId) as returned by the clients' transformOrders,
+// plus the integration, as two stores on one channel can reuse an ID
+class OrderImportService {
+  // Imports a batch, one order at a time so a bad order doesn't stop the rest.
+  // Returns counts per action plus the errors of orders that failed.
+  async importOrders(userId, orders, options = {}) {
+    const summary = { created: 0, updated: 0, cancelled: 0, skipped: 0, failed: 0, errors: [] };
+    const tagCache = new Map();
+
+    for (const orderData of orders) {
+      try {
+        const { action } = await this.importOrder(userId, orderData, { ...options, tagCache });
+        summary[action]++;
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ externalId: orderData.externalId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // Returns { action, order } where action is created, updated, cancelled or skipped.
+  // options.integrationId records which integration the order came from.
+  async importOrder(userId, orderData, options = {}) {
+    const tagCache = options.tagCache || new Map();
+
+    let existing = await this.findExisting(userId, orderData, options.integrationId);
+
+    if (!existing) {
+      try {
+        const order = await this.createOrder(userId, orderData, tagCache, options.integrationId);
+        return { action: 'created', order };
+      } catch (error) {
+        // A webhook and a sync importing the same order can both get here;
+        // the one that loses the insert updates the other's order instead
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+
+        existing = await this.findExisting(userId, orderData, options.integrationId);
+        if (!existing) throw error;
+      }
+    }
+
+    // Deleted orders stay deleted, and a late retry must not undo a newer update
+    if (existing.timestamps.deleted || this.isStale(existing, orderData)) {
+      return { action: 'skipped', order: existing };
+    }
+
+    if (orderData.cancelled) {
+      if (NON_CANCELLABLE_STATUSES.includes(existing.status)) {
+        return { action: 'skipped', order: existing };
+      }
+
+      const order = await orderService.cancelOrder(userId, existing.id, orderData.cancelReason);
+      return { action: 'cancelled', order };
+    }
+
+    if (existing.status === 'cancelled') {
+      return { action: 'skipped', order: existing };
+    }
+
+    return this.updateOrder(userId, existing, orderData, tagCache, options.integrationId);
+  }
+
+  findExisting(userId, orderData, integrationId) {
+    return Order.findOne({
+      userId,
+      source: orderData.source,
+      externalOrderId: orderData.externalId,
+      'metadata.integrationId': integrationId,
+      includeDeleted: true
+    });
+  }
+
+  async createOrder(userId, orderData, tagCache, integrationId) {
+    const created = await Order.create({
+      orderNumber: String(orderData.orderNumber),
+      externalOrderId: orderData.externalId,
+      userId,
+      source: orderData.source,
+      status: orderData.cancelled ? 'cancelled' : orderData.status,
+      customer: orderData.customer,
+      shippingAddress: orderData.shippingAddress || {},
+      billingAddress: orderData.billingAddress,
+      items: orderData.items,
+      totals: orderData.totals,
+      timestamps: {
+        ordered: orderData.timestamps?.ordered,
+        cancelled: orderData.cancelled ? new Date() : undefined
+      },
+      metadata: this.buildMetadata({}, orderData, integrationId)
+    });
+
+    const tagIds = await taggingService.resolveTagNames(userId, orderData.tags, tagCache);
+    await Order.syncTags(created.id, [], tagIds);
+    const order = tagIds.length ? await Order.findById(created.id) : created;
+
+    eventEmitter.emit(EventTypes.ORDER_CREATED, { order });
+
+    return order;
+  }
+
+  async updateOrder(userId, existing, orderData, tagCache, integrationId) {
+    const updates = {};
+    SYNCED_FIELDS.forEach(field => {
+      if (orderData[field] !== undefined) {
+        updates[field] = orderData[field];
+      }
+    });
+
+    // Only follow the channel's status until we start working the order
+    if (existing.status === 'pending' && orderData.status) {
+      updates.status = orderData.status;
+    }
+
+    // Follow tag changes made in the channel, leaving tags added here alone
+    const previousTagIds = await taggingService.resolveTagNames(userId, existing.metadata?.externalTags, tagCache);
+    const currentTagIds = await taggingService.resolveTagNames(userId, orderData.tags, tagCache);
+    const tags = taggingService.followChannelTags(existing.tags, previousTagIds, currentTagIds);
+    updates.tags = tags;
+
+    const changed = Object.keys(updates).some(field =>
+      JSON.stringify(existing[field]) !== JSON.stringify(updates[field])
+    );
+    if (!changed) {
+      return { action: 'skipped', order: existing };
+    }
+
+    updates.metadata = this.buildMetadata(existing.metadata, orderData, integrationId);
+
+    const order = await orderService.updateOrder(userId, existing.id, updates);
+
+    const addedTagIds = tags.filter(tagId => !existing.tags.includes(tagId));
+    if (addedTagIds.length > 0) {
+      eventEmitter.emit(EventTypes.ORDER_TAGGED, {
+        entityType: 'order',
+        entityId: order.id,
+        tags: addedTagIds,
+        entity: order
+      });
+    }
+
+    return { action: 'updated', order };
+  }
+
+  isStale(existing, orderData) {
+    const stored = existing.metadata?.externalUpdatedAt;
+    const incoming = orderData.timestamps?.updated;
+    if (!stored || !incoming) return false;
+
+    return new Date(incoming) < new Date(stored);
+  }
+
+  buildMetadata(metadata, orderData, integrationId) {
+    return {
+      ...metadata,
+      ...(integrationId && { integrationId }),
+      // Marketplace deadline for uploading tracking
+      ...(orderData.shipBy && { shipBy: orderData.shipBy }),
+      externalTags: orderData.tags || [],
+      externalUpdatedAt: orderData.timestamps?.updated || null
+    };
+  }
+}
+
+module.exports = new OrderImportService();
@@ -0,0 +1,155 @@
+const { Order } = require('../models');
+const eventEmitter = require('../utils/eventEmitter');
+const { EventTypes } = require('../utils/eventEmitter');
+
+// Statuses an order can no longer be cancelled from
+const NON_CANCELLABLE_STATUSES = ['shipped', 'delivered', 'cancelled', 'returned'];
+
+class OrderService {
+  async getOrders(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = parseInt(params.limit) || 50;
+
+    const filters = { userId };
+    if (params.status) filters.status = params.status;
+    if (params.source) filters.source = params.source;
+    if (params.customerEmail) filters['customer.email'] = params.customerEmail;
+    if (params.tag) filters.tags = { $all: [].concat(params.tag) };
+    if (params.startDate || params.endDate) {
+      filters.orderedAt = {};
+      if (params.startDate) filters.orderedAt.$gte = params.startDate;
+      if (params.endDate) filters.orderedAt.$lte = params.endDate;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filters, {
+        sort: params.sort,
+        order: params.order,
+        limit,
+        offset: (page - 1) * limit
+      }),
+      Order.countDocuments(filters)
+    ]);
+
+    return {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getOrder(userId, orderId) {
+    const order = await Order.findById(orderId);
+
+    if (!order || order.userId !== userId || order.timestamps.deleted) {
+      return null;
+    }
+
+    return order;
+  }
+
+  async createOrder(userId, orderData) {
+    const order = await Order.create({
+      ...orderData,
+      userId,
+      status: 'pending'
+    });
+
+    eventEmitter.emit(EventTypes.ORDER_CREATED, { order });
+
+    return order;
+  }
+
+  async updateOrder(userId, orderId, updates) {
+    const order = await this.getOrder(userId, orderId);
+    if (!order) return null;
+
+    if (order.status === 'cancelled') {
+      throw new Error('Cancelled orders cannot be modified');
+    }
+
+    // Only keep fields whose value actually changes
+    const changes = Object.keys(updates).filter(field =>
+      JSON.stringify(order[field]) !== JSON.stringify(updates[field])
+    );
+
+    if (changes.length === 0) {
+      return order;
+    }
+
+    const changedValues = {};
+    changes.forEach(field => {
+      changedValues[field] = updates[field];
+    });
+
+    // Tags live in the junction table, not on the order row
+    const { tags, ...columns } = changedValues;
+    if (Object.keys(columns).length > 0) {
+      await Order.findByIdAndUpdate(orderId, columns);
+    }
+    if (tags) {
+      await Order.syncTags(orderId, order.tags, tags);
+    }
+    const updated = await Order.findById(orderId);
+
+    eventEmitter.emit(EventTypes.ORDER_UPDATED, { order: updated, changes });
+
+    if (changes.includes('status')) {
+      eventEmitter.emit(EventTypes.ORDER_STATUS_CHANGED, {
+        order: updated,
+        oldStatus: order.status,
+        newStatus: updated.status
+      });
+    }
+
+    return updated;
+  }
+
+  async cancelOrder(userId, orderId, reason) {
+    const order = await this.getOrder(userId, orderId);
+    if (!order) return null;
+
+    if (NON_CANCELLABLE_STATUSES.includes(order.status)) {
+      throw new Error(`Cannot cancel an order with status: ${order.status}`);
+    }
+
+    await Order.findByIdAndUpdate(orderId, {
+      status: 'cancelled',
+      timestamps: { cancelled: new Date() },
+      metadata: {
+        ...order.metadata,
+        cancellationReason: reason || null
+      }
+    });
+    const cancelled = await Order.findById(orderId);
+
+    eventEmitter.emit(EventTypes.ORDER_CANCELLED, { order: cancelled, reason });
+    eventEmitter.emit(EventTypes.ORDER_STATUS_CHANGED, {
+      order: cancelled,
+      oldStatus: order.status,
+      newStatus: 'cancelled'
+    });
+
+    return cancelled;
+  }
+
+  // Soft delete - the row stays for reporting but is hidden from queries
+  async deleteOrder(userId, orderId) {
+    const order = await this.getOrder(userId, orderId);
+    if (!order) return null;
+
+    const deleted = await Order.findByIdAndUpdate(orderId, {
+      timestamps: { deleted: new Date() }
+    });
+
+    eventEmitter.emit(EventTypes.ORDER_DELETED, { order: deleted });
+
+    return deleted;
+  }
+}
+
+module.exports = new OrderService();
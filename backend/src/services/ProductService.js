@@ -0,0 +1,244 @@
+const { Product } = require('../models');
+const taggingService = require('./tagging/TaggingService');
+const eventEmitter = require('../utils/eventEmitter');
+const { EventTypes } = require('../utils/eventEmitter');
+
+// Fields copied from the channel on every sync
+const SYNCED_FIELDS = ['title', 'vendor', 'productType', 'images'];
+const SYNCED_VARIANT_FIELDS = ['sku', 'title', 'price', 'compareAtPrice', 'weight', 'weightUnit', 'inventoryQuantity', 'inventoryTracked'];
+
+// Stock at or below this counts as low unless the product or variant sets its own threshold
+const DEFAULT_LOW_STOCK_THRESHOLD = Number.isNaN(parseInt(process.env.INVENTORY_LOW_THRESHOLD))
+  ? 5
+  : parseInt(process.env.INVENTORY_LOW_THRESHOLD);
+
+// Local product catalog, filled from sales channel syncs and keyed on
+// (userId, source, externalId) as returned by the clients' transformProducts
+class ProductService {
+  async getProducts(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = parseInt(params.limit) || 50;
+
+    const filters = { userId };
+    if (params.source) filters.source = params.source;
+    if (params.search) filters.search = params.search;
+    if (params.sku) filters.sku = params.sku;
+    if (params.tag) filters.tags = { $all: [].concat(params.tag) };
+
+    const [products, total] = await Promise.all([
+      Product.find(filters, {
+        sort: params.sort,
+        order: params.order,
+        limit,
+        offset: (page - 1) * limit
+      }),
+      Product.countDocuments(filters)
+    ]);
+
+    return {
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getProduct(userId, productId) {
+    const product = await Product.findById(productId);
+
+    if (!product || product.userId !== userId) {
+      return null;
+    }
+
+    return product;
+  }
+
+  // Sets the low stock threshold of the product and/or its variants.
+  // null clears a threshold so the next level up applies again.
+  async updateThresholds(userId, productId, { lowStockThreshold, variants = [] }) {
+    const product = await this.getProduct(userId, productId);
+    if (!product) return null;
+
+    const unknown = variants.filter(variant => !product.variants.some(v => v.id === variant.id));
+    if (unknown.length > 0) {
+      throw new Error(`Variant ${unknown[0].id} does not belong to this product`);
+    }
+
+    for (const variant of variants) {
+      await Product.updateVariant(product.id, variant.id, { lowStockThreshold: variant.lowStockThreshold });
+    }
+
+    if (lowStockThreshold !== undefined) {
+      return Product.findByIdAndUpdate(product.id, { lowStockThreshold });
+    }
+
+    return Product.findById(product.id);
+  }
+
+  getLowStockThreshold(product, variant) {
+    return variant.lowStockThreshold ?? product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  }
+
+  // Imports a batch, one product at a time so a bad product doesn't stop the
+  // rest. Returns counts per action plus the errors of products that failed.
+  async importProducts(userId, products, options = {}) {
+    const summary = { created: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+    const tagCache = new Map();
+
+    for (const productData of products) {
+      try {
+        const { action } = await this.importProduct(userId, productData, { ...options, tagCache });
+        summary[action]++;
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ externalId: productData.externalId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // Returns { action, product } where action is created, updated or skipped.
+  // options.integrationId records which integration the product came from.
+  async importProduct(userId, productData, options = {}) {
+    const tagCache = options.tagCache || new Map();
+
+    const existing = await Product.findOne({
+      userId,
+      source: productData.source,
+      externalProductId: productData.externalId
+    });
+
+    if (!existing) {
+      const product = await this.createProduct(userId, productData, tagCache, options.integrationId);
+      return { action: 'created', product };
+    }
+
+    return this.updateProduct(userId, existing, productData, tagCache, options.integrationId);
+  }
+
+  // New products raise no inventory alerts: there is no earlier level to cross from
+  async createProduct(userId, productData, tagCache, integrationId) {
+    const created = await Product.create({
+      userId,
+      integrationId: integrationId || null,
+      externalProductId: productData.externalId,
+      source: productData.source,
+      title: productData.title,
+      vendor: productData.vendor,
+      productType: productData.productType,
+      images: productData.images || [],
+      metadata: { externalTags: productData.tags || [] }
+    });
+
+    await Product.saveVariants(created.id, (productData.variants || []).map(variant => this.toVariant(variant)));
+
+    const tagIds = await taggingService.resolveTagNames(userId, productData.tags, tagCache);
+    await Product.syncTags(created.id, [], tagIds);
+
+    const product = await Product.findById(created.id);
+
+    eventEmitter.emit(EventTypes.PRODUCT_CREATED, { product });
+
+    return product;
+  }
+
+  async updateProduct(userId, existing, productData, tagCache, integrationId) {
+    const updates = {};
+    SYNCED_FIELDS.forEach(field => {
+      if (productData[field] !== undefined && JSON.stringify(existing[field]) !== JSON.stringify(productData[field])) {
+        updates[field] = productData[field];
+      }
+    });
+
+    // Follow tag changes made in the channel, leaving tags added here alone
+    const previousTagIds = await taggingService.resolveTagNames(userId, existing.metadata?.externalTags, tagCache);
+    const currentTagIds = await taggingService.resolveTagNames(userId, productData.tags, tagCache);
+    const tags = taggingService.followChannelTags(existing.tags, previousTagIds, currentTagIds);
+    const tagsChanged = JSON.stringify(tags) !== JSON.stringify(existing.tags);
+
+    // Only write variants whose channel data changed
+    const incoming = (productData.variants || []).map(variant => this.toVariant(variant));
+    const changedVariants = incoming.filter(variant => {
+      const current = existing.variants.find(v => v.externalVariantId === variant.externalVariantId);
+      return !current || SYNCED_VARIANT_FIELDS.some(field =>
+        variant[field] !== undefined && JSON.stringify(current[field]) !== JSON.stringify(variant[field])
+      );
+    });
+    const removedVariantIds = existing.variants
+      .filter(variant => !incoming.some(v => v.externalVariantId === variant.externalVariantId))
+      .map(variant => variant.id);
+
+    if (Object.keys(updates).length === 0 && !tagsChanged && changedVariants.length === 0 && removedVariantIds.length === 0) {
+      return { action: 'skipped', product: existing };
+    }
+
+    await Product.saveVariants(existing.id, changedVariants);
+    await Product.removeVariants(existing.id, removedVariantIds);
+    await Product.syncTags(existing.id, existing.tags, tags);
+
+    const product = await Product.findByIdAndUpdate(existing.id, {
+      ...updates,
+      ...(integrationId && { integrationId }),
+      metadata: { ...existing.metadata, externalTags: productData.tags || [] }
+    });
+
+    eventEmitter.emit(EventTypes.PRODUCT_UPDATED, { product, previous: existing });
+
+    const addedTagIds = tags.filter(tagId => !existing.tags.includes(tagId));
+    if (addedTagIds.length > 0) {
+      eventEmitter.emit(EventTypes.PRODUCT_TAGGED, {
+        entityType: 'product',
+        entityId: product.id,
+        tags: addedTagIds,
+        entity: product
+      });
+    }
+
+    this.checkInventory(product, existing.variants);
+
+    return { action: 'updated', product };
+  }
+
+  // Emits INVENTORY_LOW / INVENTORY_OUT for variants whose quantity crossed
+  // their threshold since the previous sync. Staying below a threshold
+  // doesn't re-alert; the variant has to be restocked above it first.
+  checkInventory(product, previousVariants) {
+    product.variants.forEach(variant => {
+      const previous = previousVariants.find(v => v.id === variant.id);
+      if (!previous || !variant.inventoryTracked) return;
+
+      const previousQuantity = previous.inventoryQuantity || 0;
+      const quantity = variant.inventoryQuantity || 0;
+      const threshold = this.getLowStockThreshold(product, variant);
+      const payload = { product, variant, previousQuantity, quantity, threshold };
+
+      if (previousQuantity > threshold && quantity <= threshold) {
+        eventEmitter.emit(EventTypes.INVENTORY_LOW, payload);
+      }
+      if (previousQuantity > 0 && quantity <= 0) {
+        eventEmitter.emit(EventTypes.INVENTORY_OUT, payload);
+      }
+    });
+  }
+
+  toVariant(variant) {
+    return {
+      externalVariantId: variant.externalId,
+      sku: variant.sku || null,
+      title: variant.title,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice,
+      // Stored with two decimals, so round to compare like for like
+      weight: variant.weight !== undefined ? Math.round(variant.weight * 100) / 100 : undefined,
+      weightUnit: variant.weightUnit,
+      inventoryQuantity: variant.inventoryQuantity ?? 0,
+      inventoryTracked: variant.inventoryTracked ?? true
+    };
+  }
+}
+
+module.exports = new ProductService();
@@ -0,0 +1,87 @@
+const { ApiIntegration } = require('../models');
+const QuickBooksApiClient = require('../integrations/QuickBooksApiClient');
+const { issueState, consumeState } = require('../utils/oauthState');
+
+// Scheduled refreshes pick up tokens expiring within this window
+const REFRESH_WINDOW_MS = 15 * 60 * 1000;
+
+// OAuth2 connect flow and token upkeep for QuickBooks integrations
+class QuickBooksAuthService {
+  // Starts the connect flow for one of the user's integrations
+  async createAuthorization(userId, integrationId) {
+    const integration = await ApiIntegration.findById(integrationId);
+
+    if (!integration || integration.userId !== userId) {
+      return null;
+    }
+    if (integration.type !== 'quickbooks') {
+      throw new Error('Integration is not a QuickBooks integration');
+    }
+
+    const state = await issueState(integration);
+    return { authorizationUrl: QuickBooksApiClient.getAuthorizationUrl(state) };
+  }
+
+  // Handles Intuit's redirect back
+  async completeAuthorization({ state, code, realmId, error }) {
+    const integration = await consumeState(state, 'quickbooks');
+
+    if (error || !code || !realmId) {
+      throw new Error(`QuickBooks authorization failed: ${error || 'missing code or company'}`);
+    }
+
+    const tokens = await QuickBooksApiClient.requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: process.env.QB_REDIRECT_URI
+    });
+
+    return ApiIntegration.findByIdAndUpdate(integration.id, {
+      config: { ...integration.config, ...tokens, companyId: realmId },
+      status: {
+        ...integration.status,
+        connected: true,
+        lastConnected: new Date(),
+        lastError: null,
+        consecutiveErrors: 0
+      }
+    });
+  }
+
+  // Run by the scheduler so tokens stay valid between syncs and the
+  // refresh token keeps rolling forward. A refresh token Intuit rejects
+  // can't be retried, so that integration is marked disconnected.
+  async refreshExpiringTokens() {
+    const integrations = await ApiIntegration.find({ type: 'quickbooks' });
+    const summary = { refreshed: 0, failed: 0 };
+
+    for (const integration of integrations) {
+      const { refreshToken, tokenExpiry } = integration.config || {};
+      if (!refreshToken || (tokenExpiry && new Date(tokenExpiry) > new Date(Date.now() + REFRESH_WINDOW_MS))) {
+        continue;
+      }
+
+      try {
+        await new QuickBooksApiClient(integration).refreshAccessToken();
+        summary.refreshed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Failed to refresh QuickBooks token for ${integration.name}:`, error.response?.data || error.message);
+
+        if (error.response?.data?.error === 'invalid_grant') {
+          await ApiIntegration.findByIdAndUpdate(integration.id, {
+            status: {
+              ...integration.status,
+              connected: false,
+              lastError: 'QuickBooks authorization expired or was revoked; reconnect the integration'
+            }
+          });
+        }
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new QuickBooksAuthService();
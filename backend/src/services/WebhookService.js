@@ -0,0 +1,130 @@
+const { ApiIntegration, WebhookEvent } = require('../models');
+const ApiIntegrationManager = require('./ApiIntegrationManager');
+const orderImportService = require('./OrderImportService');
+const trackingService = require('./shipping/TrackingService');
+const eventEmitter = require('../utils/eventEmitter');
+const { EventTypes } = require('../utils/eventEmitter');
+
+const SHOPIFY_ORDER_TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled'];
+const WOOCOMMERCE_ORDER_TOPICS = ['order.created', 'order.updated'];
+
+// Receives webhooks pushed by integrations. Signature checks happen in the
+// route on the raw body; everything here works on the parsed payload.
+class WebhookService {
+  // Returns null unless the integration exists, has the given type and
+  // has webhooks enabled
+  async getIntegration(integrationId, type) {
+    const integration = await ApiIntegration.findById(integrationId);
+
+    if (!integration || integration.type !== type || !integration.webhooks?.enabled) {
+      return null;
+    }
+
+    return integration;
+  }
+
+  verifySignature(integration, rawBody, signature) {
+    return ApiIntegrationManager.createClient(integration).verifyWebhook(rawBody, signature);
+  }
+
+  // Returns { duplicate } or { topic, action, orderId }. Throws when
+  // processing fails so the route can answer 500 and Shopify retries.
+  async handleShopifyWebhook(integration, headers, payload) {
+    const topic = headers['x-shopify-topic'];
+    const webhookId = headers['x-shopify-webhook-id'];
+
+    if (!SHOPIFY_ORDER_TOPICS.includes(topic)) {
+      return { topic, action: 'ignored' };
+    }
+
+    return this.importWebhookOrder(integration, topic, webhookId, payload, orderData => {
+      if (topic === 'orders/cancelled') {
+        orderData.cancelled = true;
+      }
+    });
+  }
+
+  // WooCommerce sends cancellations as order.updated with the new status
+  async handleWooCommerceWebhook(integration, headers, payload) {
+    const topic = headers['x-wc-webhook-topic'];
+
+    if (!WOOCOMMERCE_ORDER_TOPICS.includes(topic)) {
+      return { topic, action: 'ignored' };
+    }
+
+    return this.importWebhookOrder(integration, topic, headers['x-wc-webhook-delivery-id'], payload);
+  }
+
+  // Imports the order in a channel's order webhook, dropping deliveries
+  // already processed. prepare can adjust the transformed order first.
+  async importWebhookOrder(integration, topic, webhookId, payload, prepare) {
+    // Channels redeliver until they get a 2xx, so the same ID can arrive more than once
+    const event = webhookId ? await WebhookEvent.claim(integration.id, webhookId, topic) : null;
+    if (webhookId && !event) {
+      return { duplicate: true };
+    }
+
+    try {
+      const client = ApiIntegrationManager.createClient(integration);
+      const [orderData] = client.transformOrders([payload]);
+
+      if (prepare) {
+        prepare(orderData);
+      }
+
+      const { action, order } = await orderImportService.importOrder(integration.userId, orderData, {
+        integrationId: integration.id
+      });
+
+      if (event) {
+        await WebhookEvent.findByIdAndUpdate(event.id, { status: 'processed', processedAt: new Date() });
+      }
+
+      eventEmitter.emit(EventTypes.INTEGRATION_WEBHOOK_RECEIVED, {
+        integration,
+        topic,
+        action,
+        order
+      });
+
+      return { topic, action, orderId: order?.id };
+    } catch (error) {
+      if (event) {
+        await WebhookEvent.findByIdAndUpdate(event.id, { status: 'failed', error: error.message })
+          .catch(updateError => console.error('Failed to record webhook failure:', updateError));
+      }
+      throw error;
+    }
+  }
+
+  // AfterShip sends the whole tracking on every update, so applying the
+  // same delivery twice is harmless and no dedupe record is kept
+  async handleAfterShipWebhook(integration, payload) {
+    if (!payload.msg?.tracking_number) {
+      return { event: payload.event, action: 'ignored' };
+    }
+
+    const client = ApiIntegrationManager.createClient(integration);
+    const tracking = client.transformSingleTracking(payload.msg);
+
+    const result = await trackingService.applyTrackingUpdate(integration.userId, tracking);
+    if (!result) {
+      return { event: payload.event, action: 'unmatched' };
+    }
+
+    eventEmitter.emit(EventTypes.INTEGRATION_WEBHOOK_RECEIVED, {
+      integration,
+      topic: payload.event,
+      action: result.changed ? 'updated' : 'skipped',
+      order: result.order
+    });
+
+    return {
+      event: payload.event,
+      action: result.changed ? 'updated' : 'skipped',
+      orderId: result.order.id
+    };
+  }
+}
+
+module.exports = new WebhookService();
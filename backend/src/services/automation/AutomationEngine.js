@@ -0,0 +1,335 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { AutomationRule, AutomationExecution, Order } = require('../../models');
+const orderService = require('../OrderService');
+const taggingService = require('../tagging/TaggingService');
+const eventEmitter = require('../../utils/eventEmitter');
+const { EventTypes } = require('../../utils/eventEmitter');
+const { postJson } = require('../../utils/publicRequest');
+
+// Bus events -> trigger.event values accepted by schemas.createAutomationRule
+const TRIGGER_EVENTS = {
+  [EventTypes.ORDER_CREATED]: 'order_imported',
+  [EventTypes.ORDER_UPDATED]: 'order_updated',
+  [EventTypes.ORDER_TAGGED]: 'order_tagged',
+  [EventTypes.INVENTORY_LOW]: 'inventory_low',
+  [EventTypes.LABEL_CREATED]: 'shipping_created',
+  [EventTypes.TRACKING_UPDATED]: 'tracking_updated'
+};
+
+// Slack incoming webhooks are only ever on this host
+const SLACK_WEBHOOK_HOSTS = ['hooks.slack.com'];
+
+// Orders past these statuses can no longer be put on hold
+const FINAL_STATUSES = ['shipped', 'delivered', 'cancelled', 'returned'];
+
+// Carries the chain of executing ruleId:subjectId pairs into the events a
+// rule's own actions emit, so a rule can't re-trigger itself recursively
+const executionChain = new AsyncLocalStorage();
+
+class AutomationEngine {
+  constructor() {
+    this.initializeEventListeners();
+  }
+
+  initializeEventListeners() {
+    for (const [eventName, triggerEvent] of Object.entries(TRIGGER_EVENTS)) {
+      eventEmitter.on(eventName, payload => this.handleEvent(triggerEvent, payload));
+    }
+  }
+
+  async handleEvent(triggerEvent, payload = {}) {
+    try {
+      // Tagging events carry the order as `entity`, inventory events a product
+      const subject = payload.order || payload.entity || payload.product;
+      if (!subject?.userId) return [];
+
+      return await this.runRules(subject.userId, triggerEvent, subject, payload);
+    } catch (error) {
+      console.error(`Error running automation rules for ${triggerEvent}:`, error);
+      return [];
+    }
+  }
+
+  // Evaluate every active rule for the event, highest priority first.
+  // Scheduled rules only run from the automation scheduler.
+  async runRules(userId, triggerEvent, subject, payload = {}) {
+    const rules = (await AutomationRule.findActiveRules(userId, triggerEvent)).filter(rule => !rule.isScheduled());
+    if (rules.length === 0) return [];
+
+    const timezone = await AutomationRule.findOwnerTimezone(userId);
+    const results = [];
+    let current = subject;
+
+    for (const rule of rules) {
+      const result = await this.executeRule(rule, current, { event: triggerEvent, payload, timezone });
+      if (!result) continue;
+
+      results.push(result);
+
+      // Later rules see the changes made by earlier ones
+      if (result.actionsPerformed.length && triggerEvent !== 'inventory_low') {
+        current = (await Order.findById(current.id)) || current;
+      }
+    }
+
+    return results;
+  }
+
+  // Sweep the owner's open orders this rule hasn't acted on. Orders are
+  // only recorded against the rule once it acted on them, so orders that
+  // don't match yet (e.g. not old enough) are picked up again by later runs,
+  // and other scheduled rules still see orders this one handled.
+  async runScheduledRule(rule) {
+    const timezone = await AutomationRule.findOwnerTimezone(rule.userId);
+    const orders = await Order.findPendingAutomation(rule.userId, rule.id);
+    const summary = { ruleId: rule.id, evaluated: orders.length, matched: 0, succeeded: 0, failed: 0 };
+
+    for (const order of orders) {
+      const result = await this.executeRule(rule, order, { event: 'scheduled', payload: {}, timezone });
+      if (!result) continue;
+
+      summary.matched++;
+      summary[result.success ? 'succeeded' : 'failed']++;
+
+      if (result.success && result.actionsPerformed.length) {
+        await this.markProcessed(order, rule, result.actionsPerformed);
+      }
+    }
+
+    return summary;
+  }
+
+  async markProcessed(order, rule, actionsPerformed) {
+    const automation = order.automation || {};
+
+    await Order.findByIdAndUpdate(order.id, {
+      automation: {
+        ...automation,
+        processed: true,
+        processedAt: new Date(),
+        rules: [...new Set([...(automation.rules || []), rule.id])],
+        actions: [...(automation.actions || []), {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          actions: actionsPerformed,
+          executedAt: new Date()
+        }]
+      }
+    });
+  }
+
+  async executeRule(rule, subject, context) {
+    const chain = executionChain.getStore() || [];
+    const key = `${rule.id}:${subject.id}`;
+    if (chain.includes(key)) return null;
+
+    const trace = [];
+    if (!rule.canExecute(subject, { timezone: context.timezone }) ||
+        !(await rule.evaluateConditions(subject, { timezone: context.timezone, trace }))) {
+      return null;
+    }
+
+    eventEmitter.emit(EventTypes.AUTOMATION_TRIGGERED, { rule, subject, event: context.event });
+
+    const startTime = Date.now();
+    const actionsPerformed = [];
+    let error = null;
+
+    try {
+      await executionChain.run([...chain, key], () => this.executeActions(rule, subject, context, actionsPerformed));
+    } catch (err) {
+      error = err;
+    }
+
+    const duration = Date.now() - startTime;
+    const result = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      subjectId: subject.id,
+      success: !error,
+      duration,
+      actionsPerformed,
+      error: error ? error.message : null
+    };
+
+    try {
+      await rule.recordExecution(subject.id, result.success, duration, result.error, actionsPerformed);
+    } catch (recordError) {
+      console.error(`Failed to record execution of rule ${rule.name}:`, recordError.message);
+    }
+
+    await this.logExecution(rule, subject, context, result, trace);
+
+    if (error) {
+      eventEmitter.emit(EventTypes.AUTOMATION_FAILED, { rule, subject, event: context.event, error: result.error, actionsPerformed });
+    } else {
+      eventEmitter.emit(EventTypes.AUTOMATION_EXECUTED, { rule, subject, event: context.event, actionsPerformed, duration });
+    }
+
+    return result;
+  }
+
+  // The rule's own history only keeps the last 100 runs; the audit log keeps
+  // every run until retention removes it
+  async logExecution(rule, subject, context, result, trace) {
+    try {
+      await AutomationExecution.create({
+        userId: rule.userId,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        orderId: context.event === 'inventory_low' ? null : subject.id,
+        subjectId: subject.id,
+        triggerEvent: context.event,
+        matchedConditions: trace,
+        actionsPerformed: result.actionsPerformed,
+        success: result.success,
+        duration: result.duration,
+        error: result.error
+      });
+    } catch (error) {
+      console.error(`Failed to log execution of rule ${rule.name}:`, error.message);
+    }
+  }
+
+  // Actions run in a fixed order; the first failure stops the rule
+  async executeActions(rule, subject, context, performed) {
+    const actions = rule.actions || {};
+    const isOrder = context.event !== 'inventory_low';
+    // Inventory rules tag the product that ran low
+    const entityType = isOrder ? 'order' : 'product';
+
+    if (actions.tagging?.addTags?.length) {
+      await taggingService.applyTags(entityType, subject.id, actions.tagging.addTags);
+      performed.push('tagging.addTags');
+    }
+
+    if (actions.tagging?.removeTags?.length) {
+      await taggingService.removeTags(entityType, subject.id, actions.tagging.removeTags);
+      performed.push('tagging.removeTags');
+    }
+
+    if (isOrder && (actions.shipping || actions.options)) {
+      await this.setShippingService(subject, actions);
+      performed.push('shipping');
+    }
+
+    if (isOrder && actions.workflow?.hold) {
+      await this.holdOrder(subject, actions.workflow.holdReason || `Held by automation rule: ${rule.name}`);
+      performed.push('workflow.hold');
+    }
+
+    if (actions.notifications) {
+      performed.push(...await this.notify(rule, subject, context, actions.notifications));
+    }
+
+    return performed;
+  }
+
+  // Describe what executeActions would do for an order, without side effects
+  describeActions(rule, order) {
+    const actions = rule.actions || {};
+    const orderTags = (order.tags || []).map(t => t.toString());
+    const planned = [];
+
+    if (actions.tagging?.addTags?.length) {
+      const tags = actions.tagging.addTags.filter(tagId => !orderTags.includes(tagId.toString()));
+      planned.push({ action: 'tagging.addTags', tags, ...(!tags.length && { skipped: 'Order already has these tags' }) });
+    }
+
+    if (actions.tagging?.removeTags?.length) {
+      const tags = actions.tagging.removeTags.filter(tagId => orderTags.includes(tagId.toString()));
+      planned.push({ action: 'tagging.removeTags', tags, ...(!tags.length && { skipped: 'Order has none of these tags' }) });
+    }
+
+    if (actions.shipping || actions.options) {
+      planned.push({
+        action: 'shipping',
+        ...actions.shipping,
+        options: actions.options,
+        ...(order.shipping?.trackingNumber && { skipped: 'Order already has a label' })
+      });
+    }
+
+    if (actions.workflow?.hold) {
+      planned.push({
+        action: 'workflow.hold',
+        reason: actions.workflow.holdReason || `Held by automation rule: ${rule.name}`,
+        ...(FINAL_STATUSES.includes(order.status) && { skipped: `Order status is ${order.status}` })
+      });
+    }
+
+    if (actions.notifications) {
+      planned.push({ action: 'notifications', channels: Object.keys(actions.notifications) });
+    }
+
+    return planned;
+  }
+
+  async setShippingService(order, actions) {
+    const current = await orderService.getOrder(order.userId, order.id);
+    if (!current) throw new Error('Order not found');
+
+    if (current.shipping?.trackingNumber) {
+      throw new Error('Order already has a label; void it before changing the shipping service');
+    }
+
+    const { carrier, service, serviceCode } = actions.shipping || {};
+    await orderService.updateOrder(order.userId, order.id, {
+      shipping: {
+        ...current.shipping,
+        ...(carrier && { carrier }),
+        ...(service && { service }),
+        ...(serviceCode && { serviceCode }),
+        options: { ...current.shipping?.options, ...actions.options }
+      }
+    });
+  }
+
+  async holdOrder(order, reason) {
+    const current = await orderService.getOrder(order.userId, order.id);
+    if (!current) throw new Error('Order not found');
+
+    if (FINAL_STATUSES.includes(current.status)) {
+      throw new Error(`Cannot hold an order with status: ${current.status}`);
+    }
+
+    await orderService.updateOrder(order.userId, order.id, {
+      status: 'on_hold',
+      metadata: { ...current.metadata, holdReason: reason }
+    });
+  }
+
+  // Slack and webhook notifications are delivered here; every notification
+  // is also emitted on the bus for email/in-app notifiers. The URLs come
+  // from the user's rule, so they must be public https addresses.
+  async notify(rule, subject, context, notifications) {
+    const performed = [];
+    const label = subject.orderNumber ? `order ${subject.orderNumber}` : subject.sku || subject.id;
+    const message = `Automation rule "${rule.name}" ran for ${label} (${context.event})`;
+
+    if (notifications.slack?.webhookUrl) {
+      await postJson(notifications.slack.webhookUrl, {
+        text: message,
+        ...(notifications.slack.channel && { channel: notifications.slack.channel })
+      }, { hosts: SLACK_WEBHOOK_HOSTS });
+      performed.push('notifications.slack');
+    }
+
+    if (notifications.webhook?.url) {
+      await postJson(notifications.webhook.url, {
+        event: context.event,
+        rule: { id: rule.id, name: rule.name },
+        subject: { id: subject.id, orderNumber: subject.orderNumber, status: subject.status },
+        message
+      });
+      performed.push('notifications.webhook');
+    }
+
+    eventEmitter.emit(EventTypes.AUTOMATION_NOTIFICATION, { rule, subject, event: context.event, notifications, message });
+    performed.push('notifications.emit');
+
+    return performed;
+  }
+}
+
+module.exports = new AutomationEngine();
@@ -0,0 +1,175 @@
+const { AutomationRule, AutomationExecution, Order } = require('../../models');
+const automationEngine = require('./AutomationEngine');
+const automationScheduler = require('./AutomationScheduler');
+const { toConditionTree, validateConditionTree } = require('../../utils/conditionTree');
+const { validateTimeWindow } = require('../../utils/timeWindow');
+const eventEmitter = require('../../utils/eventEmitter');
+const { EventTypes } = require('../../utils/eventEmitter');
+
+const DEFAULT_DRY_RUN_LIMIT = 50;
+const MAX_DRY_RUN_LIMIT = 500;
+
+class AutomationRuleService {
+  async getRules(userId, params = {}) {
+    const filters = { userId };
+    if (params.enabled !== undefined) filters.enabled = params.enabled === true || params.enabled === 'true';
+    if (params.event) filters['trigger.event'] = params.event;
+
+    return AutomationRule.find(filters, { sort: { priority: -1 } });
+  }
+
+  async getRule(userId, ruleId) {
+    const rule = await AutomationRule.findById(ruleId);
+
+    if (!rule || rule.userId !== userId) {
+      return null;
+    }
+
+    return rule;
+  }
+
+  async createRule(userId, ruleData) {
+    this.validateConditions(ruleData.trigger?.conditions);
+    this.validateSchedule(ruleData.schedule);
+
+    const rule = await AutomationRule.create({
+      enabled: true,
+      priority: 0,
+      ...ruleData,
+      userId
+    });
+
+    eventEmitter.emit(EventTypes.AUTOMATION_RULE_CREATED, { rule });
+
+    return rule;
+  }
+
+  async updateRule(userId, ruleId, updates) {
+    const rule = await this.getRule(userId, ruleId);
+    if (!rule) return null;
+
+    const { userId: _userId, stats, history, ...allowed } = updates;
+    this.validateConditions(allowed.trigger?.conditions);
+    this.validateSchedule(allowed.schedule);
+
+    const updated = await AutomationRule.findByIdAndUpdate(ruleId, allowed);
+
+    eventEmitter.emit(EventTypes.AUTOMATION_RULE_UPDATED, { rule: updated, changes: allowed });
+
+    return updated;
+  }
+
+  async deleteRule(userId, ruleId) {
+    const rule = await this.getRule(userId, ruleId);
+    if (!rule) return null;
+
+    const deleted = await AutomationRule.findByIdAndDelete(ruleId);
+
+    eventEmitter.emit(EventTypes.AUTOMATION_RULE_DELETED, { rule: deleted });
+
+    return deleted;
+  }
+
+  async setEnabled(userId, ruleId, enabled) {
+    return this.updateRule(userId, ruleId, { enabled });
+  }
+
+  // Priorities run highest first, so the first id in the list gets the
+  // highest priority
+  async reorderRules(userId, ruleIds) {
+    const rules = await AutomationRule.find({ userId });
+    const owned = new Set(rules.map(rule => rule.id));
+
+    const unknown = ruleIds.filter(ruleId => !owned.has(ruleId));
+    if (unknown.length) {
+      throw new Error(`Unknown automation rules: ${unknown.join(', ')}`);
+    }
+
+    const updated = await Promise.all(ruleIds.map((ruleId, index) =>
+      AutomationRule.findByIdAndUpdate(ruleId, { priority: ruleIds.length - index })
+    ));
+
+    eventEmitter.emit(EventTypes.AUTOMATION_RULE_UPDATED, { rules: updated, changes: { priority: true } });
+
+    return updated.sort((a, b) => b.priority - a.priority);
+  }
+
+  // Audit log of rule runs, newest first
+  async getExecutions(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = parseInt(params.limit) || 50;
+
+    const filters = { userId };
+    if (params.ruleId) filters.ruleId = params.ruleId;
+    if (params.orderId) filters.orderId = params.orderId;
+    if (params.event) filters.triggerEvent = params.event;
+    if (params.success !== undefined) filters.success = params.success === true || params.success === 'true';
+    if (params.startDate || params.endDate) {
+      filters.executedAt = {};
+      if (params.startDate) filters.executedAt.$gte = params.startDate;
+      if (params.endDate) filters.executedAt.$lte = params.endDate;
+    }
+
+    const [executions, total] = await Promise.all([
+      AutomationExecution.find(filters, { limit, offset: (page - 1) * limit }),
+      AutomationExecution.countDocuments(filters)
+    ]);
+
+    return {
+      executions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Legacy condition blocks are still accepted; they're checked as the tree
+  // they convert to
+  validateConditions(conditions) {
+    if (conditions) validateConditionTree(toConditionTree(conditions));
+  }
+
+  validateSchedule(schedule) {
+    if (!schedule) return;
+
+    validateTimeWindow(schedule, 'schedule');
+    if (schedule.frequency && schedule.frequency !== 'immediate') {
+      automationScheduler.getCronExpression(schedule);
+    }
+  }
+
+  // Evaluate a rule against recent orders without running any actions.
+  // Schedule and rate limits are ignored so disabled rules can be tested too.
+  async dryRun(userId, ruleId, params = {}) {
+    const rule = await this.getRule(userId, ruleId);
+    if (!rule) return null;
+
+    const limit = Math.min(parseInt(params.limit) || DEFAULT_DRY_RUN_LIMIT, MAX_DRY_RUN_LIMIT);
+    const orders = await Order.find({ userId }, { limit });
+    const timezone = await AutomationRule.findOwnerTimezone(userId);
+
+    const matches = [];
+    for (const order of orders) {
+      if (!(await rule.evaluateConditions(order, { timezone }))) continue;
+
+      matches.push({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        actions: automationEngine.describeActions(rule, order)
+      });
+    }
+
+    return {
+      rule: { id: rule.id, name: rule.name, enabled: rule.enabled, event: rule.trigger?.event },
+      evaluated: orders.length,
+      matched: matches.length,
+      matches
+    };
+  }
+}
+
+module.exports = new AutomationRuleService();
@@ -0,0 +1,130 @@
+const cron = require('node-cron');
+const { AutomationRule } = require('../../models');
+const automationEngine = require('./AutomationEngine');
+const eventEmitter = require('../../utils/eventEmitter');
+const { EventTypes } = require('../../utils/eventEmitter');
+const { TIME_PATTERN } = require('../../utils/timeWindow');
+
+const FREQUENCIES = ['immediate', 'hourly', 'daily', 'cron'];
+
+class AutomationScheduler {
+  constructor() {
+    this.scheduledJobs = new Map();
+    this.runningRules = new Set();
+    this.started = false;
+
+    eventEmitter.on(EventTypes.AUTOMATION_RULE_CREATED, ({ rule }) => this.refreshRule(rule));
+    eventEmitter.on(EventTypes.AUTOMATION_RULE_UPDATED, ({ rule }) => rule && this.refreshRule(rule));
+    eventEmitter.on(EventTypes.AUTOMATION_RULE_DELETED, ({ rule }) => rule && this.unscheduleRule(rule.id));
+  }
+
+  async start() {
+    console.log('Starting automation scheduler...');
+    this.started = true;
+
+    try {
+      const rules = await AutomationRule.findScheduledRules();
+      for (const rule of rules) {
+        await this.scheduleRule(rule);
+      }
+      console.log(`Scheduled ${this.scheduledJobs.size} automation rules`);
+    } catch (error) {
+      console.error('Error loading scheduled automation rules:', error);
+    }
+  }
+
+  // Hourly runs at `minute` past the hour, daily at `time` (HH:MM), both in
+  // the owner's timezone; cron takes a standard 5-field expression
+  getCronExpression(schedule) {
+    switch (schedule.frequency) {
+      case 'hourly': {
+        const minute = schedule.minute ?? 0;
+        if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+          throw new Error('schedule.minute must be between 0 and 59');
+        }
+        return `${minute} * * * *`;
+      }
+      case 'daily': {
+        if (!schedule.time || !TIME_PATTERN.test(schedule.time) || schedule.time === '24:00') {
+          throw new Error('schedule.time must be HH:MM for daily rules');
+        }
+        const [hours, minutes] = schedule.time.split(':').map(Number);
+        return `${minutes} ${hours} * * *`;
+      }
+      case 'cron':
+        if (!schedule.cron || !cron.validate(schedule.cron)) {
+          throw new Error('schedule.cron must be a valid cron expression');
+        }
+        return schedule.cron;
+      default:
+        throw new Error(`schedule.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+  }
+
+  async scheduleRule(rule) {
+    this.unscheduleRule(rule.id);
+
+    try {
+      const expression = this.getCronExpression(rule.schedule);
+      const timezone = await AutomationRule.findOwnerTimezone(rule.userId);
+
+      const job = cron.schedule(expression, () => this.runRule(rule.id), { timezone });
+      this.scheduledJobs.set(rule.id, job);
+    } catch (error) {
+      console.error(`Failed to schedule automation rule ${rule.name}:`, error.message);
+    }
+  }
+
+  unscheduleRule(ruleId) {
+    if (this.scheduledJobs.has(ruleId)) {
+      this.scheduledJobs.get(ruleId).stop();
+      this.scheduledJobs.delete(ruleId);
+    }
+  }
+
+  // Keep the cron jobs in step with rule changes made through the API
+  async refreshRule(rule) {
+    if (!this.started) return;
+
+    if (rule.enabled && rule.isScheduled()) {
+      await this.scheduleRule(rule);
+    } else {
+      this.unscheduleRule(rule.id);
+    }
+  }
+
+  async runRule(ruleId) {
+    // Skip a tick while the previous sweep of the same rule is still going
+    if (this.runningRules.has(ruleId)) return null;
+    this.runningRules.add(ruleId);
+
+    try {
+      // Reload so the sweep uses the latest stats, limits and conditions
+      const rule = await AutomationRule.findById(ruleId);
+      if (!rule || !rule.enabled || !rule.isScheduled()) {
+        this.unscheduleRule(ruleId);
+        return null;
+      }
+
+      const summary = await automationEngine.runScheduledRule(rule);
+      console.log(`Scheduled rule ${rule.name}: ${summary.matched}/${summary.evaluated} orders matched, ${summary.failed} failed`);
+      return summary;
+    } catch (error) {
+      console.error(`Error running scheduled automation rule ${ruleId}:`, error);
+      return null;
+    } finally {
+      this.runningRules.delete(ruleId);
+    }
+  }
+
+  stop() {
+    for (const job of this.scheduledJobs.values()) {
+      job.stop();
+    }
+    this.scheduledJobs.clear();
+    this.started = false;
+    console.log('Automation scheduler stopped');
+  }
+}
+
+module.exports = new AutomationScheduler();
@@ -0,0 +1,257 @@
+const Queue = require('bull');
+const { PDFDocument } = require('pdf-lib');
+const { Order } = require('../../models');
+const orderService = require('../OrderService');
+const labelService = require('./LabelService');
+const rateShoppingService = require('./RateShoppingService');
+
+// Orders that can still get a label from a tag-filtered batch
+const SHIPPABLE_STATUSES = ['pending', 'processing', 'on_hold'];
+const MAX_BATCH_SIZE = 500;
+
+class BatchShipService {
+  constructor() {
+    this.queue = null;
+    this.concurrency = parseInt(process.env.BATCH_LABEL_CONCURRENCY) || 5;
+  }
+
+  // The queue lives in Redis so batches survive restarts and can be polled
+  start() {
+    if (this.queue) return this.queue;
+
+    if (!process.env.REDIS_URL) {
+      throw new Error('Batch shipping requires REDIS_URL to be configured');
+    }
+
+    this.queue = new Queue('label-batches', process.env.REDIS_URL);
+    this.queue.process(job => this.processBatch(job));
+    this.queue.on('failed', (job, error) => {
+      console.error(`Label batch ${job.id} failed:`, error.message);
+    });
+
+    return this.queue;
+  }
+
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  async createBatch(userId, params) {
+    const job = await this.start().add(
+      { ...params, userId, labelFormat: params.labelFormat || process.env.LABEL_FORMAT || 'pdf' },
+      { attempts: 1, removeOnComplete: 1000, removeOnFail: 1000 }
+    );
+
+    return this.formatJob(job);
+  }
+
+  async getBatch(userId, batchId) {
+    const job = await this.start().getJob(batchId);
+
+    if (!job || job.data.userId !== userId) {
+      return null;
+    }
+
+    return this.formatJob(job);
+  }
+
+  async getCombinedLabel(userId, batchId) {
+    const batch = await this.getBatch(userId, batchId);
+    if (!batch) return null;
+
+    if (batch.state !== 'completed') {
+      throw new Error(`Batch is ${batch.state}`);
+    }
+
+    const combined = batch.result.combinedLabel;
+    if (!combined?.storagePath) {
+      throw new Error(combined?.error || 'Batch produced no labels that can be combined');
+    }
+
+    return {
+      data: await labelService.downloadFile(combined.storagePath),
+      contentType: labelService.getContentType(combined.format),
+      filename: `batch-${batchId}.${combined.format}`
+    };
+  }
+
+  async formatJob(job) {
+    return {
+      batchId: job.id,
+      state: await job.getState(),
+      progress: job.progress(),
+      result: job.returnvalue || null,
+      error: job.failedReason || null,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+  }
+
+  async processBatch(job) {
+    const { userId } = job.data;
+    const entries = await this.resolveOrders(userId, job.data);
+    const results = new Array(entries.length);
+    const counts = { total: entries.length, processed: 0, succeeded: 0, failed: 0 };
+
+    await job.progress({ ...counts, results: [] });
+
+    await this.runWithConcurrency(entries, this.concurrency, async (entry, index) => {
+      results[index] = await this.shipOrder(userId, entry, job.data);
+
+      counts.processed++;
+      counts[results[index].success ? 'succeeded' : 'failed']++;
+      await job.progress({ ...counts, results: results.filter(Boolean).map(this.toSummary) });
+    });
+
+    // Labels are already bought, so a failed merge must not fail the batch
+    let combinedLabel;
+    try {
+      combinedLabel = await this.mergeLabels(userId, job.id, job.data.labelFormat, results);
+    } catch (error) {
+      combinedLabel = { format: job.data.labelFormat, storagePath: null, error: `Failed to combine labels: ${error.message}` };
+    }
+
+    return { ...counts, results: results.map(this.toSummary), combinedLabel };
+  }
+
+  toSummary({ label, ...result }) {
+    return result;
+  }
+
+  async resolveOrders(userId, { orderIds, tags }) {
+    if (orderIds?.length) {
+      // A repeated ID would buy two labels for the same order at once
+      return Promise.all([...new Set(orderIds)].map(async orderId => ({
+        orderId,
+        order: await orderService.getOrder(userId, orderId)
+      })));
+    }
+
+    const orders = await Order.find(
+      { userId, tags: { $all: tags }, status: { $in: SHIPPABLE_STATUSES } },
+      { limit: MAX_BATCH_SIZE }
+    );
+
+    return orders.map(order => ({ orderId: order.id, order }));
+  }
+
+  async shipOrder(userId, { orderId, order }, params) {
+    if (!order) {
+      return { orderId, success: false, error: 'Order not found' };
+    }
+
+    try {
+      const rate = await this.selectRate(order, params);
+      const result = await labelService.purchaseLabel(userId, {
+        orderId,
+        rateSelection: {
+          carrier: rate.carrier,
+          service: rate.service,
+          serviceCode: rate.serviceCode,
+          cost: rate.cost
+        },
+        origin: params.origin,
+        options: { ...params.options, labelFormat: params.labelFormat }
+      });
+
+      return {
+        orderId,
+        orderNumber: order.orderNumber,
+        success: true,
+        shipmentId: result.shipment.id,
+        trackingNumber: result.shipment.trackingNumber,
+        carrier: result.shipment.carrier,
+        service: result.shipment.service,
+        cost: result.shipment.cost,
+        label: result.shipment.label
+      };
+    } catch (error) {
+      return { orderId, orderNumber: order.orderNumber, success: false, error: error.message };
+    }
+  }
+
+  async selectRate(order, { strategy = 'cheapest', preset, carriers, origin }) {
+    const shipment = {
+      origin: origin || labelService.getDefaultOrigin(),
+      destination: labelService.getDestination(order),
+      packages: [labelService.getDefaultPackage(order)]
+    };
+
+    const { rates, errors } = await rateShoppingService.getRates(shipment, {
+      carriers: strategy === 'preset' ? [preset.carrier] : carriers,
+      sortBy: strategy === 'fastest' ? 'transitDays' : 'cost'
+    });
+
+    const rate = strategy === 'preset'
+      ? rates.find(r => r.serviceCode === preset.serviceCode || r.service === preset.service)
+      : rates[0];
+
+    if (!rate) {
+      const reasons = errors.map(e => `${e.carrier}: ${e.message}`).join('; ');
+      throw new Error(`No matching rate available${reasons ? ` (${reasons})` : ''}`);
+    }
+
+    return rate;
+  }
+
+  // Combine every purchased label into one printable file
+  async mergeLabels(userId, batchId, labelFormat, results) {
+    const labels = results.filter(result => result.success);
+    if (labels.length === 0) return null;
+
+    const skipped = [];
+    let data;
+
+    if (labelFormat === 'zpl') {
+      const parts = [];
+      for (const result of labels) {
+        if (result.label.format !== 'zpl') {
+          skipped.push(result.orderId);
+          continue;
+        }
+        parts.push((await labelService.downloadFile(result.label.storagePath)).toString('utf8').trim());
+      }
+      data = Buffer.from(parts.join('\n'), 'utf8');
+    } else {
+      const merged = await PDFDocument.create();
+      for (const result of labels) {
+        // UPS only returns GIF images, which can't be merged into the PDF
+        if (result.label.format !== 'pdf') {
+          skipped.push(result.orderId);
+          continue;
+        }
+        const source = await PDFDocument.load(await labelService.downloadFile(result.label.storagePath));
+        const pages = await merged.copyPages(source, source.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+      }
+      data = Buffer.from(await merged.save());
+    }
+
+    if (skipped.length === labels.length) {
+      return { format: labelFormat, storagePath: null, labelCount: 0, skipped };
+    }
+
+    const storagePath = `${userId}/batches/${batchId}.${labelFormat}`;
+    await labelService.uploadFile(storagePath, data, labelFormat);
+
+    return { format: labelFormat, storagePath, labelCount: labels.length - skipped.length, skipped };
+  }
+
+  // Run worker over items with at most `limit` in flight
+  async runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    });
+
+    await Promise.all(runners);
+  }
+}
+
+module.exports = new BatchShipService();
@@ -0,0 +1,326 @@
+const { ApiIntegration, CarrierReconciliation, Shipment } = require('../../models');
+const ApiIntegrationManager = require('../ApiIntegrationManager');
+
+// Fees carriers add after the label was bought, by bill line description
+const ADJUSTMENT_FEES = [
+  ['address_correction', /address correction/i],
+  ['dimensional_weight', /dimensional|\bdim\b|dim weight/i],
+  ['weight_correction', /weight (correction|adjustment)|audited weight|shipping charge correction/i],
+  ['additional_handling', /additional handling/i],
+  ['oversize', /oversize|large package/i],
+  ['residential_adjustment', /residential (adjustment|surcharge|correction)/i]
+];
+
+// Bill.com vendor names recognised as carriers when config.carrierVendors doesn't list the vendor
+const CARRIER_VENDOR_NAMES = {
+  ups: /\bups\b|united parcel/i,
+  usps: /\busps\b|postal service/i,
+  fedex: /fedex|federal express/i,
+  dhl: /\bdhl\b/i
+};
+
+// Adjustments arrive weeks after the label, so shipments are looked up this far back
+const SHIPMENT_LOOKBACK_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A label whose void the carrier refused is still live and billable
+const ACTIVE_STATUSES = ['purchased', 'void_failed'];
+
+// Checks carrier bills paid through Bill.com against the labels bought here.
+// Bill lines that name a tracking number are matched to that label; bills
+// without any are compared with the labels bought in their billing period.
+class CarrierReconciliationService {
+  // Reconciles the bills of one Bill.com integration with an invoice date
+  // in [from, to] and stores the report. Returns null if the integration
+  // isn't the user's.
+  async reconcile(userId, integrationId, { from, to }) {
+    const integration = await ApiIntegration.findById(integrationId);
+
+    if (!integration || integration.userId !== userId) {
+      return null;
+    }
+    if (integration.type !== 'bill.com') {
+      throw new Error('Carrier invoices can only be reconciled from a Bill.com integration');
+    }
+
+    const periodStart = this.toDate(from);
+    const periodEnd = this.toDate(to);
+
+    const client = ApiIntegrationManager.createClient(integration);
+    const bills = (await client.getBillsInRange(periodStart, periodEnd))
+      .map(bill => ({ bill, carrier: this.identifyCarrier(bill, integration.config) }))
+      .filter(({ carrier }) => carrier);
+
+    const shipments = {};
+    for (const carrier of new Set(bills.map(({ carrier }) => carrier))) {
+      shipments[carrier] = await this.findShipments(userId, carrier, periodStart, periodEnd);
+    }
+
+    const { summary, discrepancies } = this.buildReport(bills, shipments, integration.config);
+
+    return CarrierReconciliation.create({
+      userId,
+      integrationId: integration.id,
+      periodStart,
+      periodEnd,
+      summary,
+      discrepancies
+    });
+  }
+
+  // Run weekly by the scheduler for Bill.com integrations that opt in
+  async reconcileAll() {
+    const integrations = await ApiIntegration.find({ type: 'bill.com' });
+    const to = new Date();
+    const from = new Date(to.getTime() - (parseInt(process.env.CARRIER_RECONCILIATION_DAYS) || 30) * DAY_MS);
+    const reports = [];
+
+    for (const integration of integrations.filter(i => i.syncSettings?.reconcileCarrierInvoices)) {
+      try {
+        reports.push(await this.reconcile(integration.userId, integration.id, { from, to }));
+      } catch (error) {
+        console.error(`Carrier reconciliation failed for ${integration.name}:`, error.message);
+      }
+    }
+
+    return reports;
+  }
+
+  async getReports(userId, integrationId, { page = 1, limit = 20 } = {}) {
+    const reports = await CarrierReconciliation.find({ userId, integrationId }, {
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    // The list only needs the totals; discrepancies come with the single report
+    return reports.map(({ discrepancies, ...report }) => report);
+  }
+
+  async getReport(userId, integrationId, reconciliationId) {
+    const report = await CarrierReconciliation.findById(reconciliationId);
+
+    if (!report || report.userId !== userId || report.integrationId !== integrationId) {
+      return null;
+    }
+
+    return report;
+  }
+
+  buildReport(bills, shipmentsByCarrier, config = {}) {
+    const tolerance = config.overchargeTolerance ?? 0.05;
+    const periodDays = config.billingPeriodDays || 7;
+
+    const trackingMaps = {};
+    Object.entries(shipmentsByCarrier).forEach(([carrier, shipments]) => {
+      trackingMaps[carrier] = new Map(shipments.map(shipment => [shipment.trackingNumber.toUpperCase(), shipment]));
+    });
+
+    const summary = { bills: bills.length, billed: 0, expected: 0, matchedCharges: 0, unmatchedCharges: 0 };
+    const discrepancies = [];
+    const seenInvoices = new Map();
+    const billedLabels = new Map();
+
+    const sorted = [...bills].sort((a, b) => String(a.bill.invoiceDate).localeCompare(String(b.bill.invoiceDate)));
+
+    for (const { bill, carrier } of sorted) {
+      const ref = {
+        carrier,
+        billId: bill.externalId,
+        vendorName: bill.vendorName,
+        invoiceNumber: bill.invoiceNumber,
+        invoiceDate: bill.invoiceDate
+      };
+      const flag = (type, details) => discrepancies.push({ type, ...ref, ...details });
+      summary.billed += bill.amount;
+
+      // The same invoice entered twice, or under another number for the same amount and date
+      const invoiceKeys = [
+        `${bill.vendorId}:number:${bill.invoiceNumber}`,
+        `${bill.vendorId}:amount:${bill.amount}:${bill.invoiceDate}`
+      ];
+      const original = invoiceKeys.map(key => seenInvoices.get(key)).find(Boolean);
+      if (original) {
+        flag('duplicate_invoice', {
+          description: `Duplicate of bill ${original.billId} (invoice ${original.invoiceNumber})`,
+          trackingNumber: null,
+          shipmentId: null,
+          billed: bill.amount,
+          expected: 0,
+          disputeAmount: bill.amount
+        });
+        continue;
+      }
+      invoiceKeys.forEach(key => seenInvoices.set(key, ref));
+
+      let matched = 0;
+      let adjustments = 0;
+
+      for (const line of bill.lineItems || []) {
+        const fee = ADJUSTMENT_FEES.find(([, pattern]) => pattern.test(line.description || ''));
+        const shipment = this.findShipment(line.description, trackingMaps[carrier]);
+        const lineRef = {
+          lineId: line.id,
+          description: line.description,
+          trackingNumber: shipment?.trackingNumber || null,
+          shipmentId: shipment?.id || null
+        };
+
+        if (shipment) {
+          matched++;
+          summary.matchedCharges++;
+        }
+
+        if (fee) {
+          adjustments += line.amount;
+          flag('adjustment_fee', { ...lineRef, fee: fee[0], billed: line.amount, expected: 0, disputeAmount: line.amount });
+          continue;
+        }
+
+        if (!shipment) {
+          summary.unmatchedCharges++;
+          continue;
+        }
+
+        const labelKey = `${carrier}:${shipment.trackingNumber}`;
+        if (billedLabels.has(labelKey)) {
+          const first = billedLabels.get(labelKey);
+          flag('duplicate_charge', {
+            ...lineRef,
+            description: `${line.description} (already billed on invoice ${first.invoiceNumber})`,
+            billed: line.amount,
+            expected: 0,
+            disputeAmount: line.amount
+          });
+          continue;
+        }
+        billedLabels.set(labelKey, ref);
+
+        if (!ACTIVE_STATUSES.includes(shipment.status)) {
+          flag('voided_label', { ...lineRef, billed: line.amount, expected: 0, disputeAmount: line.amount });
+          continue;
+        }
+
+        summary.expected += shipment.cost;
+        if (line.amount - shipment.cost > tolerance) {
+          flag('overcharge', {
+            ...lineRef,
+            billed: line.amount,
+            expected: shipment.cost,
+            disputeAmount: this.round(line.amount - shipment.cost)
+          });
+        }
+      }
+
+      // No line names a label, so compare the bill with the labels bought in its period
+      if (matched === 0) {
+        const invoiceDate = new Date(bill.invoiceDate);
+        const periodStart = new Date(invoiceDate.getTime() - periodDays * DAY_MS);
+        const expected = (shipmentsByCarrier[carrier] || [])
+          .filter(s => ACTIVE_STATUSES.includes(s.status) && new Date(s.createdAt) >= periodStart && new Date(s.createdAt) < new Date(invoiceDate.getTime() + DAY_MS))
+          .reduce((sum, s) => sum + s.cost, 0);
+
+        summary.expected += expected;
+        const difference = bill.amount - adjustments - expected;
+        if (difference > tolerance) {
+          flag('overcharge', {
+            description: `Billed more than the ${carrier} labels bought in the ${periodDays} days to ${bill.invoiceDate}`,
+            trackingNumber: null,
+            shipmentId: null,
+            billed: this.round(bill.amount - adjustments),
+            expected: this.round(expected),
+            disputeAmount: this.round(difference)
+          });
+        }
+      }
+    }
+
+    const byType = {};
+    discrepancies.forEach(discrepancy => {
+      byType[discrepancy.type] = byType[discrepancy.type] || { count: 0, amount: 0 };
+      byType[discrepancy.type].count++;
+      byType[discrepancy.type].amount = this.round(byType[discrepancy.type].amount + discrepancy.disputeAmount);
+    });
+
+    return {
+      summary: {
+        ...summary,
+        billed: this.round(summary.billed),
+        expected: this.round(summary.expected),
+        discrepancies: discrepancies.length,
+        disputeTotal: this.round(discrepancies.reduce((sum, d) => sum + d.disputeAmount, 0)),
+        byType
+      },
+      discrepancies
+    };
+  }
+
+  // The discrepancies as CSV, one row per disputed charge
+  toCsv(report) {
+    const columns = ['type', 'fee', 'carrier', 'vendorName', 'invoiceNumber', 'invoiceDate', 'trackingNumber', 'description', 'billed', 'expected', 'disputeAmount'];
+    // Text from the bill (descriptions, vendor names) could start with a
+    // formula, so such cells are prefixed with ' to open as plain text.
+    // Amounts are numbers and keep their minus sign.
+    const escape = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(',')]
+      .concat(report.discrepancies.map(discrepancy => columns.map(column => escape(discrepancy[column])).join(',')))
+      .join('\n');
+  }
+
+  identifyCarrier(bill, config = {}) {
+    const mapped = (config.carrierVendors || []).find(entry => entry.vendorId === bill.vendorId);
+    if (mapped) return mapped.carrier;
+
+    const match = Object.entries(CARRIER_VENDOR_NAMES).find(([, pattern]) => pattern.test(bill.vendorName || ''));
+    return match ? match[0] : null;
+  }
+
+  // Looks for one of the carrier's tracking numbers in a bill line. Digit
+  // groups are joined first, as some invoices print USPS numbers in blocks.
+  findShipment(description, trackingMap) {
+    if (!description || !trackingMap) return null;
+
+    const text = description.toUpperCase();
+    const tokens = [text, text.replace(/(\d)[\s-]+(?=\d)/g, '$1')]
+      .flatMap(value => value.match(/[A-Z0-9]{8,}/g) || []);
+
+    for (const token of tokens) {
+      if (trackingMap.has(token)) return trackingMap.get(token);
+    }
+    return null;
+  }
+
+  // All of the carrier's labels, voided ones included, from the lookback
+  // before the period to its end
+  async findShipments(userId, carrier, periodStart, periodEnd) {
+    const createdAt = {
+      $gte: new Date(new Date(periodStart).getTime() - SHIPMENT_LOOKBACK_DAYS * DAY_MS),
+      $lt: new Date(new Date(periodEnd).getTime() + DAY_MS)
+    };
+    const shipments = [];
+    const limit = 1000;
+
+    for (let offset = 0; ; offset += limit) {
+      const page = await Shipment.find({ userId, carrier, createdAt }, { sort: 'created_at', limit, offset });
+      shipments.push(...page);
+      if (page.length < limit) return shipments;
+    }
+  }
+
+  toDate(value) {
+    return new Date(value).toISOString().split('T')[0];
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = new CarrierReconciliationService();
@@ -0,0 +1,181 @@
+const Queue = require('bull');
+const { ApiIntegration, Order, Shipment } = require('../../models');
+const ApiIntegrationManager = require('../ApiIntegrationManager');
+const { getTrackingUrl } = require('../../integrations/carriers');
+const eventEmitter = require('../../utils/eventEmitter');
+const { EventTypes } = require('../../utils/eventEmitter');
+
+// Carrier names Shopify recognises as tracking companies
+const SHOPIFY_CARRIER_NAMES = {
+  usps: 'USPS',
+  ups: 'UPS',
+  fedex: 'FedEx',
+  dhl: 'DHL Express'
+};
+
+// Carrier names shown to customers elsewhere
+const CARRIER_NAMES = {
+  usps: 'USPS',
+  ups: 'UPS',
+  fedex: 'FedEx',
+  dhl: 'DHL'
+};
+
+// Sales channels that get fulfillments pushed back. Marketplaces rate
+// sellers on how quickly tracking is uploaded, so pushes start right away.
+const FULFILLMENT_CHANNELS = ['shopify', 'woocommerce', 'amazon', 'ebay'];
+
+// Pushes a fulfillment to the sales channel for every label bought for an
+// order imported from one
+class FulfillmentSyncService {
+  constructor() {
+    this.queue = null;
+    this.attempts = parseInt(process.env.FULFILLMENT_SYNC_ATTEMPTS) || 8;
+
+    eventEmitter.on(EventTypes.LABEL_CREATED, payload => this.handleLabelCreated(payload));
+  }
+
+  // Retries live in Redis so a failed push survives restarts
+  start() {
+    if (this.queue) return this.queue;
+
+    if (!process.env.REDIS_URL) {
+      throw new Error('Fulfillment retries require REDIS_URL to be configured');
+    }
+
+    this.queue = new Queue('channel-fulfillments', process.env.REDIS_URL);
+    this.queue.process(job => this.processJob(job));
+    this.queue.on('failed', (job, error) => {
+      const retrying = job.attemptsMade < job.opts.attempts;
+      console.error(`Fulfillment for shipment ${job.data.shipmentId} failed${retrying ? ', will retry' : ''}:`, error.message);
+    });
+
+    return this.queue;
+  }
+
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  async handleLabelCreated({ shipment, order }) {
+    try {
+      if (!FULFILLMENT_CHANNELS.includes(order?.source) || !order.externalOrderId) return;
+
+      const data = { userId: order.userId, orderId: order.id, shipmentId: shipment.id };
+
+      if (this.queue) {
+        await this.queue.add(data, {
+          jobId: `fulfillment-${shipment.id}`,
+          attempts: this.attempts,
+          backoff: { type: 'exponential', delay: 60000 },
+          removeOnComplete: 1000,
+          removeOnFail: 1000
+        });
+      } else {
+        // Without Redis there is no retry queue; push once and record the outcome
+        await this.pushFulfillment(data).catch(error => {
+          console.error(`Fulfillment for shipment ${shipment.id} failed:`, error.message);
+        });
+      }
+    } catch (error) {
+      console.error('Error queueing fulfillment:', error);
+    }
+  }
+
+  async processJob(job) {
+    try {
+      return await this.pushFulfillment(job.data, job.attemptsMade + 1);
+    } catch (error) {
+      // Client errors won't succeed on retry, except rate limiting
+      const status = error.response?.status;
+      if (status >= 400 && status < 500 && status !== 429) {
+        await job.discard();
+      }
+      throw error;
+    }
+  }
+
+  async pushFulfillment({ orderId, shipmentId }, attempt = 1) {
+    const shipment = await Shipment.findById(shipmentId);
+    if (!shipment || shipment.status === 'voided') {
+      return { skipped: 'Shipment was voided' };
+    }
+    if (shipment.metadata?.fulfillment?.status === 'synced') {
+      return { skipped: 'Fulfillment already sent' };
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return { skipped: 'Order not found' };
+    }
+
+    const integration = await this.findIntegration(order);
+    if (!integration) {
+      await this.recordFulfillment(shipment, {
+        status: 'failed',
+        error: 'No integration found for this order',
+        attempts: attempt,
+        lastAttemptAt: new Date()
+      });
+      return { skipped: 'No integration found for this order' };
+    }
+
+    try {
+      const client = ApiIntegrationManager.createClient(integration);
+      const trackingUrl = getTrackingUrl(shipment.carrier, shipment.trackingNumber);
+
+      // Without items the whole order is fulfilled
+      const carrierNames = order.source === 'shopify' ? SHOPIFY_CARRIER_NAMES : CARRIER_NAMES;
+      const response = await client.updateOrderFulfillment(order.externalOrderId, {
+        trackingNumber: shipment.trackingNumber,
+        carrier: carrierNames[shipment.carrier] || shipment.carrier,
+        trackingUrls: trackingUrl ? [trackingUrl] : [],
+        shipDate: shipment.createdAt,
+        lineItems: (shipment.metadata?.items || []).map(item => ({ id: item.id, quantity: item.quantity }))
+      });
+
+      return await this.recordFulfillment(shipment, {
+        status: 'synced',
+        integrationId: integration.id,
+        // A Shopify fulfillment, or what the other channels return instead
+        externalId: (response?.fulfillment?.id ?? response?.id)?.toString() || null,
+        attempts: attempt,
+        syncedAt: new Date()
+      });
+    } catch (error) {
+      await this.recordFulfillment(shipment, {
+        status: 'failed',
+        integrationId: integration.id,
+        error: error.response?.data?.errors ? JSON.stringify(error.response.data.errors) : error.message,
+        attempts: attempt,
+        lastAttemptAt: new Date()
+      });
+      throw error;
+    }
+  }
+
+  // The integration that imported the order, or the user's only store on that channel
+  async findIntegration(order) {
+    if (order.metadata?.integrationId) {
+      const integration = await ApiIntegration.findById(order.metadata.integrationId);
+      if (integration && integration.userId === order.userId) {
+        return integration;
+      }
+    }
+
+    const integrations = await ApiIntegration.find({ userId: order.userId, type: order.source });
+    return integrations.length === 1 ? integrations[0] : null;
+  }
+
+  async recordFulfillment(shipment, fulfillment) {
+    const updated = await Shipment.findByIdAndUpdate(shipment.id, {
+      metadata: { ...shipment.metadata, fulfillment }
+    });
+    return updated.metadata.fulfillment;
+  }
+}
+
+module.exports = new FulfillmentSyncService();
@@ -0,0 +1,338 @@
+const { Shipment } = require('../../models');
+const { getSupabaseManager } = require('../../config/supabase');
+const { createCarrierClient, getAvailableCarriers } = require('../../integrations/carriers');
+const orderService = require('../OrderService');
+const eventEmitter = require('../../utils/eventEmitter');
+const { EventTypes } = require('../../utils/eventEmitter');
+
+// Shipments that still hold a live (billable) label
+const ACTIVE_STATUSES = ['purchased', 'void_failed'];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  zpl: 'application/zpl',
+  gif: 'image/gif'
+};
+
+class LabelService {
+  constructor() {
+    this.manager = getSupabaseManager();
+    this.bucket = process.env.LABEL_STORAGE_BUCKET || 'labels';
+  }
+
+  // `items` ({ id, quantity } by item externalId or SKU) limits the label to
+  // part of the order, so an order can ship in several labels
+  async purchaseLabel(userId, { orderId, rateSelection, origin, package: pkg, options = {}, items }) {
+    const order = await orderService.getOrder(userId, orderId);
+    if (!order) return null;
+
+    if (['cancelled', 'delivered', 'returned'].includes(order.status)) {
+      throw new Error(`Cannot create a label for an order with status: ${order.status}`);
+    }
+
+    const activeShipments = await Shipment.find({ orderId, status: { $in: ACTIVE_STATUSES } });
+    if (activeShipments.length > 0 && (!items || activeShipments.some(active => !active.metadata?.items))) {
+      throw new Error(`Order already has an active label (${activeShipments[0].trackingNumber}); void it first`);
+    }
+
+    const unshipped = this.getUnshippedItems(order, activeShipments);
+    if (items) {
+      this.validateItems(items, unshipped);
+    }
+    const fullyShipped = !items || Object.entries(unshipped).every(([id, quantity]) =>
+      quantity - (items.find(item => item.id === id)?.quantity || 0) <= 0
+    );
+
+    const { carrier } = rateSelection;
+    if (!getAvailableCarriers().includes(carrier)) {
+      throw new Error(`Carrier ${carrier} is not available for label purchase`);
+    }
+
+    const shipment = {
+      origin: origin || this.getDefaultOrigin(),
+      destination: this.getDestination(order),
+      package: pkg || this.getDefaultPackage(order),
+      reference: order.orderNumber
+    };
+    const labelOptions = { ...options, labelFormat: options.labelFormat || process.env.LABEL_FORMAT || 'pdf' };
+
+    const client = createCarrierClient(carrier);
+    const label = await client.createLabel(shipment, rateSelection, labelOptions);
+
+    let record;
+    try {
+      const storagePath = `${userId}/${carrier}-${label.trackingNumber}.${label.labelFormat}`;
+      await this.uploadFile(storagePath, Buffer.from(label.labelData, 'base64'), label.labelFormat);
+
+      record = await Shipment.create({
+        userId,
+        orderId,
+        carrier,
+        service: rateSelection.service,
+        serviceCode: rateSelection.serviceCode || rateSelection.service,
+        trackingNumber: label.trackingNumber,
+        carrierShipmentId: label.carrierShipmentId,
+        status: 'purchased',
+        cost: label.cost ?? rateSelection.cost,
+        currency: label.currency,
+        package: shipment.package,
+        options: labelOptions,
+        label: {
+          format: label.labelFormat,
+          storagePath,
+          printCount: 0,
+          lastPrintedAt: null
+        },
+        metadata: {
+          quotedCost: rateSelection.cost,
+          previousOrderStatus: order.status,
+          ...(items && { items })
+        }
+      });
+    } catch (error) {
+      // Don't leave a paid label behind that nothing references
+      await client.voidLabel(label).catch(voidError => {
+        console.error(`Failed to void orphaned ${carrier} label ${label.trackingNumber}:`, voidError.message);
+      });
+      throw error;
+    }
+
+    const updates = {
+      shipping: {
+        ...order.shipping,
+        carrier,
+        service: record.service,
+        trackingNumber: record.trackingNumber,
+        cost: record.cost,
+        shipmentId: record.id,
+        labelCreatedAt: record.createdAt
+      }
+    };
+
+    // A partial shipment leaves the order in processing until the rest ships
+    if (fullyShipped) {
+      updates.status = 'shipped';
+      updates.timestamps = { ...order.timestamps, shipped: new Date() };
+    } else if (order.status === 'pending') {
+      updates.status = 'processing';
+    }
+
+    const updatedOrder = await orderService.updateOrder(userId, orderId, updates);
+
+    eventEmitter.emit(EventTypes.LABEL_CREATED, { shipment: record, order: updatedOrder });
+    if (fullyShipped) {
+      eventEmitter.emit(EventTypes.ORDER_SHIPPED, { order: updatedOrder, shipment: record });
+    }
+
+    return { shipment: record, order: updatedOrder };
+  }
+
+  async getShipments(userId, params = {}) {
+    const filters = { userId };
+    if (params.orderId) filters.orderId = params.orderId;
+    if (params.status) filters.status = params.status;
+
+    return Shipment.find(filters, { limit: parseInt(params.limit) || 50 });
+  }
+
+  async getShipment(userId, shipmentId) {
+    const shipment = await Shipment.findById(shipmentId);
+
+    if (!shipment || shipment.userId !== userId) {
+      return null;
+    }
+
+    return shipment;
+  }
+
+  // Returns the stored label file so it can be sent to the printer again
+  async reprintLabel(userId, shipmentId) {
+    const shipment = await this.getShipment(userId, shipmentId);
+    if (!shipment) return null;
+
+    if (shipment.status === 'voided') {
+      throw new Error('Voided labels cannot be reprinted');
+    }
+
+    const data = await this.downloadFile(shipment.label.storagePath);
+
+    const updated = await Shipment.findByIdAndUpdate(shipment.id, {
+      label: {
+        ...shipment.label,
+        printCount: (shipment.label.printCount || 0) + 1,
+        lastPrintedAt: new Date()
+      }
+    });
+
+    eventEmitter.emit(EventTypes.LABEL_PRINTED, { shipment: updated });
+
+    return {
+      shipment: updated,
+      data,
+      contentType: this.getContentType(shipment.label.format),
+      filename: `${shipment.carrier}-${shipment.trackingNumber}.${shipment.label.format}`
+    };
+  }
+
+  async voidLabel(userId, shipmentId) {
+    const shipment = await this.getShipment(userId, shipmentId);
+    if (!shipment) return null;
+
+    if (!ACTIVE_STATUSES.includes(shipment.status)) {
+      throw new Error(`Cannot void a label with status: ${shipment.status}`);
+    }
+
+    const client = createCarrierClient(shipment.carrier);
+
+    let voidResult;
+    try {
+      voidResult = await client.voidLabel({
+        trackingNumber: shipment.trackingNumber,
+        carrierShipmentId: shipment.carrierShipmentId
+      });
+    } catch (error) {
+      await Shipment.findByIdAndUpdate(shipment.id, {
+        status: 'void_failed',
+        refund: { status: 'failed', error: error.message, requestedAt: new Date() }
+      });
+      throw error;
+    }
+
+    const refund = {
+      status: voidResult.refundStatus,
+      amount: shipment.cost,
+      currency: shipment.currency,
+      requestedAt: new Date()
+    };
+
+    const voided = await Shipment.findByIdAndUpdate(shipment.id, {
+      status: 'voided',
+      refund,
+      voidedAt: new Date()
+    });
+
+    const order = await this.releaseOrder(userId, voided);
+
+    eventEmitter.emit(EventTypes.LABEL_VOIDED, { shipment: voided, order, refund });
+
+    return { shipment: voided, order, refund };
+  }
+
+  // Put the order back to where it was before the label was bought
+  async releaseOrder(userId, shipment) {
+    const order = shipment.orderId ? await orderService.getOrder(userId, shipment.orderId) : null;
+    if (!order || order.shipping?.shipmentId !== shipment.id) {
+      return order;
+    }
+
+    const { trackingNumber, shipmentId, labelCreatedAt, ...shipping } = order.shipping;
+    const updates = { shipping };
+
+    if (order.status === 'shipped') {
+      updates.status = shipment.metadata?.previousOrderStatus || 'processing';
+      updates.timestamps = { ...order.timestamps, shipped: null };
+    }
+
+    return orderService.updateOrder(userId, order.id, updates);
+  }
+
+  async uploadFile(storagePath, data, format) {
+    const result = await this.manager.executeStorage(
+      client => client.storage.from(this.bucket).upload(storagePath, data, {
+        contentType: this.getContentType(format),
+        upsert: false
+      }),
+      { useServiceRole: Boolean(this.manager.serviceClient) }
+    );
+
+    if (!result.success) {
+      throw new Error(`Failed to store label: ${result.error.message}`);
+    }
+
+    return result.data;
+  }
+
+  async downloadFile(storagePath) {
+    const result = await this.manager.executeStorage(
+      client => client.storage.from(this.bucket).download(storagePath),
+      { useServiceRole: Boolean(this.manager.serviceClient) }
+    );
+
+    if (!result.success) {
+      throw new Error(`Failed to load label file: ${result.error.message}`);
+    }
+
+    return Buffer.from(await result.data.arrayBuffer());
+  }
+
+  getContentType(format) {
+    return CONTENT_TYPES[format] || 'application/octet-stream';
+  }
+
+  getDefaultOrigin() {
+    if (!process.env.SHIP_FROM_ADDRESS1) {
+      throw new Error('No origin given and no SHIP_FROM_* default address is configured');
+    }
+
+    return {
+      name: process.env.SHIP_FROM_NAME,
+      company: process.env.SHIP_FROM_COMPANY,
+      address1: process.env.SHIP_FROM_ADDRESS1,
+      address2: process.env.SHIP_FROM_ADDRESS2,
+      city: process.env.SHIP_FROM_CITY,
+      state: process.env.SHIP_FROM_STATE,
+      zip: process.env.SHIP_FROM_ZIP,
+      country: process.env.SHIP_FROM_COUNTRY || 'US',
+      phone: process.env.SHIP_FROM_PHONE
+    };
+  }
+
+  getDestination(order) {
+    return {
+      ...order.shippingAddress,
+      name: order.shippingAddress.name || order.customer?.name,
+      phone: order.shippingAddress.phone || order.customer?.phone
+    };
+  }
+
+  // Quantity of each order item (by externalId, or SKU for manual orders)
+  // not yet covered by an active label
+  getUnshippedItems(order, activeShipments) {
+    const unshipped = {};
+    (order.items || []).forEach(item => {
+      const id = item.externalId || item.sku;
+      if (id) unshipped[id] = (unshipped[id] || 0) + (item.quantity || 1);
+    });
+
+    activeShipments.forEach(active => {
+      (active.metadata?.items || []).forEach(item => {
+        if (unshipped[item.id] !== undefined) unshipped[item.id] -= item.quantity;
+      });
+    });
+
+    return unshipped;
+  }
+
+  validateItems(items, unshipped) {
+    for (const item of items) {
+      if (unshipped[item.id] === undefined) {
+        throw new Error(`Order has no item ${item.id}`);
+      }
+      if (item.quantity > unshipped[item.id]) {
+        throw new Error(`Only ${unshipped[item.id]} of item ${item.id} left to ship`);
+      }
+    }
+  }
+
+  // Fall back to the item weights (ounces) when no package is given
+  getDefaultPackage(order) {
+    const weight = (order.items || []).reduce((sum, item) => sum + (item.weight || 0) * (item.quantity || 1), 0);
+    if (weight <= 0) {
+      throw new Error('Order items have no weight; provide a package');
+    }
+
+    return { weight, value: order.totals?.subtotal };
+  }
+}
+
+module.exports = new LabelService();
@@ -0,0 +1,68 @@
+const { createCarrierClient, getAvailableCarriers, getCarrierConfig } = require('../../integrations/carriers');
+
+class RateShoppingService {
+  // Quote every requested carrier in parallel. A slow or failing carrier
+  // only drops its own rates; it never fails the whole request.
+  async getRates(shipment, options = {}) {
+    const available = getAvailableCarriers();
+    const carriers = options.carriers?.length
+      ? available.filter(carrier => options.carriers.includes(carrier))
+      : available;
+
+    if (carriers.length === 0) {
+      throw new Error('No carriers are configured for rate shopping');
+    }
+
+    const results = await Promise.all(carriers.map(carrier => this.quoteCarrier(carrier, shipment)));
+
+    const rates = [];
+    const errors = [];
+    for (const result of results) {
+      if (result.error) {
+        errors.push({ carrier: result.carrier, message: result.error, timedOut: result.timedOut });
+      } else {
+        rates.push(...result.rates.filter(rate => Number.isFinite(rate.cost)));
+      }
+    }
+
+    return {
+      rates: this.sortRates(rates, options.sortBy),
+      errors,
+      carriers
+    };
+  }
+
+  async quoteCarrier(carrier, shipment) {
+    const config = getCarrierConfig(carrier);
+    const client = createCarrierClient(carrier, config);
+    const startTime = Date.now();
+    let timer;
+
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ carrier, error: `Timed out after ${config.timeout}ms`, timedOut: true }), config.timeout);
+    });
+
+    const quote = client.getRates(shipment)
+      .then(rates => ({ carrier, rates, duration: Date.now() - startTime }))
+      .catch(error => ({ carrier, error: error.message }));
+
+    try {
+      return await Promise.race([quote, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  sortRates(rates, sortBy = 'cost') {
+    const byTransit = (a, b) => (a.transitDays ?? Infinity) - (b.transitDays ?? Infinity);
+    const byCost = (a, b) => a.cost - b.cost;
+
+    return [...rates].sort((a, b) => (
+      sortBy === 'transitDays'
+        ? byTransit(a, b) || byCost(a, b)
+        : byCost(a, b) || byTransit(a, b)
+    ));
+  }
+}
+
+module.exports = new RateShoppingService();
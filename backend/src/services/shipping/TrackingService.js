@@ -0,0 +1,99 @@
+const { Order } = require('../../models');
+const orderService = require('../OrderService');
+const eventEmitter = require('../../utils/eventEmitter');
+const { EventTypes } = require('../../utils/eventEmitter');
+
+class TrackingService {
+  // Finds the user's order for a tracking number, falling back to the order
+  // number the tracking was created with
+  async findOrder(userId, tracking) {
+    const order = await Order.findByTrackingNumber(tracking.trackingNumber);
+    if (order && order.userId === userId) {
+      return order;
+    }
+
+    if (tracking.orderNumber) {
+      return Order.findOne({ userId, orderNumber: String(tracking.orderNumber) });
+    }
+
+    return null;
+  }
+
+  // Applies a tracking snapshot (as returned by transformSingleTracking) to
+  // the order. Returns null when no order matches, otherwise { order, changed }.
+  async applyTrackingUpdate(userId, tracking) {
+    const order = await this.findOrder(userId, tracking);
+    if (!order) return null;
+
+    if (order.status === 'cancelled') {
+      return { order, changed: false };
+    }
+
+    const previous = order.tracking || { events: [], delivered: false, exception: false };
+    const events = this.mergeEvents(previous.events || [], tracking.events || []);
+    const delivered = tracking.status === 'delivered';
+    const exception = tracking.status === 'exception';
+
+    const updated = {
+      ...previous,
+      carrier: tracking.carrier,
+      status: tracking.status,
+      estimatedDelivery: tracking.estimatedDelivery || null,
+      currentLocation: tracking.currentLocation || null,
+      lastUpdate: tracking.lastUpdate || new Date(),
+      events,
+      delivered,
+      exception
+    };
+
+    if (delivered && !previous.delivered) {
+      updated.deliveredAt = tracking.actualDelivery || new Date();
+    }
+    if (exception && !previous.exception) {
+      updated.exceptionAt = new Date();
+    }
+
+    const newEvents = events.length - (previous.events || []).length;
+    if (newEvents === 0 && previous.status === updated.status) {
+      return { order, changed: false };
+    }
+
+    const updates = { tracking: updated };
+    if (delivered && !previous.delivered) {
+      updates.timestamps = { ...order.timestamps, delivered: updated.deliveredAt };
+      if (order.status === 'shipped') {
+        updates.status = 'delivered';
+      }
+    }
+
+    const saved = await orderService.updateOrder(userId, order.id, updates);
+
+    eventEmitter.emit(EventTypes.TRACKING_UPDATED, { order: saved, tracking: updated, newEvents });
+
+    if (delivered && !previous.delivered) {
+      eventEmitter.emit(EventTypes.ORDER_DELIVERED, { order: saved, tracking: updated });
+    }
+    if (exception && !previous.exception) {
+      eventEmitter.emit(EventTypes.DELIVERY_EXCEPTION, { order: saved, tracking: updated });
+    }
+
+    return { order: saved, changed: true };
+  }
+
+  // Carriers resend the full checkpoint history, so only append the
+  // checkpoints we haven't stored yet, oldest first
+  mergeEvents(existing, incoming) {
+    const key = event => `${event.timestamp}|${event.status}|${event.description}`;
+    const seen = new Set(existing.map(key));
+
+    const added = incoming.filter(event => {
+      if (seen.has(key(event))) return false;
+      seen.add(key(event));
+      return true;
+    });
+
+    return [...existing, ...added].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+}
+
+module.exports = new TrackingService();
@@ -1,4 +1,4 @@
-const { Tag, TagCollection, Order } = require('../../models');
+const { Tag, TagCollection, Order, Product } = require('../../models');
 const eventEmitter = require('../../utils/eventEmitter');
 
 class TaggingService {
@@ -97,6 +97,50 @@ class TaggingService {
     return Tag.find(query).sort({ 'metadata.usageCount': -1 });
   }
 
+  // Maps tag names coming from a sales channel to Tag IDs, creating custom
+  // tags the first time a name is seen. Names are matched the way tags are
+  // stored: lowercase, with spaces as dashes.
+  async resolveTagNames(userId, tagNames = [], tagCache = new Map()) {
+    const tagIds = [];
+
+    for (const tagName of tagNames) {
+      const displayName = tagName.trim();
+      const name = displayName.toLowerCase().replace(/\s+/g, '-');
+      if (!name) continue;
+
+      if (!tagCache.has(name)) {
+        let tag = await Tag.findOne({ name });
+        if (!tag) {
+          tag = await Tag.create({
+            name,
+            displayName,
+            category: 'custom',
+            metadata: { isActive: true, createdBy: userId, source: 'import' }
+          });
+        }
+        tagCache.set(name, tag.id);
+      }
+
+      const tagId = tagCache.get(name);
+      if (!tagIds.includes(tagId)) tagIds.push(tagId);
+    }
+
+    return tagIds;
+  }
+
+  // Applies a channel's tag changes to an entity's tags: tags dropped in the
+  // channel are removed and new ones added, while tags added here are kept
+  followChannelTags(tags, previousChannelTagIds, currentChannelTagIds) {
+    const dropped = previousChannelTagIds.filter(tagId => !currentChannelTagIds.includes(tagId));
+    const merged = tags.filter(tagId => !dropped.includes(tagId));
+
+    currentChannelTagIds.forEach(tagId => {
+      if (!merged.includes(tagId)) merged.push(tagId);
+    });
+
+    return merged;
+  }
+
   // Tag Application
   async applyTags(entityType, entityId, tagIds) {
     const entity = await this.getEntity(entityType, entityId);
@@ -535,8 +579,7 @@ class TaggingService {
       case 'order':
         return Order.findById(entityId);
       case 'product':
-        // return Product.findById(entityId);
-        break;
+        return Product.findById(entityId);
       case 'customer':
         // return Customer.findById(entityId);
         break;
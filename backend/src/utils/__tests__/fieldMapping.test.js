@@ -0,0 +1,157 @@
+const {
+  compileExpression,
+  evaluateExpression,
+  mapFields,
+  validateFieldMapping,
+  convertUnit
+} = require('../fieldMapping');
+
+const evaluate = (source, record = {}) => evaluateExpression(source, { record });
+
+describe('fieldMapping', () => {
+  describe('parsing', () => {
+    it('follows operator precedence and parentheses', () => {
+      expect(evaluate('1 + 2 * 3')).toBe(7);
+      expect(evaluate('(1 + 2) * 3')).toBe(9);
+      expect(evaluate('10 % 4 - 1')).toBe(1);
+    });
+
+    it('reads paths, indexes and templates', () => {
+      const record = { first: 'Ada', last: 'Lovelace', lines: [{ sku: 'A1' }] };
+
+      expect(evaluate('lines[0].sku', record)).toBe('A1');
+      expect(evaluate('`${first} ${last}`', record)).toBe('Ada Lovelace');
+      expect(evaluate('"#" + 12')).toBe('#12');
+    });
+
+    it('reports the position of a syntax error', () => {
+      expect(() => compileExpression('1 +')).toThrow('Unexpected end of expression at position 3');
+      expect(() => compileExpression('a..b')).toThrow('Expected a property name at position 2');
+    });
+
+    it('rejects unknown functions', () => {
+      expect(() => compileExpression('foo(1)')).toThrow('Unknown function foo()');
+    });
+  });
+
+  describe('?? and the ternary operator', () => {
+    it('falls back only on missing values with ??', () => {
+      expect(evaluate('a ?? "none"', {})).toBe('none');
+      expect(evaluate('a ?? "none"', { a: null })).toBe('none');
+      expect(evaluate('a ?? 5', { a: 0 })).toBe(0);
+      expect(evaluate('a.b ?? c ?? 0', { c: 'C' })).toBe('C');
+    });
+
+    it('picks a branch by the condition', () => {
+      expect(evaluate('x > 1 ? "big" : "small"', { x: 2 })).toBe('big');
+      expect(evaluate('x > 1 ? "big" : "small"', { x: 1 })).toBe('small');
+    });
+
+    it('nests to the right', () => {
+      expect(evaluate('x ? y ? 1 : 2 : 3', { x: true, y: false })).toBe(2);
+      expect(evaluate('x ? y ? 1 : 2 : 3', { x: false, y: true })).toBe(3);
+    });
+  });
+
+  describe('array fields', () => {
+    const record = {
+      id: 7,
+      lines: [{ sku: 'A', grams: 500 }, { sku: 'B' }]
+    };
+
+    it('maps each element with the nested fields', () => {
+      const result = mapFields(record, {
+        externalId: '= string(id)',
+        items: {
+          path: 'lines',
+          fields: {
+            sku: 'sku',
+            orderId: '= $parent.id',
+            position: '= $index'
+          }
+        }
+      });
+
+      expect(result).toEqual({
+        externalId: '7',
+        items: [
+          { sku: 'A', orderId: 7, position: 0 },
+          { sku: 'B', orderId: 7, position: 1 }
+        ]
+      });
+    });
+
+    it('maps a missing array to an empty list', () => {
+      expect(mapFields({}, { items: { path: 'lines', fields: { sku: 'sku' } } })).toEqual({ items: [] });
+    });
+
+    it('checks the nested fields when validating', () => {
+      const errors = validateFieldMapping({ items: { path: 'lines', fields: { sku: '= (' } } });
+
+      expect(errors).toEqual([
+        { field: 'mapping.items.fields.sku', message: expect.stringContaining('Invalid expression') }
+      ]);
+    });
+  });
+
+  describe('unit conversion', () => {
+    it('converts between weights and between lengths', () => {
+      expect(convertUnit(1, 'kg', 'lb')).toBeCloseTo(2.2046, 4);
+      expect(convertUnit(16, 'oz', 'lb')).toBe(1);
+      expect(convertUnit(10, 'in', 'cm')).toBeCloseTo(25.4, 4);
+    });
+
+    it('returns null for values that are not numbers', () => {
+      expect(convertUnit('heavy', 'g', 'oz')).toBeNull();
+    });
+
+    it('refuses to convert across kinds of unit', () => {
+      expect(() => convertUnit(1, 'kg', 'cm')).toThrow('Cannot convert kg to cm');
+      expect(validateFieldMapping({ weight: { path: 'w', transform: 'unit', from: 'g', to: 'cm' } })).toEqual([
+        { field: 'mapping.weight', message: 'Cannot convert g to cm' }
+      ]);
+    });
+
+    it('applies the unit transform and default in a mapping', () => {
+      const fields = { weight: { path: 'grams', transform: 'unit', from: 'g', to: 'oz', default: 0 } };
+
+      expect(mapFields({ grams: 500 }, fields).weight).toBeCloseTo(17.637, 3);
+      expect(mapFields({}, fields).weight).toBe(0);
+    });
+  });
+
+  describe('blocked keys', () => {
+    afterEach(() => {
+      delete Object.prototype.isAdmin;
+    });
+
+    it('does not read prototypes', () => {
+      expect(evaluate('constructor', {})).toBeUndefined();
+      expect(evaluate('a.__proto__', { a: {} })).toBeUndefined();
+      expect(mapFields({}, { name: 'constructor.name' })).toEqual({ name: undefined });
+    });
+
+    it('rejects targets that would write to a prototype', () => {
+      const fields = JSON.parse('{"__proto__.isAdmin": {"value": true}, "a.constructor.b": "id", "__proto__": {"value": 1}}');
+
+      expect(validateFieldMapping(fields)).toEqual([
+        { field: 'mapping.__proto__.isAdmin', message: 'Target cannot include __proto__' },
+        { field: 'mapping.a.constructor.b', message: 'Target cannot include constructor' },
+        { field: 'mapping.__proto__', message: 'Target cannot include __proto__' }
+      ]);
+    });
+
+    it('does not call functions inherited from Object.prototype', () => {
+      expect(() => compileExpression('valueOf()')).toThrow('Unknown function valueOf()');
+      expect(() => compileExpression('constructor()')).toThrow('Unknown function constructor()');
+      expect(() => compileExpression('__defineGetter__("lower", valueOf().first)'))
+        .toThrow('Unknown function __defineGetter__()');
+      expect(evaluate('lower("ABC")')).toBe('abc');
+    });
+
+    it('refuses to write to a prototype when mapping', () => {
+      expect(() => mapFields({}, { '__proto__.isAdmin': { value: true } })).toThrow('Cannot write to __proto__');
+      expect({}.isAdmin).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// Condition trees for automation rules. A node is one of:
+//   { all: [node, ...] }   every child matches
+//   { any: [node, ...] }   at least one child matches
+//   { not: node }          the child does not match
+//   { field, op, value }   predicate on an order path, e.g. 'items[].sku'
+//   { timeRange: {...} }   day/time window in the rule owner's timezone
+//
+// A `[]` segment fans out over an array; the predicate matches if any value
+// does (or every value with `match: 'all'`). `default` stands in for a
+// missing value and `ignoreCase` compares strings case-insensitively.
+// `before`/`after` compare dates against an ISO date or an age such as '3d'
+// (three days before now; units m, h, d, w).
+
+const { isWithinWindow, validateTimeWindow } = require('./timeWindow');
+
+const compare = (actual, expected, fn) => actual !== undefined && actual !== null && fn(actual, expected);
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  nin: (actual, expected) => !expected.includes(actual),
+  contains: (actual, expected) => {
+    if (Array.isArray(actual)) return actual.map(String).includes(String(expected));
+    return typeof actual === 'string' && actual.includes(expected);
+  },
+  regex: (actual, expected, node) => typeof actual === 'string' && new RegExp(expected, node.flags).test(actual),
+  between: (actual, [min, max]) => compare(actual, null, value =>
+    (min === undefined || min === null || value >= min) && (max === undefined || max === null || value <= max)
+  ),
+  gt: (actual, expected) => compare(actual, expected, (a, b) => a > b),
+  gte: (actual, expected) => compare(actual, expected, (a, b) => a >= b),
+  lt: (actual, expected) => compare(actual, expected, (a, b) => a < b),
+  lte: (actual, expected) => compare(actual, expected, (a, b) => a <= b),
+  exists: (actual, expected = true) => (actual !== undefined && actual !== null) === expected,
+  before: (actual, expected) => compare(actual, expected, (a, b) => b !== null && a < b),
+  after: (actual, expected) => compare(actual, expected, (a, b) => b !== null && a > b)
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+const DATE_OPERATORS = ['before', 'after'];
+
+const DURATION_PATTERN = /^(\d+)([mhdw])$/;
+const DURATION_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Milliseconds for a date or an age relative to now; null if neither
+function toTimestamp(value, now = new Date()) {
+  if (value === undefined || value === null) return null;
+
+  const duration = typeof value === 'string' && value.match(DURATION_PATTERN);
+  if (duration) return now.getTime() - parseInt(duration[1]) * DURATION_MS[duration[2]];
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function isConditionTree(conditions) {
+  return ['all', 'any', 'not', 'field'].some(key => conditions[key] !== undefined);
+}
+
+// Resolve a dotted path to the list of values it points at
+function resolvePath(subject, path) {
+  let values = [subject];
+
+  for (const segment of path.split('.')) {
+    const fanOut = segment.endsWith('[]');
+    const key = fanOut ? segment.slice(0, -2) : segment;
+
+    values = values.flatMap(value => {
+      const next = value?.[key];
+      if (!fanOut) return [next];
+      return Array.isArray(next) ? next : [];
+    });
+  }
+
+  return values;
+}
+
+function lowerCase(value) {
+  if (typeof value === 'string') return value.toLowerCase();
+  if (Array.isArray(value)) return value.map(lowerCase);
+  return value;
+}
+
+function evaluatePredicate(node, subject, context = {}) {
+  const operator = OPERATORS[node.op];
+  let values = resolvePath(subject, node.field);
+  if (values.length === 0) values = [undefined];
+
+  const test = value => {
+    let actual = value === undefined ? node.default : value;
+    let expected = node.value;
+
+    if (DATE_OPERATORS.includes(node.op)) {
+      return operator(toTimestamp(actual), toTimestamp(expected, context.now));
+    }
+
+    // Regex patterns get the i flag instead; lowercasing would change escapes like \D
+    if (node.ignoreCase && node.op === 'regex') {
+      return operator(actual, expected, { flags: `${node.flags || ''}i` });
+    }
+
+    if (node.ignoreCase) {
+      actual = lowerCase(actual);
+      expected = lowerCase(expected);
+    }
+
+    return operator(actual, expected, node);
+  };
+
+  return node.match === 'all' ? values.every(test) : values.some(test);
+}
+
+// context carries { now, timezone } for timeRange nodes. When it has a
+// `trace` array, every leaf evaluated is appended with its result (and
+// `negated` when it sits under an odd number of nots).
+function evaluateCondition(node, subject, context = {}) {
+  if (node.all) return node.all.every(child => evaluateCondition(child, subject, context));
+  if (node.any) return node.any.some(child => evaluateCondition(child, subject, context));
+  if (node.not) return !evaluateCondition(node.not, subject, { ...context, negated: !context.negated });
+
+  if (node.timeRange) {
+    const matched = isWithinWindow(node.timeRange, context);
+    context.trace?.push({ timeRange: node.timeRange, matched, ...(context.negated && { negated: true }) });
+    return matched;
+  }
+
+  if (node.field) {
+    const matched = evaluatePredicate(node, subject, context);
+    context.trace?.push({ field: node.field, op: node.op, value: node.value, matched, ...(context.negated && { negated: true }) });
+    return matched;
+  }
+
+  return true;
+}
+
+// Rewrite the fixed condition blocks rules used before trees existed.
+// Ranges become not(lt min)/not(gt max) so missing values are treated the
+// same way the old checks treated them.
+function convertLegacyConditions(conditions) {
+  const nodes = [];
+
+  const range = (field, { min, max } = {}, extra = {}) => {
+    if (min) nodes.push({ not: { field, op: 'lt', value: min, ...extra } });
+    if (max) nodes.push({ not: { field, op: 'gt', value: max, ...extra } });
+  };
+
+  if (conditions.orderValue) range('totals.total', conditions.orderValue);
+  if (conditions.weight) range('totalWeight', conditions.weight, { default: 0 });
+  if (conditions.itemCount) range('itemCount', conditions.itemCount, { default: 0 });
+
+  const dest = conditions.destination;
+  if (dest) {
+    if (dest.countries?.length) nodes.push({ field: 'shippingAddress.country', op: 'in', value: dest.countries });
+    if (dest.states?.length) nodes.push({ field: 'shippingAddress.state', op: 'in', value: dest.states });
+    if (dest.zips?.length) nodes.push({ field: 'shippingAddress.zip', op: 'in', value: dest.zips });
+    if (dest.residential !== undefined) nodes.push({ field: 'shippingAddress.residential', op: 'eq', value: dest.residential });
+  }
+
+  const tags = conditions.tags;
+  if (tags) {
+    const hasTag = tagId => ({ field: 'tags', op: 'contains', value: tagId.toString() });
+
+    if (tags.hasAll?.length) nodes.push(...tags.hasAll.map(hasTag));
+    if (tags.hasAny?.length) nodes.push({ any: tags.hasAny.map(hasTag) });
+    if (tags.hasNone?.length) nodes.push({ not: { any: tags.hasNone.map(hasTag) } });
+  }
+
+  if (conditions.timeRange) nodes.push({ timeRange: conditions.timeRange });
+
+  return { all: nodes };
+}
+
+function toConditionTree(conditions) {
+  if (!conditions) return { all: [] };
+  return isConditionTree(conditions) ? conditions : convertLegacyConditions(conditions);
+}
+
+// Throws on the first malformed node so bad rules are rejected on save
+function validateConditionTree(node, path = 'conditions') {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  const kinds = ['all', 'any', 'not', 'field', 'timeRange'].filter(key => node[key] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`${path} must have exactly one of all, any, not, field or timeRange`);
+  }
+
+  const [kind] = kinds;
+
+  if (kind === 'all' || kind === 'any') {
+    if (!Array.isArray(node[kind])) throw new Error(`${path}.${kind} must be an array`);
+    node[kind].forEach((child, index) => validateConditionTree(child, `${path}.${kind}[${index}]`));
+    return;
+  }
+
+  if (kind === 'not') {
+    validateConditionTree(node.not, `${path}.not`);
+    return;
+  }
+
+  if (kind === 'timeRange') {
+    validateTimeWindow(node.timeRange, `${path}.timeRange`);
+    return;
+  }
+
+  if (typeof node.field !== 'string' || !node.field) {
+    throw new Error(`${path}.field must be a non-empty string`);
+  }
+
+  if (!OPERATORS[node.op]) {
+    throw new Error(`${path}.op must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+  }
+
+  if (LIST_OPERATORS.includes(node.op) && !Array.isArray(node.value)) {
+    throw new Error(`${path}.value must be an array for ${node.op}`);
+  }
+
+  if (node.op === 'between' && (!Array.isArray(node.value) || node.value.length !== 2)) {
+    throw new Error(`${path}.value must be [min, max] for between`);
+  }
+
+  if (DATE_OPERATORS.includes(node.op) && toTimestamp(node.value) === null) {
+    throw new Error(`${path}.value must be a date or an age like '3d' for ${node.op}`);
+  }
+
+  if (node.op === 'regex') {
+    try {
+      new RegExp(node.value, node.flags);
+    } catch (error) {
+      throw new Error(`${path}.value is not a valid regex: ${error.message}`);
+    }
+  }
+}
+
+function hasTimeRange(node) {
+  if (node.all || node.any) return (node.all || node.any).some(hasTimeRange);
+  if (node.not) return hasTimeRange(node.not);
+  return Boolean(node.timeRange);
+}
+
+// Tag ids a tree checks for, used to find the rules that depend on a tag
+function collectTagIds(node, tagIds = new Set()) {
+  if (node.all || node.any) (node.all || node.any).forEach(child => collectTagIds(child, tagIds));
+  else if (node.not) collectTagIds(node.not, tagIds);
+  else if (node.field === 'tags' && node.value !== undefined) [].concat(node.value).forEach(tagId => tagIds.add(String(tagId)));
+
+  return tagIds;
+}
+
+module.exports = {
+  OPERATORS,
+  isConditionTree,
+  resolvePath,
+  evaluateCondition,
+  convertLegacyConditions,
+  toConditionTree,
+  validateConditionTree,
+  hasTimeRange,
+  collectTagIds
+};
@@ -69,6 +69,7 @@ const EventTypes = {
   AUTOMATION_RULE_CREATED: 'automation:ruleCreated',
   AUTOMATION_RULE_UPDATED: 'automation:ruleUpdated',
   AUTOMATION_RULE_DELETED: 'automation:ruleDeleted',
+  AUTOMATION_NOTIFICATION: 'automation:notification',
   
   // Tag events
   TAG_CREATED: 'tag:created',
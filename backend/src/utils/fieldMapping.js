@@ -0,0 +1,600 @@
+// Field maps turn records from another system into ours. Keys are target
+// paths (e.g. 'customer.name'); a rule is one of:
+//   'buyer.email'                  copy a source path
+//   '= first_name + " " + last'    evaluate an expression
+//   { path | value | expr, transform, default, fields }
+//
+// With `fields`, the source value is an array and each element is mapped
+// with those fields (line items, for example). `transform` is date (with
+// `format` iso, unix or unix_ms), number, unit (`from`/`to`) or lookup
+// (`table`); `default` stands in for a missing result.
+//
+// Expressions are evaluated without eval, so a mapping can only read the
+// record it is given. They support:
+//   paths       order.lines[0].sku, $root (the top record), $parent (the
+//               record an array element belongs to), $index
+//   literals    12.5, 'text', "text", true, false, null, [a, b]
+//   templates   `${first_name} ${last_name}`
+//   operators   + - * / %  == != < <= > >=  && || ??  !  cond ? a : b
+//   functions   the FUNCTIONS below, e.g. convert(grams, 'g', 'oz')
+// `+` joins strings when either side is a string; missing values read as
+// undefined rather than throwing, so `??` and coalesce() supply defaults.
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_DEPTH = 50;
+const MAX_CACHED_EXPRESSIONS = 1000;
+
+// Keys that would reach outside the record
+const BLOCKED_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+// Conversion factors to grams and millimetres for the unit transform
+const UNIT_FACTORS = {
+  weight: { g: 1, kg: 1000, oz: 28.349523125, lb: 453.59237 },
+  length: { mm: 1, cm: 10, m: 1000, in: 25.4 }
+};
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '??', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', '(', ')', '[', ']', ','];
+
+const compiled = new Map();
+
+const isMissing = value => value === undefined || value === null;
+const toText = value => isMissing(value) ? '' : String(value);
+const toArray = value => Array.isArray(value) ? value : [];
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Own properties only, so a path can't reach prototypes
+function getPath(subject, path) {
+  return String(path).split('.').reduce((current, key) => readKey(current, key), subject);
+}
+
+function readKey(subject, key) {
+  if (isMissing(subject) || BLOCKED_KEYS.includes(key)) return undefined;
+  return Object.prototype.hasOwnProperty.call(Object(subject), key) ? subject[key] : undefined;
+}
+
+// Target paths name keys to create, so like reads they can't touch prototypes
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const blocked = keys.find(key => BLOCKED_KEYS.includes(key));
+  if (blocked) {
+    throw new Error(`Cannot write to ${blocked}`);
+  }
+
+  const lastKey = keys.pop();
+  const parent = keys.reduce((current, key) => {
+    if (!Object.prototype.hasOwnProperty.call(current, key) || !current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, target);
+  parent[lastKey] = value;
+}
+
+function parseDate(value, format = 'iso') {
+  if (isMissing(value) || value === '') return null;
+
+  const date = format === 'unix' ? new Date(Number(value) * 1000)
+    : format === 'unix_ms' ? new Date(Number(value))
+      : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function convertUnit(value, from, to) {
+  const number = toNumber(value);
+  if (number === null) return null;
+
+  const factors = Object.values(UNIT_FACTORS).find(units => units[from] && units[to]);
+  if (!factors) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  return Math.round(number * factors[from] / factors[to] * 10000) / 10000;
+}
+
+const FUNCTIONS = Object.assign(Object.create(null), {
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  trim: value => toText(value).trim(),
+  concat: (...values) => values.map(toText).join(''),
+  join: (list, separator = ', ') => toArray(list).filter(value => !isMissing(value) && value !== '').map(toText).join(toText(separator)),
+  split: (value, separator = ',') => isMissing(value) ? [] : toText(value).split(toText(separator)),
+  replace: (value, find, replacement) => find === '' ? toText(value) : toText(value).split(toText(find)).join(toText(replacement)),
+  substr: (value, start = 0, length) => toText(value).slice(start, length === undefined ? undefined : start + length),
+  length: value => Array.isArray(value) || typeof value === 'string' ? value.length : 0,
+  number: toNumber,
+  string: toText,
+  round: (value, digits = 0) => {
+    const number = toNumber(value);
+    return number === null ? null : Math.round(number * 10 ** digits) / 10 ** digits;
+  },
+  floor: value => toNumber(value) === null ? null : Math.floor(toNumber(value)),
+  ceil: value => toNumber(value) === null ? null : Math.ceil(toNumber(value)),
+  abs: value => toNumber(value) === null ? null : Math.abs(toNumber(value)),
+  min: (...values) => values.flat().map(toNumber).filter(number => number !== null).reduce((a, b) => Math.min(a, b), Infinity),
+  max: (...values) => values.flat().map(toNumber).filter(number => number !== null).reduce((a, b) => Math.max(a, b), -Infinity),
+  coalesce: (...values) => values.find(value => !isMissing(value) && value !== '') ?? null,
+  date: parseDate,
+  convert: convertUnit,
+  sum: (list, path) => toArray(list).reduce((total, item) => total + (toNumber(path ? getPath(item, path) : item) ?? 0), 0),
+  count: list => toArray(list).length,
+  pluck: (list, path) => toArray(list).map(item => getPath(item, path)),
+  first: list => toArray(list)[0] ?? null,
+  last: list => toArray(list)[toArray(list).length - 1] ?? null
+});
+
+// min() and max() of nothing come back as null rather than ±Infinity
+['min', 'max'].forEach(name => {
+  const fn = FUNCTIONS[name];
+  FUNCTIONS[name] = (...values) => {
+    const result = fn(...values);
+    return Number.isFinite(result) ? result : null;
+  };
+});
+Object.freeze(FUNCTIONS);
+
+// Own entries only, so names like valueOf() or constructor() aren't callable
+function hasFunction(name) {
+  return Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  const fail = message => {
+    throw new Error(`${message} at position ${position}`);
+  };
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const number = source.slice(position).match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = source.slice(position).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position });
+      position += identifier[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const start = position;
+      let value = '';
+      position++;
+      while (source[position] !== char) {
+        if (position >= source.length) fail('Unterminated string');
+        if (source[position] === '\\') {
+          position++;
+          value += { n: '\n', t: '\t' }[source[position]] ?? source[position];
+        } else {
+          value += source[position];
+        }
+        position++;
+      }
+      position++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    if (char === '`') {
+      const start = position;
+      position++;
+      const parts = [];
+      let text = '';
+
+      while (source[position] !== '`') {
+        if (position >= source.length) fail('Unterminated template');
+
+        if (source[position] === '$' && source[position + 1] === '{') {
+          const end = findClosingBrace(source, position + 2);
+          if (end === -1) fail('Unterminated ${ in template');
+          if (text) parts.push(text);
+          text = '';
+          parts.push(parse(source.slice(position + 2, end)));
+          position = end + 1;
+        } else {
+          if (source[position] === '\\') position++;
+          text += source[position];
+          position++;
+        }
+      }
+      position++;
+      if (text) parts.push(text);
+      tokens.push({ type: 'template', parts, position: start });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, position));
+    if (!operator) fail(`Unexpected character '${char}'`);
+    tokens.push({ type: 'operator', value: operator, position });
+    position += operator.length;
+  }
+
+  return tokens;
+}
+
+// Index of the } closing a template's ${, skipping nested braces and strings
+function findClosingBrace(source, position) {
+  let depth = 0;
+
+  for (let i = position; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === '\'' || char === '`') {
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+
+  return -1;
+}
+
+// Recursive descent, lowest precedence first
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...ops) => peek()?.type === 'operator' && ops.includes(peek().value);
+  const fail = message => {
+    throw new Error(`${message} at position ${peek() ? peek().position : source.length}`);
+  };
+  const expect = op => {
+    if (!isOperator(op)) fail(`Expected '${op}'`);
+    index++;
+  };
+
+  const binary = (next, ...ops) => () => {
+    let left = next();
+    while (isOperator(...ops)) {
+      const op = tokens[index++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const conditional = () => {
+    if (++depth > MAX_DEPTH) fail('Expression is nested too deeply');
+
+    const test = coalesce();
+    let node = test;
+    if (isOperator('?')) {
+      index++;
+      const consequent = conditional();
+      expect(':');
+      node = { type: 'conditional', test, consequent, alternate: conditional() };
+    }
+
+    depth--;
+    return node;
+  };
+
+  const unary = () => {
+    if (isOperator('!', '-')) {
+      const op = tokens[index++].value;
+      if (++depth > MAX_DEPTH) fail('Expression is nested too deeply');
+      const node = { type: 'unary', op, argument: unary() };
+      depth--;
+      return node;
+    }
+    return postfix();
+  };
+
+  const postfix = () => {
+    let node = primary();
+    while (isOperator('.', '[')) {
+      if (tokens[index++].value === '.') {
+        const property = peek();
+        if (property?.type !== 'identifier') fail('Expected a property name');
+        index++;
+        node = { type: 'member', object: node, property: { type: 'literal', value: property.value } };
+      } else {
+        const property = conditional();
+        expect(']');
+        node = { type: 'member', object: node, property };
+      }
+    }
+    return node;
+  };
+
+  const list = close => {
+    const items = [];
+    while (!isOperator(close)) {
+      items.push(conditional());
+      if (!isOperator(close)) expect(',');
+    }
+    index++;
+    return items;
+  };
+
+  const primary = () => {
+    const token = tokens[index++];
+    if (!token) {
+      index--;
+      fail('Unexpected end of expression');
+    }
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'template':
+        return { type: 'template', parts: token.parts };
+      case 'identifier':
+        if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        if (isOperator('(')) {
+          if (!hasFunction(token.value)) {
+            index--;
+            fail(`Unknown function ${token.value}()`);
+          }
+          index++;
+          return { type: 'call', name: token.value, args: list(')') };
+        }
+        return { type: 'identifier', name: token.value };
+      case 'operator':
+        if (token.value === '(') {
+          const node = conditional();
+          expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          return { type: 'array', items: list(']') };
+        }
+    }
+
+    index--;
+    fail(`Unexpected '${token.value}'`);
+  };
+
+  const multiplicative = binary(unary, '*', '/', '%');
+  const additive = binary(multiplicative, '+', '-');
+  const comparison = binary(additive, '<', '<=', '>', '>=');
+  const equality = binary(comparison, '==', '!=');
+  const and = binary(equality, '&&');
+  const or = binary(and, '||');
+  const coalesce = binary(or, '??');
+
+  const ast = conditional();
+  if (index < tokens.length) fail(`Unexpected '${peek().value}'`);
+  return ast;
+}
+
+// Parses an expression once and caches the syntax tree; throws on errors
+function compileExpression(source) {
+  if (compiled.has(source)) return compiled.get(source);
+
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const ast = parse(source);
+  if (compiled.size >= MAX_CACHED_EXPRESSIONS) compiled.clear();
+  compiled.set(source, ast);
+  return ast;
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      if (node.name === '$root') return scope.root;
+      if (node.name === '$parent') return scope.parent;
+      if (node.name === '$index') return scope.index;
+      return readKey(scope.record, node.name);
+    case 'member':
+      return readKey(evaluateNode(node.object, scope), String(evaluateNode(node.property, scope)));
+    case 'array':
+      return node.items.map(item => evaluateNode(item, scope));
+    case 'template':
+      return node.parts.map(part => typeof part === 'string' ? part : toText(evaluateNode(part, scope))).join('');
+    case 'call': {
+      if (!hasFunction(node.name)) {
+        throw new Error(`Unknown function ${node.name}()`);
+      }
+      // Called unbound, so a function never sees the table as `this`
+      const fn = FUNCTIONS[node.name];
+      return fn(...node.args.map(arg => evaluateNode(arg, scope)));
+    }
+    case 'conditional':
+      return evaluateNode(node.test, scope) ? evaluateNode(node.consequent, scope) : evaluateNode(node.alternate, scope);
+    case 'unary': {
+      const value = evaluateNode(node.argument, scope);
+      return node.op === '!' ? !value : (toNumber(value) === null ? null : -toNumber(value));
+    }
+    case 'binary':
+      return evaluateBinary(node, scope);
+  }
+}
+
+function evaluateBinary(node, scope) {
+  const left = evaluateNode(node.left, scope);
+
+  // Short-circuit like JavaScript, returning the deciding operand
+  if (node.op === '&&') return left ? evaluateNode(node.right, scope) : left;
+  if (node.op === '||') return left || evaluateNode(node.right, scope);
+  if (node.op === '??') return isMissing(left) ? evaluateNode(node.right, scope) : left;
+
+  const right = evaluateNode(node.right, scope);
+
+  switch (node.op) {
+    case '==':
+      return left === right || (isMissing(left) && isMissing(right));
+    case '!=':
+      return !(left === right || (isMissing(left) && isMissing(right)));
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (isMissing(left) || isMissing(right)) return false;
+      const [a, b] = typeof left === 'string' && typeof right === 'string' ? [left, right] : [toNumber(left), toNumber(right)];
+      if (a === null || b === null) return false;
+      return { '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b }[node.op];
+    }
+    case '+':
+      if (typeof left === 'string' || typeof right === 'string') return toText(left) + toText(right);
+      return arithmetic(left, right, (a, b) => a + b);
+    case '-':
+      return arithmetic(left, right, (a, b) => a - b);
+    case '*':
+      return arithmetic(left, right, (a, b) => a * b);
+    case '/':
+      return arithmetic(left, right, (a, b) => a / b);
+    case '%':
+      return arithmetic(left, right, (a, b) => a % b);
+  }
+}
+
+// Missing or non-numeric operands, and division by zero, give null
+function arithmetic(left, right, fn) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+
+  const result = fn(a, b);
+  return Number.isFinite(result) ? result : null;
+}
+
+// scope is { record, root, parent, index }; root defaults to the record
+function evaluateExpression(source, scope) {
+  return evaluateNode(compileExpression(source), { root: scope.record, ...scope });
+}
+
+function isExpression(rule) {
+  return typeof rule === 'string' && rule.trim().startsWith('=');
+}
+
+function normalizeRule(rule) {
+  if (isExpression(rule)) return { expr: rule.trim().slice(1) };
+  return typeof rule === 'string' ? { path: rule } : rule;
+}
+
+function applyTransform(value, rule) {
+  switch (rule.transform) {
+    case 'date':
+      return parseDate(value, rule.format);
+    case 'number':
+      return toNumber(value);
+    case 'unit':
+      return convertUnit(value, rule.from, rule.to);
+    case 'lookup':
+      return Object.prototype.hasOwnProperty.call(rule.table, value) ? rule.table[value] : (rule.default ?? value);
+    default:
+      return value;
+  }
+}
+
+// Maps one source record with a field map. Errors name the target field
+// so a bad mapping can be traced from a failed sync.
+function mapFields(record, fields, scope = {}) {
+  const result = {};
+  const recordScope = { root: record, ...scope, record };
+
+  for (const [target, rawRule] of Object.entries(fields)) {
+    const rule = normalizeRule(rawRule);
+
+    try {
+      let value = rule.expr !== undefined ? evaluateExpression(rule.expr, recordScope)
+        : rule.path !== undefined ? getPath(record, rule.path)
+          : rule.value;
+
+      if (rule.fields) {
+        value = toArray(value).map((item, index) => mapFields(item, rule.fields, { root: recordScope.root, parent: record, index }));
+      } else if (rule.transform && !isMissing(value)) {
+        value = applyTransform(value, rule);
+      }
+
+      if (isMissing(value) && rule.default !== undefined) {
+        value = rule.default;
+      }
+
+      setPath(result, target, value);
+    } catch (error) {
+      throw new Error(`${target}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+// Every problem in a field map, as { field, message }, so a mapping can be
+// checked before it is saved
+function validateFieldMapping(fields, path = 'mapping') {
+  const errors = [];
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return [{ field: path, message: `${path} must be an object` }];
+  }
+
+  for (const [target, rawRule] of Object.entries(fields)) {
+    const field = `${path}.${target}`;
+    const rule = normalizeRule(rawRule);
+
+    const blocked = target.split('.').find(key => BLOCKED_KEYS.includes(key));
+    if (blocked) {
+      errors.push({ field, message: `Target cannot include ${blocked}` });
+    }
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push({ field, message: 'Rule must be a path, an expression or an object' });
+      continue;
+    }
+
+    const sources = ['path', 'value', 'expr'].filter(key => rule[key] !== undefined);
+    if (sources.length !== 1) {
+      errors.push({ field, message: 'Rule must have exactly one of path, value or expr' });
+    }
+
+    if (rule.expr !== undefined) {
+      try {
+        compileExpression(String(rule.expr));
+      } catch (error) {
+        errors.push({ field, message: `Invalid expression: ${error.message}` });
+      }
+    }
+
+    if (rule.transform === 'unit' && !Object.values(UNIT_FACTORS).some(units => units[rule.from] && units[rule.to])) {
+      errors.push({ field, message: `Cannot convert ${rule.from} to ${rule.to}` });
+    }
+
+    if (rule.fields) {
+      errors.push(...validateFieldMapping(rule.fields, `${field}.fields`));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  FUNCTIONS,
+  UNIT_FACTORS,
+  compileExpression,
+  evaluateExpression,
+  mapFields,
+  validateFieldMapping,
+  getPath,
+  convertUnit,
+  parseDate
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { ApiIntegration } = require('../models');
+
+// How long the user has to finish authorizing with the provider
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// One-time state for an integration's OAuth2 connect flow. The state sent to
+// the provider is the integration ID plus a random nonce; only the nonce's
+// hash is stored (config.oauthState), so the callback can check it wasn't
+// forged.
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('hex');
+}
+
+function matchesNonce(hash, nonce) {
+  const expected = Buffer.from(hash || '', 'hex');
+  const received = Buffer.from(hashNonce(nonce || ''), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Stores a new state for the integration, replacing any earlier one, and
+// returns it for the authorization URL
+async function issueState(integration) {
+  const nonce = crypto.randomBytes(24).toString('hex');
+  await ApiIntegration.findByIdAndUpdate(integration.id, {
+    config: {
+      ...integration.config,
+      oauthState: {
+        hash: hashNonce(nonce),
+        expiresAt: new Date(Date.now() + STATE_TTL_MS)
+      }
+    }
+  });
+
+  return `${integration.id}.${nonce}`;
+}
+
+// Checks the state a callback brought back and returns its integration, or
+// null if the state is unknown, expired, forged or for another type of
+// integration
+async function verifyState(state, type) {
+  const [integrationId, nonce] = (state || '').split('.');
+  const integration = integrationId && nonce ? await ApiIntegration.findById(integrationId) : null;
+  const oauthState = integration?.config?.oauthState;
+
+  if (!oauthState || integration.type !== type || new Date(oauthState.expiresAt) < new Date() ||
+    !matchesNonce(oauthState.hash, nonce)) {
+    return null;
+  }
+  return integration;
+}
+
+// Verifies the state and removes it before the callback does anything else,
+// so it is used up whether or not the user approved and a callback URL can't
+// be replayed. Returns the integration without the state.
+async function consumeState(state, type) {
+  const integration = await verifyState(state, type);
+  if (!integration) {
+    throw new Error('Invalid or expired authorization state');
+  }
+
+  const config = { ...integration.config };
+  delete config.oauthState;
+  await ApiIntegration.findByIdAndUpdate(integration.id, { config });
+
+  return { ...integration, config };
+}
+
+module.exports = {
+  issueState,
+  verifyState,
+  consumeState
+};
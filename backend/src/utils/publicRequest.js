@@ -0,0 +1,88 @@
+const axios = require('axios');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Posts to URLs users enter themselves, such as a rule's notification
+// webhook. Only https on a public address is allowed, so a URL can't make
+// the server call into its own network. The address is checked when the
+// connection is made, not just when the URL is read, so a hostname can't
+// resolve to a public address first and a private one later.
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Refusing to connect to private address ${blocked.address} for ${hostname}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new https.Agent({ lookup: publicLookup });
+
+// Throws unless the URL is https and, when hosts are given, on one of them.
+// IP literals never go through the lookup, so they are checked here.
+function assertPublicUrl(url, hosts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new Error(`Only https URLs are allowed: ${parsed.origin}`);
+  }
+  if (hosts && !hosts.includes(parsed.hostname)) {
+    throw new Error(`URL must be on ${hosts.join(' or ')}: ${parsed.origin}`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new Error(`Refusing to connect to private address ${hostname}`);
+  }
+
+  return parsed;
+}
+
+// Redirects aren't followed, as they could point anywhere
+async function postJson(url, data, { hosts } = {}) {
+  const parsed = assertPublicUrl(url, hosts);
+  return axios.post(parsed.href, data, {
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: 0,
+    httpsAgent: publicAgent
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  postJson
+};
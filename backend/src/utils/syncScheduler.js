@@ -1,6 +1,8 @@
 const cron = require('node-cron');
-const { ApiIntegration } = require('../models');
+const { ApiIntegration, AutomationExecution, WebhookEvent } = require('../models');
 const ApiIntegrationManager = require('../services/ApiIntegrationManager');
+const quickBooksAuthService = require('../services/QuickBooksAuthService');
+const carrierReconciliationService = require('../services/shipping/CarrierReconciliationService');
 
 class SyncScheduler {
   constructor() {
@@ -15,11 +17,27 @@ class SyncScheduler {
       await this.runScheduledSyncs();
     });
 
+    // Refresh OAuth access tokens before they expire (QuickBooks tokens last an hour)
+    cron.schedule('*/10 * * * *', async () => {
+      await this.refreshOAuthTokens();
+    });
+
     // Cleanup old logs daily at 2 AM
     cron.schedule('0 2 * * *', async () => {
       await this.cleanupOldLogs();
     });
 
+    // Trim the automation execution log daily at 3 AM
+    cron.schedule('0 3 * * *', async () => {
+      await this.cleanupAutomationExecutions();
+      await this.cleanupWebhookEvents();
+    });
+
+    // Reconcile carrier bills against label costs weekly, Mondays at 4 AM
+    cron.schedule('0 4 * * 1', async () => {
+      await this.reconcileCarrierInvoices();
+    });
+
     // Reset stats monthly
     cron.schedule('0 0 1 * *', async () => {
       await this.resetMonthlyStats();
@@ -58,12 +76,24 @@ class SyncScheduler {
                 break;
             }
             
-            const result = await ApiIntegrationManager.syncData(integration._id, syncType);
+            // Stores can also keep the local product catalog current
+            const syncTypes = [syncType];
+            if (['shopify', 'woocommerce'].includes(integration.type) && integration.syncSettings.syncProducts) {
+              syncTypes.push('products');
+            }
             
-            if (result.success) {
-              console.log(`Successfully synced ${result.count} ${syncType} for ${integration.name}`);
-            } else {
-              console.error(`Failed to sync ${integration.name}: ${result.message}`);
+            for (const type of syncTypes) {
+              const result = await ApiIntegrationManager.syncData(integration._id, type);
+              
+              if (result.success) {
+                console.log(`Successfully synced ${result.count} ${type} for ${integration.name}`);
+                if (result.imported) {
+                  const { created, updated, skipped, failed } = result.imported;
+                  console.log(`Imported ${type} for ${integration.name}: ${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`);
+                }
+              } else {
+                console.error(`Failed to sync ${type} for ${integration.name}: ${result.message}`);
+              }
             }
           } catch (error) {
             console.error(`Error syncing ${integration.name}:`, error);
@@ -75,6 +105,30 @@ class SyncScheduler {
     }
   }
 
+  async refreshOAuthTokens() {
+    try {
+      const { refreshed, failed } = await quickBooksAuthService.refreshExpiringTokens();
+      if (refreshed || failed) {
+        console.log(`Refreshed QuickBooks tokens: ${refreshed} refreshed, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error refreshing OAuth tokens:', error);
+    }
+  }
+
+  async reconcileCarrierInvoices() {
+    console.log('Reconciling carrier invoices...');
+    
+    try {
+      const reports = await carrierReconciliationService.reconcileAll();
+      reports.forEach(report => {
+        console.log(`Carrier reconciliation ${report.periodStart} to ${report.periodEnd}: ${report.summary.discrepancies} discrepancies, ${report.summary.disputeTotal} to dispute`);
+      });
+    } catch (error) {
+      console.error('Error reconciling carrier invoices:', error);
+    }
+  }
+
   async cleanupOldLogs() {
     console.log('Cleaning up old API logs...');
     
@@ -92,6 +146,39 @@ class SyncScheduler {
     }
   }
 
+  async cleanupAutomationExecutions() {
+    console.log('Cleaning up old automation executions...');
+    
+    try {
+      const retentionDays = parseInt(process.env.AUTOMATION_EXECUTION_RETENTION_DAYS) || 90;
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+      
+      const result = await AutomationExecution.deleteMany({
+        executedAt: { $lt: cutoff }
+      });
+      
+      console.log(`Deleted ${result.deletedCount} automation executions older than ${retentionDays} days`);
+    } catch (error) {
+      console.error('Error cleaning up automation executions:', error);
+    }
+  }
+
+  // Webhook events only need to outlive the provider's retry window
+  async cleanupWebhookEvents() {
+    try {
+      const retentionDays = parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 7;
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+      
+      const result = await WebhookEvent.deleteMany({
+        receivedAt: { $lt: cutoff }
+      });
+      
+      console.log(`Deleted ${result.deletedCount} webhook events older than ${retentionDays} days`);
+    } catch (error) {
+      console.error('Error cleaning up webhook events:', error);
+    }
+  }
+
   async resetMonthlyStats() {
     console.log('Resetting monthly statistics...');
     
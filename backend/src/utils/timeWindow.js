@@ -0,0 +1,133 @@
+// Day/time windows evaluated in a user's timezone rather than the server's.
+// A window looks like:
+//   {
+//     days: ['monday', ...],              // optional
+//     hours: { start: '22:30', end: '02:00' }, // end is exclusive; may cross midnight
+//     blackoutDates: ['2025-12-25', '01-01']   // YYYY-MM-DD, or MM-DD every year
+//   }
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles';
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+
+  return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date and time of `date` in the timezone
+function getLocalTime(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+function parseTime(time) {
+  const [hours, minutes = '0'] = time.split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+// Calendar date and weekday one day before a local date
+function previousDay({ date, day }) {
+  const previous = new Date(`${date}T00:00:00Z`);
+  previous.setUTCDate(previous.getUTCDate() - 1);
+
+  return {
+    date: previous.toISOString().slice(0, 10),
+    day: DAY_NAMES[(DAY_NAMES.indexOf(day) + 6) % 7]
+  };
+}
+
+function isBlackedOut(blackoutDates, date) {
+  return blackoutDates.some(blackout => blackout === date || blackout === date.slice(5));
+}
+
+function isWithinWindow(window, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const local = getLocalTime(now, timezone);
+
+  // The part of a midnight-crossing window after midnight belongs to the
+  // day it started on, for both the days and blackout checks
+  let windowDay = local;
+
+  if (window.hours) {
+    const start = parseTime(window.hours.start);
+    const end = parseTime(window.hours.end);
+
+    if (start <= end) {
+      if (local.minutes < start || local.minutes >= end) return false;
+    } else {
+      if (local.minutes < start && local.minutes >= end) return false;
+      if (local.minutes < end) windowDay = previousDay(local);
+    }
+  }
+
+  if (window.days?.length && !window.days.includes(windowDay.day)) return false;
+  if (window.blackoutDates?.length && isBlackedOut(window.blackoutDates, windowDay.date)) return false;
+
+  return true;
+}
+
+// Throws on the first malformed field so bad windows are rejected on save
+function validateTimeWindow(window, path = 'timeRange') {
+  if (window.days !== undefined) {
+    if (!Array.isArray(window.days) || window.days.some(day => !DAY_NAMES.includes(day))) {
+      throw new Error(`${path}.days must be a list of lowercase day names`);
+    }
+  }
+
+  if (window.hours !== undefined) {
+    if (!TIME_PATTERN.test(window.hours?.start) || !TIME_PATTERN.test(window.hours?.end)) {
+      throw new Error(`${path}.hours.start and ${path}.hours.end must be HH:MM`);
+    }
+  }
+
+  if (window.blackoutDates !== undefined) {
+    if (!Array.isArray(window.blackoutDates) || window.blackoutDates.some(date => !DATE_PATTERN.test(date))) {
+      throw new Error(`${path}.blackoutDates must be YYYY-MM-DD or MM-DD dates`);
+    }
+  }
+}
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimezone,
+  getLocalTime,
+  parseTime,
+  isWithinWindow,
+  validateTimeWindow
+};